@@ -0,0 +1,512 @@
+/**
+ * ============================================
+ * attendance.js - Class Sessions & Roll Call
+ * ============================================
+ *
+ * This file handles:
+ * - Choosing the module whose sessions are shown
+ * - Adding, editing and deleting dated class sessions
+ * - Taking the roll call of a session (present, late, absent, excused)
+ * - Auto-saving each student's attendance state
+ * - Reviewing the absence justifications students submit
+ * - Read-only sessions for modules/groups the teacher is not assigned to
+ */
+
+// Module whose sessions are shown
+let attendanceModuleId = null;
+
+// Session being edited in the form, and session whose roll call is open
+let editingSessionId = null;
+let rollCallSessionId = null;
+
+/**
+ * Show alert message
+ * @param {string} message - Message to display
+ * @param {string} type - Alert type: 'success' or 'error'
+ */
+function showAlert(message, type) {
+    const alertDiv = document.getElementById('alertMessage');
+    alertDiv.className = `alert alert-${type}`;
+    alertDiv.textContent = message;
+    alertDiv.style.display = 'block';
+    
+    // Hide alert after 3 seconds
+    setTimeout(() => {
+        alertDiv.style.display = 'none';
+    }, 3000);
+}
+
+/**
+ * Format a session's date and time for display
+ * @param {Object} session - Session object
+ * @returns {string} e.g. "12/03/2025 · 08:30-10:00"
+ */
+function formatSessionDate(session) {
+    if (!session.date) return 'Undated';
+    const date = new Date(session.date).toLocaleDateString('fr-FR');
+    const time = session.startTime ? ` · ${session.startTime}${session.endTime ? '-' + session.endTime : ''}` : '';
+    return date + time;
+}
+
+/**
+ * Fill the module selector, keeping the module in the URL (?module=) or the current one
+ */
+function populateAttendanceModules() {
+    const select = document.getElementById('attendanceModule');
+    const modules = getModules();
+    
+    if (attendanceModuleId === null) {
+        const fromUrl = parseInt(new URLSearchParams(window.location.search).get('module'));
+        attendanceModuleId = modules.some(m => m.id === fromUrl) ? fromUrl : (modules.length > 0 ? modules[0].id : null);
+    }
+    
+    select.innerHTML = modules.length > 0
+        ? modules.map(m => `<option value="${m.id}" ${m.id === attendanceModuleId ? 'selected' : ''}>${m.name}</option>`).join('')
+        : '<option value="">No modules in this term</option>';
+    
+    // Groups offered for a session
+    const groups = [...new Set(getStudents().map(s => s.group))].sort();
+    document.getElementById('sessionGroup').innerHTML = '<option value="">All groups</option>' +
+        groups.map(g => `<option value="${g}">${g}</option>`).join('');
+}
+
+/**
+ * Switch to another module
+ * @param {string} moduleId - Selected module ID
+ */
+function changeAttendanceModule(moduleId) {
+    attendanceModuleId = parseInt(moduleId) || null;
+    closeRollCall();
+    resetSessionForm();
+    displaySessions();
+}
+
+/**
+ * Reset the session form
+ */
+function resetSessionForm() {
+    document.getElementById('sessionForm').reset();
+    document.getElementById('sessionDate').value = new Date().toISOString().slice(0, 10);
+    document.getElementById('sessionSubmitBtn').textContent = 'Add Session';
+    document.getElementById('sessionCancelBtn').style.display = 'none';
+    editingSessionId = null;
+}
+
+/**
+ * Display the sessions of the selected module
+ */
+function displaySessions() {
+    const container = document.getElementById('sessionsTableContainer');
+    const formCard = document.getElementById('sessionFormCard');
+    
+    if (attendanceModuleId === null) {
+        formCard.style.display = 'none';
+        container.innerHTML = '<p class="empty-state">Add a module first to record class sessions.</p>';
+        return;
+    }
+    
+    formCard.style.display = canWrite('absences:write', { moduleId: attendanceModuleId }) ? 'block' : 'none';
+    
+    const sessions = getModuleSessions(attendanceModuleId);
+    if (sessions.length === 0) {
+        container.innerHTML = '<p class="empty-state">No sessions yet. Use the form above to add one.</p>';
+        return;
+    }
+    
+    const attendance = getAttendance();
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Group</th>
+                        <th>Topic</th>
+                        <th>Present</th>
+                        <th>Late</th>
+                        <th>Absent</th>
+                        <th>Excused</th>
+                        <th>Not Recorded</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    sessions.forEach(session => {
+        const records = attendance.filter(a => a.sessionId === session.id);
+        const count = status => records.filter(a => a.status === status).length;
+        const notRecorded = session.imported ? '—' : getSessionStudents(session).filter(s => !records.some(a => a.studentId === s.id)).length;
+        const canEdit = canWrite('absences:write', { moduleId: session.moduleId, group: session.group || undefined });
+        
+        tableHTML += `
+            <tr>
+                <td><strong>${formatSessionDate(session)}</strong></td>
+                <td>${session.group || 'All groups'}</td>
+                <td>${session.topic || '<span style="color: var(--text-secondary);">—</span>'}</td>
+                <td>${count('present')}</td>
+                <td>${count('late')}</td>
+                <td>${count('absent')}</td>
+                <td>${count('excused')}</td>
+                <td>${notRecorded}</td>
+                <td>
+                    <button class="btn btn-primary btn-small" onclick="openRollCall(${session.id})">Roll Call</button>
+                    ${canEdit ? `
+                    <button class="btn btn-warning btn-small" onclick="editSession(${session.id})">Edit</button>
+                    <button class="btn btn-danger btn-small" onclick="deleteSessionHandler(${session.id})">Delete</button>` : ''}
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Load a session into the form for editing
+ * @param {number} sessionId - Session ID
+ */
+function editSession(sessionId) {
+    const session = getClassSessionById(sessionId);
+    if (!session) {
+        showAlert('Session not found!', 'error');
+        return;
+    }
+    
+    document.getElementById('sessionDate').value = session.date;
+    document.getElementById('sessionStart').value = session.startTime;
+    document.getElementById('sessionEnd').value = session.endTime;
+    document.getElementById('sessionGroup').value = session.group;
+    document.getElementById('sessionTopic').value = session.topic;
+    document.getElementById('sessionSubmitBtn').textContent = 'Update Session';
+    document.getElementById('sessionCancelBtn').style.display = 'inline-block';
+    editingSessionId = sessionId;
+    document.getElementById('sessionFormCard').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Delete a session after confirmation
+ * @param {number} sessionId - Session ID
+ */
+function deleteSessionHandler(sessionId) {
+    const session = getClassSessionById(sessionId);
+    if (!session) {
+        showAlert('Session not found!', 'error');
+        return;
+    }
+    
+    if (confirm(`Delete the session of ${formatSessionDate(session)} and its roll call?`)) {
+        if (!deleteClassSession(sessionId)) {
+            showAlert('You are not allowed to delete this session!', 'error');
+            return;
+        }
+        if (rollCallSessionId === sessionId) closeRollCall();
+        showAlert('Session deleted successfully!', 'success');
+        displaySessions();
+    }
+}
+
+/**
+ * Handle session form submission
+ * @param {Event} event - Submit event
+ */
+function handleSessionSubmit(event) {
+    event.preventDefault();
+    
+    const session = {
+        date: document.getElementById('sessionDate').value,
+        startTime: document.getElementById('sessionStart').value,
+        endTime: document.getElementById('sessionEnd').value,
+        group: document.getElementById('sessionGroup').value,
+        topic: document.getElementById('sessionTopic').value.trim()
+    };
+    
+    if (!session.date) {
+        showAlert('Please choose the session date!', 'error');
+        return;
+    }
+    if (session.startTime && session.endTime && session.endTime <= session.startTime) {
+        showAlert('The session must end after it starts!', 'error');
+        return;
+    }
+    
+    if (editingSessionId !== null) {
+        if (!updateClassSession(editingSessionId, session)) {
+            showAlert('You are not allowed to change this session!', 'error');
+            return;
+        }
+        showAlert('Session updated successfully!', 'success');
+    } else {
+        if (!addClassSession({ ...session, moduleId: attendanceModuleId })) {
+            showAlert('Failed to add session. It already exists or you are not assigned to this module/group.', 'error');
+            return;
+        }
+        showAlert('Session added successfully!', 'success');
+    }
+    
+    resetSessionForm();
+    displaySessions();
+    if (rollCallSessionId !== null) displayRollCall();
+}
+
+// ============================================
+// ROLL CALL
+// ============================================
+
+/**
+ * Open the roll call of a session
+ * @param {number} sessionId - Session ID
+ */
+function openRollCall(sessionId) {
+    rollCallSessionId = sessionId;
+    document.getElementById('rollCallCard').style.display = 'block';
+    displayRollCall();
+    document.getElementById('rollCallCard').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Close the roll call
+ */
+function closeRollCall() {
+    rollCallSessionId = null;
+    document.getElementById('rollCallCard').style.display = 'none';
+}
+
+/**
+ * Display the roll call of the open session
+ */
+function displayRollCall() {
+    const session = getClassSessionById(rollCallSessionId);
+    const container = document.getElementById('rollCallContainer');
+    if (!session) {
+        closeRollCall();
+        return;
+    }
+    
+    const module = getModuleById(session.moduleId);
+    document.getElementById('rollCallTitle').textContent =
+        `Roll Call · ${module ? module.name : ''} · ${formatSessionDate(session)}${session.group ? ' · ' + session.group : ''}`;
+    
+    const students = getSessionStudents(session).sort((a, b) => a.name.localeCompare(b.name));
+    if (students.length === 0) {
+        container.innerHTML = '<p class="empty-state">No students are enrolled in this group.</p>';
+        return;
+    }
+    
+    const readOnlyStyle = 'opacity: 0.6; cursor: not-allowed;';
+    const canMarkAll = students.some(s => canWrite('absences:write', { moduleId: session.moduleId, group: s.group }));
+    
+    let tableHTML = `
+        ${canMarkAll ? `
+        <div style="display: flex; gap: 1rem; margin-bottom: 1rem;">
+            <button type="button" class="btn btn-success btn-small" onclick="markAllPresent()">Mark Unrecorded as Present</button>
+        </div>` : ''}
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>CIN</th>
+                        <th>Group</th>
+                        <th>Status</th>
+                        <th>Justification</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    students.forEach(student => {
+        const record = getAttendanceRecord(session.id, student.id);
+        const status = record ? record.status : null;
+        const canEdit = canWrite('absences:write', { moduleId: session.moduleId, group: student.group });
+        
+        const buttons = Object.entries(ATTENDANCE_STATUSES).map(([key, info]) => `
+            <button type="button" class="btn btn-small ${status === key ? 'btn-primary' : 'btn-secondary'}"
+                ${canEdit ? `onclick="handleAttendanceChange(${session.id}, ${student.id}, '${key}')"` : `disabled style="${readOnlyStyle}"`}>
+                ${info.label}
+            </button>
+        `).join('');
+        
+        tableHTML += `
+            <tr>
+                <td><strong>${student.name}</strong></td>
+                <td>${student.cin}</td>
+                <td>${student.group}</td>
+                <td style="white-space: nowrap;">${buttons}</td>
+                <td>
+                    <input type="text" id="justification-${student.id}" value="${record ? escapeHtml(record.justification) : ''}"
+                        placeholder="${status === 'excused' ? 'Reason (required)' : 'Only for excused absences'}"
+                        ${canEdit && status === 'excused' ? `onchange="handleAttendanceChange(${session.id}, ${student.id}, 'excused')"` : `disabled style="${status === 'excused' ? readOnlyStyle : ''}"`}>
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Save a student's attendance state at a session
+ * @param {number} sessionId - Session ID
+ * @param {number} studentId - Student ID
+ * @param {string} status - ATTENDANCE_STATUSES key
+ */
+function handleAttendanceChange(sessionId, studentId, status) {
+    let justification = '';
+    if (status === 'excused') {
+        const input = document.getElementById(`justification-${studentId}`);
+        justification = input && !input.disabled ? input.value.trim() : '';
+        if (!justification) {
+            justification = prompt('Reason for the excused absence:') || '';
+        }
+        if (!justification.trim()) {
+            showAlert('An excused absence needs a justification!', 'error');
+            return;
+        }
+    }
+    
+    if (!setAttendance(sessionId, studentId, status, justification)) {
+        showAlert(isSelectedTermArchived()
+            ? 'This term is archived, so its attendance is read-only.'
+            : 'You are not assigned to this module or group.', 'error');
+        return;
+    }
+    
+    displayRollCall();
+    displaySessions();
+}
+
+/**
+ * Mark every student without a record as present
+ */
+function markAllPresent() {
+    const session = getClassSessionById(rollCallSessionId);
+    if (!session) return;
+    
+    getSessionStudents(session)
+        .filter(s => getAttendanceRecord(session.id, s.id) === null)
+        .filter(s => canWrite('absences:write', { moduleId: session.moduleId, group: s.group }))
+        .forEach(s => setAttendance(session.id, s.id, 'present'));
+    
+    displayRollCall();
+    displaySessions();
+}
+
+// ============================================
+// JUSTIFICATION REVIEW
+// ============================================
+
+/**
+ * Display the pending justifications the teacher can review
+ */
+function displayJustificationQueue() {
+    const container = document.getElementById('justificationQueueContainer');
+    const queue = getJustificationQueue();
+    
+    if (queue.length === 0) {
+        container.innerHTML = '<p class="empty-state">No justification waiting for review.</p>';
+        return;
+    }
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Student</th>
+                        <th>Module</th>
+                        <th>Session</th>
+                        <th>Reason</th>
+                        <th>Document</th>
+                        <th>Submitted</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    queue.forEach(justification => {
+        const student = getStudentById(justification.studentId);
+        const session = getClassSessionById(justification.sessionId);
+        const module = getModuleById(session.moduleId);
+        const doc = justification.document;
+        const docUrl = getJustificationDocumentUrl(doc);
+        
+        // Only data URLs of an allowed document type are linked
+        let documentCell = '<span style="color: var(--text-secondary);">—</span>';
+        if (doc && docUrl) {
+            documentCell = `<a href="${escapeHtml(docUrl)}" download="${escapeHtml(doc.name)}">📎 ${escapeHtml(doc.name)}</a>`;
+        } else if (doc) {
+            documentCell = `<span style="color: var(--text-secondary);">📎 ${escapeHtml(doc.name)} (unsupported type)</span>`;
+        }
+        
+        tableHTML += `
+            <tr>
+                <td><strong>${student ? student.name : 'Unknown student'}</strong><br><span style="font-size: 12px; color: var(--text-secondary);">${student ? student.group : ''}</span></td>
+                <td>${module ? module.name : ''}</td>
+                <td>${formatSessionDate(session)}</td>
+                <td style="max-width: 250px;">${escapeHtml(justification.reason)}</td>
+                <td>${documentCell}</td>
+                <td>${new Date(justification.submittedAt).toLocaleDateString('fr-FR')}</td>
+                <td>
+                    <button class="btn btn-success btn-small" onclick="reviewJustificationHandler(${justification.id}, true)">Approve</button>
+                    <button class="btn btn-danger btn-small" onclick="reviewJustificationHandler(${justification.id}, false)">Reject</button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Approve or reject a justification
+ * @param {number} id - Justification ID
+ * @param {boolean} approved - True to approve, false to reject
+ */
+function reviewJustificationHandler(id, approved) {
+    let comment = '';
+    if (!approved) {
+        comment = prompt('Why is this justification rejected? (shown to the student)');
+        if (comment === null) return;
+    }
+    
+    if (!reviewAbsenceJustification(id, approved, comment)) {
+        showAlert('This justification could not be reviewed. It may already have been reviewed.', 'error');
+        return;
+    }
+    
+    showAlert(approved ? 'Justification approved: the absence is now excused.' : 'Justification rejected.', 'success');
+    displayJustificationQueue();
+    displaySessions();
+    if (rollCallSessionId !== null) displayRollCall();
+}
+
+// Event Listeners
+document.addEventListener('DOMContentLoaded', () => {
+    // Display the sessions once storage is loaded
+    whenStorageReady(() => {
+        populateAttendanceModules();
+        resetSessionForm();
+        displaySessions();
+        displayJustificationQueue();
+    });
+    
+    // Handle session form submission
+    document.getElementById('sessionForm').addEventListener('submit', handleSessionSubmit);
+});
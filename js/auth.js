@@ -3,68 +3,524 @@
  * auth.js - Authentication System
  * ============================================
  * 
+ * Requires storage.js to be loaded first.
+ * 
  * This file handles:
  * - User registration
  * - User login
- * - Session management
- * - Role-based access control
+ * - Password hashing (PBKDF2 via Web Crypto)
+ * - First-run setup of the initial administrator account
+ * - Forced password changes (mustChangePassword)
+ * - Session management (random session ids with idle and absolute expiry)
+ * - Role-based access control (student < teacher < admin)
+ * - Named permissions per role, scoped by teacher module/group assignments
+ * - Account approval, disabling and password resets by administrators
+ * - One-time password reset codes issued by teachers or administrators
+ * - Audit trail of security-relevant events
+ * - Login throttling and temporary lockout after repeated failures
+ * - Self-service profile editing
  * - Page protection
  */
 
+// ============================================
+// PASSWORD HASHING
+// ============================================
+
+// PBKDF2 settings for new credentials
+// Raising the iteration count upgrades existing users on their next login
+const PBKDF2_ITERATIONS = 600000;
+const PBKDF2_HASH = 'SHA-256';
+const PASSWORD_SALT_BYTES = 16;
+const PASSWORD_HASH_BITS = 256;
+
+/**
+ * Encode bytes as base64
+ * @param {Uint8Array} bytes - Bytes to encode
+ * @returns {string} Base64 string
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+/**
+ * Decode a base64 string to bytes
+ * @param {string} base64 - Base64 string
+ * @returns {Uint8Array} Decoded bytes
+ */
+function base64ToBytes(base64) {
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+/**
+ * Derive a PBKDF2 hash from a password
+ * @param {string} password - Plain-text password
+ * @param {Uint8Array} salt - Random salt
+ * @param {number} iterations - PBKDF2 iteration count
+ * @returns {Promise<Uint8Array>} Derived hash
+ */
+async function derivePasswordHash(password, salt, iterations) {
+    if (!window.crypto || !window.crypto.subtle) {
+        throw new Error('Web Crypto is not available. Open the app through http://localhost or https.');
+    }
+    const keyMaterial = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const bits = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: PBKDF2_HASH, salt: salt, iterations: iterations },
+        keyMaterial,
+        PASSWORD_HASH_BITS
+    );
+    return new Uint8Array(bits);
+}
+
+/**
+ * Create a salted credential for a password
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object>} Credential {algorithm, hash, iterations, salt, hashValue}
+ */
+async function hashPassword(password) {
+    const salt = crypto.getRandomValues(new Uint8Array(PASSWORD_SALT_BYTES));
+    const hashValue = await derivePasswordHash(password, salt, PBKDF2_ITERATIONS);
+    return {
+        algorithm: 'PBKDF2',
+        hash: PBKDF2_HASH,
+        iterations: PBKDF2_ITERATIONS,
+        salt: bytesToBase64(salt),
+        hashValue: bytesToBase64(hashValue)
+    };
+}
+
+/**
+ * Check a password against a stored credential
+ * @param {string} password - Plain-text password
+ * @param {Object} credential - Credential created by hashPassword
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function verifyPassword(password, credential) {
+    const expected = base64ToBytes(credential.hashValue);
+    const actual = await derivePasswordHash(password, base64ToBytes(credential.salt), credential.iterations);
+    
+    // Compare every byte so timing does not reveal where they differ
+    let difference = expected.length ^ actual.length;
+    for (let i = 0; i < Math.min(expected.length, actual.length); i++) {
+        difference |= expected[i] ^ actual[i];
+    }
+    return difference === 0;
+}
+
+/**
+ * Check a user's password, supporting legacy plain-text accounts
+ * @param {Object} user - User object
+ * @param {string} password - Plain-text password
+ * @returns {Promise<boolean>} True if the password matches
+ */
+async function checkUserPassword(user, password) {
+    if (user.credential) {
+        return verifyPassword(password, user.credential);
+    }
+    // Legacy account created before passwords were hashed
+    return typeof user.password === 'string' && user.password === password;
+}
+
+/**
+ * Check if a user's stored credential should be re-hashed
+ * @param {Object} user - User object
+ * @returns {boolean} True for plain-text or outdated credentials
+ */
+function needsCredentialUpgrade(user) {
+    return !user.credential || user.credential.iterations < PBKDF2_ITERATIONS;
+}
+
 // ============================================
 // USER MANAGEMENT
 // ============================================
 
+// Email format accepted for every account
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Minimum password length for every account
+const MIN_PASSWORD_LENGTH = 6;
+
 /**
- * Get all users from localStorage
+ * Validate a new password
+ * @param {string} password - Password to check
+ * @returns {string|null} Error message or null if valid
+ */
+function validatePassword(password) {
+    if (!password || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters!`;
+    }
+    return null;
+}
+
+/**
+ * Get all users from storage
  * @returns {Array} Array of user objects
  */
 function getUsers() {
-    const usersJSON = localStorage.getItem('users');
-    return usersJSON ? JSON.parse(usersJSON) : [];
+    return readCollection('users');
 }
 
 /**
- * Save users array to localStorage
+ * Save users array to storage
  * @param {Array} users - Array of user objects
  */
 function saveUsers(users) {
-    localStorage.setItem('users', JSON.stringify(users));
+    writeCollection('users', users);
 }
 
 /**
- * Get current logged-in user
- * @returns {Object|null} Current user object or null
+ * Get a user by ID
+ * @param {number} id - User ID
+ * @returns {Object|null} User object or null if not found
  */
-function getCurrentUser() {
-    const userJSON = localStorage.getItem('currentUser');
-    return userJSON ? JSON.parse(userJSON) : null;
+function getUserById(id) {
+    return getUsers().find(u => u.id === id) || null;
+}
+
+/**
+ * Check if a user account may sign in
+ * Accounts without a status predate the approval workflow and are active.
+ * @param {Object} user - User object
+ * @returns {boolean} True if the account is active
+ */
+function isUserActive(user) {
+    return !user.status || user.status === 'active';
+}
+
+/**
+ * Strip secrets from a user object before handing it to pages
+ * @param {Object} user - Stored user object
+ * @returns {Object} User without password or credential
+ */
+function toPublicUser(user) {
+    const { password, credential, ...publicUser } = user;
+    return publicUser;
+}
+
+// ============================================
+// ROLES
+// ============================================
+
+// Role hierarchy: a role includes every permission of the roles below it
+const ROLE_LEVELS = {
+    student: 1,
+    teacher: 2,
+    admin: 3
+};
+
+// Display names for each role
+const ROLE_LABELS = {
+    student: 'Student',
+    teacher: 'Teacher',
+    admin: 'Administrator'
+};
+
+// Minimum role needed for each protected page (used to hide sidebar links)
+const PAGE_ROLES = {
+    'grades.html': 'teacher',
+    'students.html': 'teacher',
+    'modules.html': 'teacher',
+    'attendance.html': 'teacher',
+    'exams.html': 'teacher',
+    'timetable.html': 'student',
+    'users.html': 'admin',
+    'terms.html': 'admin'
+};
+
+/**
+ * Check if a role is at least as high as another in the hierarchy
+ * @param {string} role - Role to check
+ * @param {string} requiredRole - Minimum role
+ * @returns {boolean} True if role >= requiredRole
+ */
+function roleAtLeast(role, requiredRole) {
+    return (ROLE_LEVELS[role] || 0) >= (ROLE_LEVELS[requiredRole] || Infinity);
+}
+
+/**
+ * Get the display name of a role
+ * @param {string} role - Role name
+ * @returns {string} Display name
+ */
+function getRoleLabel(role) {
+    return ROLE_LABELS[role] || role;
+}
+
+/**
+ * Hide sidebar links to pages the current user cannot open
+ */
+function applyNavigationPermissions() {
+    const user = getCurrentUser();
+    if (!user || typeof document === 'undefined') return;
+    
+    document.querySelectorAll('.sidebar-nav a').forEach(link => {
+        const requiredRole = PAGE_ROLES[link.getAttribute('href')];
+        if (requiredRole && !roleAtLeast(user.role, requiredRole)) {
+            link.parentElement.style.display = 'none';
+        }
+    });
+}
+
+// ============================================
+// PERMISSIONS
+// ============================================
+
+// Every permission the app checks, with a short description
+const PERMISSIONS = {
+    'results:view': 'View own results',
+    'results:view-all': 'View the results of every student',
+    'results:publish': 'Publish or hide results for students',
+    'grades:write': 'Enter and edit grades',
+    'absences:write': 'Manage class sessions and record attendance',
+    'absences:justify': 'Submit justifications for own absences',
+    'students:create': 'Add students',
+    'students:update': 'Edit students',
+    'students:delete': 'Delete students',
+    'modules:create': 'Add modules',
+    'modules:manage': 'Edit and delete modules',
+    'units:manage': 'Create, edit and delete teaching units',
+    'users:manage': 'Approve accounts, change roles and reset passwords',
+    'passwords:reset': 'Issue password reset codes',
+    'lockouts:manage': 'See and clear login lockouts',
+    'terms:manage': 'Create, archive and roll over academic terms',
+    'rules:manage': 'Configure how results are calculated (resit rule...)'
+};
+
+// Permissions granted to each role
+const ROLE_PERMISSIONS = {
+    student: ['results:view', 'absences:justify'],
+    teacher: [
+        'results:view', 'results:view-all',
+        'grades:write', 'absences:write',
+        'students:create', 'students:update',
+        'modules:create', 'modules:manage', 'units:manage',
+        'passwords:reset', 'lockouts:manage'
+    ],
+    admin: Object.keys(PERMISSIONS)
+};
+
+/**
+ * Check if a user's module/group assignments cover a scope
+ * A module must be assigned explicitly. Groups only restrict a teacher
+ * once at least one group has been assigned to them.
+ * @param {Object} user - User object
+ * @param {Object} scope - {moduleId, group} (both optional)
+ * @returns {boolean} True if the scope is covered
+ */
+function isWithinAssignments(user, scope) {
+    const assignedModules = user.assignedModules || [];
+    const assignedGroups = user.assignedGroups || [];
+    
+    if (scope.moduleId !== undefined && !assignedModules.includes(scope.moduleId)) {
+        return false;
+    }
+    if (scope.group !== undefined && assignedGroups.length > 0 && !assignedGroups.includes(scope.group)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Check if a user holds a permission
+ * Administrators are never limited by assignments; other roles are when a scope is given.
+ * @param {Object} user - User object
+ * @param {string} permission - Permission name (see PERMISSIONS)
+ * @param {Object} scope - Optional {moduleId, group} the action applies to
+ * @returns {boolean} True if allowed
+ */
+function userHasPermission(user, permission, scope) {
+    if (!user) return false;
+    
+    const granted = ROLE_PERMISSIONS[user.role] || [];
+    if (!granted.includes(permission)) return false;
+    
+    if (!scope || user.role === 'admin') return true;
+    return isWithinAssignments(user, scope);
+}
+
+/**
+ * Check if the current user holds a permission
+ * e.g. hasPermission('grades:write', {moduleId: 3, group: '3IIR-1'})
+ * @param {string} permission - Permission name (see PERMISSIONS)
+ * @param {Object} scope - Optional {moduleId, group} the action applies to
+ * @returns {boolean} True if allowed
+ */
+function hasPermission(permission, scope) {
+    return userHasPermission(getCurrentUser(), permission, scope);
+}
+
+// ============================================
+// SESSION MANAGEMENT
+// ============================================
+
+// Sessions expire after this much inactivity...
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+// ...and in any case this long after sign-in
+const SESSION_ABSOLUTE_TIMEOUT_MS = 12 * 60 * 60 * 1000;
+
+// Storage key holding this browser's session id
+const SESSION_ID_KEY = 'sessionId';
+
+/**
+ * Get all sessions from storage
+ * Sessions are stored as: [{id, userId, createdAt, lastActivityAt, userAgent}, ...]
+ * @returns {Array} Array of session objects
+ */
+function getSessions() {
+    return readCollection('sessions');
+}
+
+/**
+ * Save sessions array to storage
+ * @param {Array} sessions - Array of session objects
+ */
+function saveSessions(sessions) {
+    writeCollection('sessions', sessions);
+}
+
+/**
+ * Generate a random session id
+ * @returns {string} 64 hex characters
+ */
+function generateSessionId() {
+    const bytes = crypto.getRandomValues(new Uint8Array(32));
+    return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Check if a session has passed its idle or absolute expiry
+ * @param {Object} session - Session object
+ * @param {number} now - Current time in ms
+ * @returns {boolean} True if expired
+ */
+function isSessionExpired(session, now = Date.now()) {
+    return now - session.lastActivityAt > SESSION_IDLE_TIMEOUT_MS ||
+           now - session.createdAt > SESSION_ABSOLUTE_TIMEOUT_MS;
 }
 
 /**
- * Set current logged-in user
+ * Start a new session for a user and make it this browser's session
+ * Expired sessions are pruned at the same time
  * @param {Object} user - User object
+ * @returns {Object} The new session
+ */
+function createSession(user) {
+    const now = Date.now();
+    const session = {
+        id: generateSessionId(),
+        userId: user.id,
+        createdAt: now,
+        lastActivityAt: now,
+        userAgent: typeof navigator !== 'undefined' ? navigator.userAgent : ''
+    };
+    
+    const sessions = getSessions().filter(s => !isSessionExpired(s, now));
+    sessions.push(session);
+    saveSessions(sessions);
+    getStorage().setItem(SESSION_ID_KEY, session.id);
+    
+    return session;
+}
+
+/**
+ * Get this browser's session if it is still valid
+ * An expired or revoked session is cleared
+ * @returns {Object|null} Session object or null
+ */
+function getCurrentSession() {
+    const sessionId = getStorage().getItem(SESSION_ID_KEY);
+    if (!sessionId) return null;
+    
+    const session = getSessions().find(s => s.id === sessionId);
+    if (!session || isSessionExpired(session)) {
+        if (session) revokeSession(session.id);
+        getStorage().removeItem(SESSION_ID_KEY);
+        return null;
+    }
+    
+    return session;
+}
+
+/**
+ * Record activity on this browser's session (resets the idle timer)
+ */
+function touchSession() {
+    const sessionId = getStorage().getItem(SESSION_ID_KEY);
+    const sessions = getSessions();
+    const session = sessions.find(s => s.id === sessionId);
+    if (session) {
+        session.lastActivityAt = Date.now();
+        saveSessions(sessions);
+    }
+}
+
+/**
+ * Revoke a session by id
+ * @param {string} sessionId - Session id
+ */
+function revokeSession(sessionId) {
+    saveSessions(getSessions().filter(s => s.id !== sessionId));
+}
+
+/**
+ * Get the active (unexpired) sessions of a user
+ * @param {number} userId - User ID
+ * @returns {Array} Sessions, most recently used first
+ */
+function getUserSessions(userId) {
+    return getSessions()
+        .filter(s => s.userId === userId && !isSessionExpired(s))
+        .sort((a, b) => b.lastActivityAt - a.lastActivityAt);
+}
+
+/**
+ * Revoke every session of a user ("log out everywhere")
+ * @param {number} userId - User ID
  */
-function setCurrentUser(user) {
-    localStorage.setItem('currentUser', JSON.stringify(user));
+function revokeUserSessions(userId) {
+    saveSessions(getSessions().filter(s => s.userId !== userId));
 }
 
 /**
- * Clear current user (logout)
+ * Get current logged-in user
+ * The user is looked up by id from the session on every call,
+ * so role or account changes apply immediately.
+ * @returns {Object|null} Current user object (without credential) or null
  */
-function clearCurrentUser() {
-    localStorage.removeItem('currentUser');
+function getCurrentUser() {
+    const session = getCurrentSession();
+    if (!session) return null;
+    
+    const user = getUserById(session.userId);
+    return user && isUserActive(user) ? toPublicUser(user) : null;
+}
+
+/**
+ * Clear this browser's session (logout)
+ */
+function clearCurrentSession() {
+    const sessionId = getStorage().getItem(SESSION_ID_KEY);
+    if (sessionId) revokeSession(sessionId);
+    getStorage().removeItem(SESSION_ID_KEY);
 }
 
 /**
  * Register a new user
+ * Teacher accounts start as 'pending' until an administrator approves them.
  * @param {string} name - User name
  * @param {string} email - User email
  * @param {string} password - User password
  * @param {string} role - User role ('teacher' or 'student')
- * @returns {Object} {success: boolean, message: string}
+ * @returns {Promise<Object>} {success: boolean, message: string, pending: boolean}
  */
-function registerUser(name, email, password, role = 'student') {
+async function registerUser(name, email, password, role = 'student') {
     const users = getUsers();
     
     // Validate inputs
@@ -73,44 +529,69 @@ function registerUser(name, email, password, role = 'student') {
     }
     
     // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
+    if (!EMAIL_REGEX.test(email)) {
         return { success: false, message: 'Please enter a valid email address!' };
     }
     
+    // Only students and teachers can sign up; admins are created by other admins
+    if (role !== 'student' && role !== 'teacher') {
+        return { success: false, message: 'Please select a valid account type!' };
+    }
+    
     // Check if email already exists
     if (users.some(u => u.email === email)) {
         return { success: false, message: 'Email already registered!' };
     }
     
     // Validate password length
-    if (password.length < 6) {
-        return { success: false, message: 'Password must be at least 6 characters!' };
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        return { success: false, message: passwordError };
+    }
+    
+    // Hash the password before storing it
+    let credential;
+    try {
+        credential = await hashPassword(password);
+    } catch (error) {
+        console.error('❌ Error hashing password:', error);
+        return { success: false, message: error.message };
+    }
+    
+    // Re-read users: another tab may have registered while hashing
+    const latestUsers = getUsers();
+    if (latestUsers.some(u => u.email === email)) {
+        return { success: false, message: 'Email already registered!' };
     }
     
     // Create new user with numeric ID
-    const maxId = users.length > 0 ? Math.max(...users.map(u => u.id || 0)) : 0;
+    const maxId = latestUsers.length > 0 ? Math.max(...latestUsers.map(u => u.id || 0)) : 0;
+    const pending = role === 'teacher';
     const newUser = {
         id: maxId + 1,
         name: name,
         email: email,
-        password: password, // In real app, this would be hashed
-        role: role
+        credential: credential,
+        role: role,
+        status: pending ? 'pending' : 'active'
     };
     
-    users.push(newUser);
-    saveUsers(users);
+    latestUsers.push(newUser);
+    saveUsers(latestUsers);
     
-    return { success: true, message: 'Registration successful!' };
+    if (pending) {
+        return { success: true, pending: true, message: 'Registration submitted! An administrator must approve your teacher account before you can log in.' };
+    }
+    return { success: true, pending: false, message: 'Registration successful!' };
 }
 
 /**
  * Login user
  * @param {string} email - User email
  * @param {string} password - User password
- * @returns {Object} {success: boolean, message: string, user: Object|null}
+ * @returns {Promise<Object>} {success: boolean, message: string, user: Object|null}
  */
-function loginUser(email, password) {
+async function loginUser(email, password) {
     const users = getUsers();
     
     // Validate inputs
@@ -118,29 +599,82 @@ function loginUser(email, password) {
         return { success: false, message: 'Please fill in all fields!', user: null };
     }
     
+    // Refuse early while the email is locked out or cooling down
+    const throttle = checkLoginThrottle(email);
+    if (throttle) {
+        return { success: false, message: throttle.message, lockedUntil: throttle.lockedUntil, user: null };
+    }
+    
     // Find user by email
     const user = users.find(u => u.email === email);
     
     if (!user) {
-        return { success: false, message: 'Invalid email or password!', user: null };
+        return loginFailed(email);
     }
     
     // Check password
-    if (user.password !== password) {
-        return { success: false, message: 'Invalid email or password!', user: null };
+    let passwordMatches;
+    try {
+        passwordMatches = await checkUserPassword(user, password);
+    } catch (error) {
+        console.error('❌ Error checking password:', error);
+        return { success: false, message: error.message, user: null };
+    }
+    
+    if (!passwordMatches) {
+        return loginFailed(email);
+    }
+    clearLoginFailures(email);
+    
+    // Only active accounts may sign in
+    if (user.status === 'pending') {
+        return { success: false, message: 'Your account is awaiting administrator approval.', user: null };
+    }
+    if (user.status === 'rejected') {
+        return { success: false, message: 'Your registration was rejected. Please contact an administrator.', user: null };
+    }
+    if (!isUserActive(user)) {
+        return { success: false, message: 'Your account has been disabled. Please contact an administrator.', user: null };
+    }
+    
+    // Upgrade plain-text or outdated credentials now that we know the password
+    if (needsCredentialUpgrade(user)) {
+        try {
+            const credential = await hashPassword(password);
+            const latestUsers = getUsers();
+            const stored = latestUsers.find(u => u.id === user.id);
+            if (stored) {
+                stored.credential = credential;
+                delete stored.password;
+                saveUsers(latestUsers);
+                console.log('✅ Upgraded stored credential for', user.email);
+            }
+        } catch (error) {
+            console.error('❌ Could not upgrade credential:', error);
+        }
     }
     
-    // Set current user
-    setCurrentUser(user);
+    // Start a new session
+    createSession(user);
     
-    return { success: true, message: 'Login successful!', user: user };
+    return { success: true, message: 'Login successful!', user: toPublicUser(user) };
 }
 
 /**
  * Logout user
  */
 function logoutUser() {
-    clearCurrentUser();
+    clearCurrentSession();
+    window.location.href = 'login.html';
+}
+
+/**
+ * Logout the current user from every browser and device
+ */
+function logoutEverywhere() {
+    const user = getCurrentUser();
+    if (user) revokeUserSessions(user.id);
+    getStorage().removeItem(SESSION_ID_KEY);
     window.location.href = 'login.html';
 }
 
@@ -153,55 +687,791 @@ function isAuthenticated() {
 }
 
 /**
- * Check if user has specific role
- * @param {string} role - Role to check ('teacher' or 'student')
- * @returns {boolean} True if user has the role
+ * Check if user has a role, or a higher one in the hierarchy
+ * e.g. hasRole('teacher') is true for teachers and admins
+ * @param {string} role - Role to check ('student', 'teacher' or 'admin')
+ * @returns {boolean} True if the user has the role or a higher one
  */
 function hasRole(role) {
     const user = getCurrentUser();
-    return user && user.role === role;
+    return !!user && roleAtLeast(user.role, role);
 }
 
 /**
  * Protect page - redirect to login if not authenticated
- * @param {string} requiredRole - Required role (optional, 'teacher' or 'student')
+ * @param {string} requiredRole - Minimum role (optional, 'student', 'teacher' or 'admin')
  */
 function protectPage(requiredRole = null) {
+    if (!isSetupComplete()) {
+        window.location.href = 'setup.html';
+        return;
+    }
+    
     if (!isAuthenticated()) {
         window.location.href = 'login.html';
         return;
     }
     
+    // Keep the session alive while the user is active
+    touchSession();
+    
+    // Accounts with a temporary password must change it first
+    if (getCurrentUser().mustChangePassword) {
+        window.location.href = 'change-password.html';
+        return;
+    }
+    
     if (requiredRole && !hasRole(requiredRole)) {
         alert('Access denied! You do not have permission to access this page.');
         window.location.href = 'index.html';
         return;
     }
+    
+    applyNavigationPermissions();
+}
+
+// ============================================
+// FIRST-RUN SETUP
+// ============================================
+
+/**
+ * Check if the initial administrator account has been created
+ * @returns {boolean} True once at least one user exists
+ */
+function isSetupComplete() {
+    return getUsers().length > 0;
+}
+
+/**
+ * Create the initial administrator account and sign it in
+ * Only allowed while no users exist
+ * @param {string} name - Administrator name
+ * @param {string} email - Administrator email
+ * @param {string} password - Chosen password
+ * @returns {Promise<Object>} {success: boolean, message: string}
+ */
+async function createInitialAdmin(name, email, password) {
+    if (isSetupComplete()) {
+        return { success: false, message: 'Setup has already been completed!' };
+    }
+    
+    if (!name || !email || !password) {
+        return { success: false, message: 'Please fill in all fields!' };
+    }
+    
+    if (!EMAIL_REGEX.test(email)) {
+        return { success: false, message: 'Please enter a valid email address!' };
+    }
+    
+    const passwordError = validatePassword(password);
+    if (passwordError) {
+        return { success: false, message: passwordError };
+    }
+    
+    let credential;
+    try {
+        credential = await hashPassword(password);
+    } catch (error) {
+        console.error('❌ Error hashing password:', error);
+        return { success: false, message: error.message };
+    }
+    
+    // Re-check: setup may have been completed in another tab while hashing
+    if (isSetupComplete()) {
+        return { success: false, message: 'Setup has already been completed!' };
+    }
+    
+    const admin = {
+        id: 1,
+        name: name,
+        email: email,
+        credential: credential,
+        role: 'admin',
+        status: 'active'
+    };
+    saveUsers([admin]);
+    createSession(admin);
+    
+    return { success: true, message: 'Administrator account created!' };
 }
 
+// ============================================
+// PROFILE EDITING
+// ============================================
+
 /**
- * Initialize default teacher account if no users exist
+ * Update a user's name and email
+ * Users can edit their own profile; changing the email (the login name)
+ * requires the current password. The user id never changes, so a student
+ * record linked through userId stays linked.
+ * @param {number} userId - User ID
+ * @param {string} name - New name
+ * @param {string} email - New email
+ * @param {string} currentPassword - Current password (needed only if the email changes)
+ * @returns {Promise<Object>} {success: boolean, message: string}
  */
-function initializeDefaultTeacher() {
+async function updateProfile(userId, name, email, currentPassword) {
+    const currentUser = getCurrentUser();
+    if (!currentUser || (currentUser.id !== userId && !hasPermission('users:manage'))) {
+        return { success: false, message: 'You can only edit your own profile!' };
+    }
+    
+    const user = getUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found!' };
+    }
+    
+    name = (name || '').trim();
+    email = (email || '').trim();
+    
+    // Validate inputs
+    if (!name || !email) {
+        return { success: false, message: 'Please fill in all fields!' };
+    }
+    
+    // Validate email format
+    if (!EMAIL_REGEX.test(email)) {
+        return { success: false, message: 'Please enter a valid email address!' };
+    }
+    
+    const emailChanged = email !== user.email;
+    if (emailChanged) {
+        if (getUsers().some(u => u.id !== userId && u.email === email)) {
+            return { success: false, message: 'Email already registered!' };
+        }
+        
+        // Only the owner confirms with their password; admins edit other accounts directly
+        if (currentUser.id === userId) {
+            try {
+                if (!currentPassword || !await checkUserPassword(user, currentPassword)) {
+                    return { success: false, message: 'Current password is incorrect!' };
+                }
+            } catch (error) {
+                console.error('❌ Error checking password:', error);
+                return { success: false, message: error.message };
+            }
+        }
+    }
+    
+    // Re-read in case the users changed while checking the password
     const users = getUsers();
+    const stored = users.find(u => u.id === userId);
+    stored.name = name;
+    stored.email = email;
+    saveUsers(users);
     
-    // Check if default teacher already exists
-    const teacherExists = users.some(u => u.email === 'teacher@emsi.ma');
-    
-    if (!teacherExists) {
-        const maxId = users.length > 0 ? Math.max(...users.map(u => u.id || 0)) : 0;
-        const defaultTeacher = {
-            id: maxId + 1,
-            name: 'Admin Teacher',
-            email: 'teacher@emsi.ma',
-            password: 'admin123',
-            role: 'teacher'
-        };
-        users.push(defaultTeacher);
+    if (emailChanged) {
+        recordAuditEvent('account.email-changed', { userId: userId, previousEmail: user.email });
+    }
+    
+    return { success: true, message: 'Profile updated successfully!' };
+}
+
+// ============================================
+// PASSWORD CHANGES
+// ============================================
+
+/**
+ * Change a user's password after checking the current one
+ * Clears the mustChangePassword flag.
+ * @param {number} userId - User ID
+ * @param {string} currentPassword - Current password
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} {success: boolean, message: string}
+ */
+async function changePassword(userId, currentPassword, newPassword) {
+    const user = getUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found!' };
+    }
+    
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+        return { success: false, message: passwordError };
+    }
+    
+    if (newPassword === currentPassword) {
+        return { success: false, message: 'The new password must be different from the current one!' };
+    }
+    
+    let credential;
+    try {
+        if (!await checkUserPassword(user, currentPassword)) {
+            return { success: false, message: 'Current password is incorrect!' };
+        }
+        credential = await hashPassword(newPassword);
+    } catch (error) {
+        console.error('❌ Error changing password:', error);
+        return { success: false, message: error.message };
+    }
+    
+    const users = getUsers();
+    const stored = users.find(u => u.id === userId);
+    stored.credential = credential;
+    delete stored.password;
+    delete stored.mustChangePassword;
+    saveUsers(users);
+    recordAuditEvent('password.changed', { userId: userId });
+    
+    return { success: true, message: 'Password changed successfully!' };
+}
+
+// ============================================
+// ACCOUNT ADMINISTRATION
+// ============================================
+
+/**
+ * Make sure the current user is an administrator
+ * @returns {Object|null} Error result, or null if allowed
+ */
+function requireAdmin() {
+    if (!hasPermission('users:manage')) {
+        return { success: false, message: 'Only administrators can manage accounts!' };
+    }
+    return null;
+}
+
+/**
+ * Count active administrators other than a given user
+ * @param {Array} users - Users array
+ * @param {number} excludeId - User ID to leave out
+ * @returns {number} Number of other active admins
+ */
+function countOtherActiveAdmins(users, excludeId) {
+    return users.filter(u => u.id !== excludeId && u.role === 'admin' && isUserActive(u)).length;
+}
+
+/**
+ * Update one stored user
+ * @param {number} userId - User ID
+ * @param {Function} update - Receives (user, users); returns an error message or nothing
+ * @returns {Object} {success: boolean, message: string}
+ */
+function updateUserAccount(userId, update) {
+    const denied = requireAdmin();
+    if (denied) return denied;
+    
+    const users = getUsers();
+    const user = users.find(u => u.id === userId);
+    if (!user) {
+        return { success: false, message: 'User not found!' };
+    }
+    
+    const error = update(user, users);
+    if (error) {
+        return { success: false, message: error };
+    }
+    
+    saveUsers(users);
+    return { success: true, message: 'Account updated successfully!' };
+}
+
+/**
+ * Get teacher registrations waiting for approval
+ * @returns {Array} Pending users (without credentials)
+ */
+function getPendingUsers() {
+    return getUsers().filter(u => u.status === 'pending').map(toPublicUser);
+}
+
+/**
+ * Approve a pending registration
+ * @param {number} userId - User ID
+ * @returns {Object} {success: boolean, message: string}
+ */
+function approveUser(userId) {
+    return updateUserAccount(userId, user => {
+        if (user.status !== 'pending') return 'This account is not waiting for approval!';
+        user.status = 'active';
+    });
+}
+
+/**
+ * Reject a pending registration
+ * @param {number} userId - User ID
+ * @returns {Object} {success: boolean, message: string}
+ */
+function rejectUser(userId) {
+    return updateUserAccount(userId, user => {
+        if (user.status !== 'pending') return 'This account is not waiting for approval!';
+        user.status = 'rejected';
+    });
+}
+
+/**
+ * Change a user's role
+ * The last active administrator cannot be demoted.
+ * @param {number} userId - User ID
+ * @param {string} role - New role ('student', 'teacher' or 'admin')
+ * @returns {Object} {success: boolean, message: string}
+ */
+function setUserRole(userId, role) {
+    return updateUserAccount(userId, (user, users) => {
+        if (!ROLE_LEVELS[role]) return 'Unknown role!';
+        if (user.role === 'admin' && role !== 'admin' && countOtherActiveAdmins(users, userId) === 0) {
+            return 'At least one administrator account must remain!';
+        }
+        user.role = role;
+    });
+}
+
+/**
+ * Disable or re-enable an account
+ * Disabling also ends all of the user's sessions.
+ * @param {number} userId - User ID
+ * @param {boolean} disabled - True to disable, false to enable
+ * @returns {Object} {success: boolean, message: string}
+ */
+function setUserDisabled(userId, disabled) {
+    const result = updateUserAccount(userId, (user, users) => {
+        if (disabled && user.role === 'admin' && countOtherActiveAdmins(users, userId) === 0) {
+            return 'At least one administrator account must remain!';
+        }
+        user.status = disabled ? 'disabled' : 'active';
+    });
+    
+    if (result.success && disabled) {
+        revokeUserSessions(userId);
+    }
+    return result;
+}
+
+/**
+ * Generate a random temporary password
+ * @returns {string} 12-character password
+ */
+function generateTemporaryPassword() {
+    // No look-alike characters (0/O, 1/l/I)
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789';
+    const bytes = crypto.getRandomValues(new Uint8Array(12));
+    return Array.from(bytes, b => alphabet[b % alphabet.length]).join('');
+}
+
+/**
+ * Reset a user's password to a temporary one
+ * The user must change it on next login, and existing sessions end.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} {success: boolean, message: string, temporaryPassword: string}
+ */
+async function resetUserPassword(userId) {
+    const denied = requireAdmin();
+    if (denied) return denied;
+    
+    const temporaryPassword = generateTemporaryPassword();
+    let credential;
+    try {
+        credential = await hashPassword(temporaryPassword);
+    } catch (error) {
+        console.error('❌ Error hashing password:', error);
+        return { success: false, message: error.message };
+    }
+    
+    const result = updateUserAccount(userId, user => {
+        user.credential = credential;
+        user.mustChangePassword = true;
+        delete user.password;
+    });
+    if (!result.success) return result;
+    
+    revokeUserSessions(userId);
+    recordAuditEvent('password.temporary-set', { userId: userId });
+    return { success: true, message: 'Password reset successfully!', temporaryPassword: temporaryPassword };
+}
+
+/**
+ * Set the modules and groups a teacher is assigned to
+ * @param {number} userId - User ID
+ * @param {Array} moduleIds - Module IDs the teacher may grade and manage
+ * @param {Array} groups - Groups the teacher is limited to (empty = no limit)
+ * @returns {Object} {success: boolean, message: string}
+ */
+function setUserAssignments(userId, moduleIds, groups) {
+    return updateUserAccount(userId, user => {
+        user.assignedModules = moduleIds.map(Number);
+        user.assignedGroups = groups.map(String);
+    });
+}
+
+/**
+ * Assign a module to a user without an admin check
+ * Used when a teacher creates a module so they can keep managing it.
+ * @param {number} userId - User ID
+ * @param {number} moduleId - Module ID
+ */
+function addModuleAssignment(userId, moduleId) {
+    const users = getUsers();
+    const user = users.find(u => u.id === userId);
+    if (!user) return;
+    
+    user.assignedModules = user.assignedModules || [];
+    if (!user.assignedModules.includes(moduleId)) {
+        user.assignedModules.push(moduleId);
         saveUsers(users);
     }
 }
 
-// Initialize default teacher on load
-initializeDefaultTeacher();
+// ============================================
+// AUDIT TRAIL
+// ============================================
+
+// Oldest entries are dropped past this size
+const MAX_AUDIT_ENTRIES = 500;
+
+/**
+ * Get recorded audit events, newest first
+ * @param {string} actionPrefix - Optional filter, e.g. 'password.'
+ * @returns {Array} Events {id, action, at, actorId, userId, ...}
+ */
+function getAuditLog(actionPrefix) {
+    const events = readCollection('auditLog').slice().reverse();
+    return actionPrefix ? events.filter(e => e.action.startsWith(actionPrefix)) : events;
+}
 
+/**
+ * Record a security-relevant event
+ * @param {string} action - Event name, e.g. 'password.reset-code-issued'
+ * @param {Object} details - Extra fields (userId, email, ...)
+ */
+function recordAuditEvent(action, details = {}) {
+    const events = readCollection('auditLog');
+    const actor = getCurrentUser();
+    const maxId = events.length > 0 ? Math.max(...events.map(e => e.id)) : 0;
+    
+    events.push({
+        id: maxId + 1,
+        action: action,
+        at: Date.now(),
+        actorId: actor ? actor.id : null,
+        ...details
+    });
+    writeCollection('auditLog', events.slice(-MAX_AUDIT_ENTRIES));
+}
+
+// ============================================
+// PASSWORD RESET CODES
+// ============================================
+
+// How long a reset code stays valid
+const RESET_CODE_TTL_MS = 30 * 60 * 1000;
+
+// Wrong guesses allowed before a code is burnt
+const MAX_RESET_CODE_ATTEMPTS = 5;
+
+// Unambiguous upper-case letters and digits (32 characters, so no modulo bias)
+const RESET_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+/**
+ * Hash a reset code so stored codes cannot be read back
+ * @param {string} code - Reset code
+ * @returns {Promise<string>} Hex SHA-256 digest
+ */
+async function hashResetCode(code) {
+    const normalized = code.replace(/[\s-]/g, '').toUpperCase();
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(normalized));
+    return Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Generate a random reset code formatted as XXXX-XXXX
+ * @returns {string} Reset code
+ */
+function generateResetCode() {
+    const bytes = crypto.getRandomValues(new Uint8Array(8));
+    const chars = Array.from(bytes, b => RESET_CODE_ALPHABET[b % RESET_CODE_ALPHABET.length]).join('');
+    return `${chars.slice(0, 4)}-${chars.slice(4)}`;
+}
+
+/**
+ * Check if the current user may issue a reset code for an account
+ * Teachers can only reset student accounts; administrators can reset anyone.
+ * @param {Object} user - Target user
+ * @returns {boolean} True if allowed
+ */
+function canIssueResetCode(user) {
+    if (!hasPermission('passwords:reset')) return false;
+    return hasPermission('users:manage') || user.role === 'student';
+}
+
+/**
+ * Issue a one-time reset code for a user
+ * Any earlier unused code for the same user stops working.
+ * @param {number} userId - User ID
+ * @returns {Promise<Object>} {success, message, code, link, expiresAt}
+ */
+async function issuePasswordResetCode(userId) {
+    const user = getUserById(userId);
+    if (!user) {
+        return { success: false, message: 'User not found!' };
+    }
+    if (!canIssueResetCode(user)) {
+        return { success: false, message: 'You are not allowed to reset this account\'s password!' };
+    }
+    
+    const code = generateResetCode();
+    let codeHash;
+    try {
+        codeHash = await hashResetCode(code);
+    } catch (error) {
+        console.error('❌ Error creating reset code:', error);
+        return { success: false, message: error.message };
+    }
+    
+    const now = Date.now();
+    const resets = readCollection('passwordResets').filter(r => r.userId !== userId && r.expiresAt > now && !r.usedAt);
+    resets.push({
+        userId: userId,
+        codeHash: codeHash,
+        createdBy: getCurrentUser().id,
+        createdAt: now,
+        expiresAt: now + RESET_CODE_TTL_MS,
+        attempts: 0,
+        usedAt: null
+    });
+    writeCollection('passwordResets', resets);
+    recordAuditEvent('password.reset-code-issued', { userId: userId });
+    
+    const link = `reset-password.html?email=${encodeURIComponent(user.email)}&code=${encodeURIComponent(code)}`;
+    return { success: true, message: 'Reset code created!', code: code, link: link, expiresAt: now + RESET_CODE_TTL_MS };
+}
+
+/**
+ * Set a new password using a one-time reset code
+ * The code is single-use; all of the user's sessions end afterwards.
+ * @param {string} email - Account email
+ * @param {string} code - Reset code
+ * @param {string} newPassword - New password
+ * @returns {Promise<Object>} {success: boolean, message: string}
+ */
+async function resetPasswordWithCode(email, code, newPassword) {
+    const invalid = { success: false, message: 'This reset code is invalid or has expired!' };
+    
+    if (!email || !code || !newPassword) {
+        return { success: false, message: 'Please fill in all fields!' };
+    }
+    
+    const passwordError = validatePassword(newPassword);
+    if (passwordError) {
+        return { success: false, message: passwordError };
+    }
+    
+    const user = getUsers().find(u => u.email === email);
+    if (!user) return invalid;
+    
+    let codeHash;
+    let credential;
+    try {
+        codeHash = await hashResetCode(code);
+        credential = await hashPassword(newPassword);
+    } catch (error) {
+        console.error('❌ Error resetting password:', error);
+        return { success: false, message: error.message };
+    }
+    
+    const now = Date.now();
+    const resets = readCollection('passwordResets');
+    const reset = resets.find(r => r.userId === user.id && !r.usedAt && r.expiresAt > now);
+    if (!reset) return invalid;
+    
+    if (reset.codeHash !== codeHash) {
+        // Too many wrong guesses burn the code
+        reset.attempts = (reset.attempts || 0) + 1;
+        if (reset.attempts >= MAX_RESET_CODE_ATTEMPTS) {
+            reset.usedAt = now;
+        }
+        writeCollection('passwordResets', resets);
+        recordAuditEvent('password.reset-code-rejected', { userId: user.id });
+        return invalid;
+    }
+    
+    reset.usedAt = now;
+    writeCollection('passwordResets', resets);
+    
+    const users = getUsers();
+    const stored = users.find(u => u.id === user.id);
+    stored.credential = credential;
+    delete stored.password;
+    delete stored.mustChangePassword;
+    saveUsers(users);
+    
+    revokeUserSessions(user.id);
+    clearLoginFailures(user.email);
+    recordAuditEvent('password.reset-code-used', { userId: user.id });
+    
+    return { success: true, message: 'Password reset successfully!' };
+}
+
+// ============================================
+// LOGIN THROTTLING
+// ============================================
+
+// Failed logins allowed before the email is locked
+const MAX_LOGIN_FAILURES = 5;
+
+// How long a lockout lasts
+const LOCKOUT_DURATION_MS = 15 * 60 * 1000;
+
+// Longest wait between two attempts before the lockout kicks in
+const MAX_LOGIN_DELAY_MS = 30 * 1000;
+
+/**
+ * Normalize an email for use as a throttling key
+ * @param {string} email - Email address
+ * @returns {string} Lower-cased, trimmed email
+ */
+function getThrottleKey(email) {
+    return String(email).trim().toLowerCase();
+}
+
+/**
+ * Get the wait required after a number of consecutive failures
+ * The first failure is free, then the wait doubles: 1s, 2s, 4s...
+ * @param {number} failures - Consecutive failures
+ * @returns {number} Delay in milliseconds
+ */
+function getLoginDelayMs(failures) {
+    if (failures < 2) return 0;
+    return Math.min(1000 * Math.pow(2, failures - 2), MAX_LOGIN_DELAY_MS);
+}
+
+/**
+ * Format a timestamp as a local time for messages
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string} e.g. "14:35"
+ */
+function formatUnlockTime(timestamp) {
+    return new Date(timestamp).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Check if a login attempt for an email must be refused right now
+ * @param {string} email - Email address
+ * @returns {Object|null} {message, lockedUntil} or null if the attempt may go ahead
+ */
+function checkLoginThrottle(email) {
+    const record = readCollection('loginAttempts').find(a => a.email === getThrottleKey(email));
+    if (!record) return null;
+    
+    const now = Date.now();
+    if (record.lockedUntil && record.lockedUntil > now) {
+        return {
+            message: `Too many failed attempts. This account is locked until ${formatUnlockTime(record.lockedUntil)}.`,
+            lockedUntil: record.lockedUntil
+        };
+    }
+    
+    const retryAt = record.lastFailureAt + getLoginDelayMs(record.failures);
+    if (retryAt > now) {
+        const seconds = Math.ceil((retryAt - now) / 1000);
+        return {
+            message: `Too many failed attempts. Please wait ${seconds} second${seconds === 1 ? '' : 's'} before trying again.`,
+            lockedUntil: null
+        };
+    }
+    return null;
+}
+
+/**
+ * Count a failed login and lock the email once the limit is reached
+ * @param {string} email - Email address
+ * @returns {Object} Failed login result for loginUser
+ */
+function loginFailed(email) {
+    const key = getThrottleKey(email);
+    const now = Date.now();
+    const attempts = readCollection('loginAttempts');
+    let record = attempts.find(a => a.email === key);
+    
+    // A lockout that has run out starts a fresh count
+    if (record && record.lockedUntil && record.lockedUntil <= now) {
+        record.failures = 0;
+        record.lockedUntil = null;
+    }
+    if (!record) {
+        record = { email: key, failures: 0, lastFailureAt: now, lockedUntil: null };
+        attempts.push(record);
+    }
+    
+    record.failures += 1;
+    record.lastFailureAt = now;
+    
+    if (record.failures >= MAX_LOGIN_FAILURES) {
+        record.lockedUntil = now + LOCKOUT_DURATION_MS;
+        writeCollection('loginAttempts', attempts);
+        const user = getUsers().find(u => getThrottleKey(u.email) === key);
+        recordAuditEvent('login.locked', { userId: user ? user.id : null, email: key });
+        return {
+            success: false,
+            message: `Too many failed attempts. This account is locked until ${formatUnlockTime(record.lockedUntil)}.`,
+            lockedUntil: record.lockedUntil,
+            user: null
+        };
+    }
+    
+    writeCollection('loginAttempts', attempts);
+    const remaining = MAX_LOGIN_FAILURES - record.failures;
+    return {
+        success: false,
+        message: remaining <= 2
+            ? `Invalid email or password! ${remaining} attempt${remaining === 1 ? '' : 's'} left before the account is locked.`
+            : 'Invalid email or password!',
+        user: null
+    };
+}
+
+/**
+ * Forget the failed logins for an email
+ * @param {string} email - Email address
+ */
+function clearLoginFailures(email) {
+    const key = getThrottleKey(email);
+    const attempts = readCollection('loginAttempts');
+    if (attempts.some(a => a.email === key)) {
+        writeCollection('loginAttempts', attempts.filter(a => a.email !== key));
+    }
+}
+
+/**
+ * Check if the current user may see and clear a lockout
+ * Teachers can only manage student accounts; administrators can manage any email.
+ * @param {Object|null} user - Account the email belongs to (null if unknown)
+ * @returns {boolean} True if allowed
+ */
+function canManageLockout(user) {
+    if (!hasPermission('lockouts:manage')) return false;
+    return hasPermission('users:manage') || (!!user && user.role === 'student');
+}
+
+/**
+ * Get the lockouts currently in force that the current user may manage
+ * @returns {Array} {email, lockedUntil, failures, user} objects
+ */
+function getActiveLockouts() {
+    const now = Date.now();
+    const users = getUsers();
+    
+    return readCollection('loginAttempts')
+        .filter(a => a.lockedUntil && a.lockedUntil > now)
+        .map(a => {
+            const user = users.find(u => getThrottleKey(u.email) === a.email);
+            return { ...a, user: user ? toPublicUser(user) : null };
+        })
+        .filter(a => canManageLockout(a.user));
+}
+
+/**
+ * Lift a lockout before it expires
+ * @param {string} email - Locked email
+ * @returns {Object} {success: boolean, message: string}
+ */
+function clearLockout(email) {
+    const key = getThrottleKey(email);
+    const user = getUsers().find(u => getThrottleKey(u.email) === key);
+    
+    if (!canManageLockout(user ? toPublicUser(user) : null)) {
+        return { success: false, message: 'You are not allowed to unlock this account!' };
+    }
+    
+    clearLoginFailures(key);
+    recordAuditEvent('login.unlocked', { userId: user ? user.id : null, email: key });
+    return { success: true, message: 'Account unlocked!' };
+}
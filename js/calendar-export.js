@@ -0,0 +1,300 @@
+/**
+ * ============================================
+ * calendar-export.js - iCalendar (.ics) Export
+ * ============================================
+ *
+ * Builds RFC 5545 calendars from the exam schedule and the weekly timetable
+ * of the selected term, so they can be imported into any calendar app.
+ *
+ * This file handles:
+ * - Calendars per student, per group or per teacher
+ * - Exams as single events, timetable classes as weekly recurring events
+ * - Stable UIDs: importing an updated file again updates the events
+ *   instead of duplicating them (SEQUENCE and LAST-MODIFIED tell calendar
+ *   apps which copy of a rescheduled exam or moved class is newer)
+ * - Downloading the calendar as a .ics file
+ *
+ * Times are written as floating local times (no time zone), like the times
+ * entered in the app. Requires data.js.
+ */
+
+// Domain part of every event UID (never change it: calendar apps match events by UID)
+const ICAL_UID_DOMAIN = 'emsisystem';
+
+// Identifies the app in the exported calendars
+const ICAL_PRODUCT_ID = '-//EMSISystem//Student Management System//EN';
+
+// ============================================
+// FORMATTING
+// ============================================
+
+/**
+ * Escape a text value (commas, semicolons, backslashes and line breaks)
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeICalText(text) {
+    return String(text || '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets, continuation lines starting with a space
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+function foldICalLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    
+    // Multi-byte characters are never split across lines
+    for (const char of line) {
+        const size = encoder.encode(char).length;
+        if (octets + size > 75) {
+            parts.push(current);
+            current = ' ';
+            octets = 1;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n');
+}
+
+/**
+ * Format a date as an iCalendar DATE
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string} e.g. "20250612"
+ */
+function formatICalDate(date) {
+    return date.replace(/-/g, '');
+}
+
+/**
+ * Format a date and time as a floating iCalendar DATE-TIME
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @param {string} time - Time (HH:MM)
+ * @returns {string} e.g. "20250612T083000"
+ */
+function formatICalDateTime(date, time) {
+    return `${formatICalDate(date)}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Format an instant as a UTC iCalendar DATE-TIME (for DTSTAMP)
+ * @param {Date} date - Instant
+ * @returns {string} e.g. "20250612T063000Z"
+ */
+function formatICalTimestamp(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build the version lines of an exam or a class (SEQUENCE, and LAST-MODIFIED when known)
+ * @param {Object} record - Exam session or timetable slot
+ * @returns {Array} Content lines
+ */
+function buildICalVersion(record) {
+    const lines = [`SEQUENCE:${record.sequence || 0}`];
+    if (record.updatedAt) lines.push(`LAST-MODIFIED:${formatICalTimestamp(new Date(record.updatedAt))}`);
+    return lines;
+}
+
+/**
+ * Format a local Date as YYYY-MM-DD
+ * @param {Date} date - Date
+ * @returns {string} Date string
+ */
+function toDateString(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+}
+
+// ============================================
+// EVENTS
+// ============================================
+
+/**
+ * Build the VEVENT of a scheduled exam
+ * @param {Object} exam - Exam session
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array} Content lines
+ */
+function buildExamEvent(exam, stamp) {
+    const module = getModuleById(exam.moduleId);
+    const moduleName = module ? module.name : 'Exam';
+    const invigilators = exam.invigilators.map(id => getUserById(id)).filter(u => u).map(u => u.name);
+    const description = [
+        `Module: ${moduleName}`,
+        `Group: ${exam.group || 'All groups'}`,
+        invigilators.length > 0 ? `Invigilators: ${invigilators.join(', ')}` : null
+    ].filter(line => line).join('\n');
+    
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:exam-${exam.id}@${ICAL_UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        ...buildICalVersion(exam)
+    ];
+    
+    // Exams without times (from the old module exam dates) last all day
+    if (exam.startTime && exam.endTime) {
+        lines.push(`DTSTART:${formatICalDateTime(exam.date, exam.startTime)}`);
+        lines.push(`DTEND:${formatICalDateTime(exam.date, exam.endTime)}`);
+    } else {
+        const nextDay = new Date(`${exam.date}T00:00:00`);
+        nextDay.setDate(nextDay.getDate() + 1);
+        lines.push(`DTSTART;VALUE=DATE:${formatICalDate(exam.date)}`);
+        lines.push(`DTEND;VALUE=DATE:${formatICalDate(toDateString(nextDay))}`);
+    }
+    
+    lines.push(`SUMMARY:${escapeICalText(`Exam: ${moduleName}`)}`);
+    if (exam.room) lines.push(`LOCATION:${escapeICalText(exam.room)}`);
+    lines.push(`DESCRIPTION:${escapeICalText(description)}`);
+    lines.push('CATEGORIES:Exam');
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build the weekly recurring VEVENT of a timetable class
+ * The class repeats from the term's start to its end (from today when the term has no dates).
+ * @param {Object} slot - Timetable slot
+ * @param {Object|null} term - Selected semester
+ * @param {string} stamp - DTSTAMP value
+ * @returns {Array} Content lines
+ */
+function buildClassEvent(slot, term, stamp) {
+    const module = getModuleById(slot.moduleId);
+    const moduleName = module ? module.name : 'Class';
+    const teacher = slot.teacherId ? getUserById(slot.teacherId) : null;
+    const description = [
+        `Module: ${moduleName}`,
+        `Group: ${slot.group || 'All groups'}`,
+        teacher ? `Teacher: ${teacher.name}` : null
+    ].filter(line => line).join('\n');
+    
+    // The first occurrence is the first matching weekday of the term
+    const first = new Date(`${term && term.startDate ? term.startDate : toDateString(new Date())}T00:00:00`);
+    while (first.getDay() !== slot.day) {
+        first.setDate(first.getDate() + 1);
+    }
+    const firstDate = toDateString(first);
+    const until = term && term.endDate ? `;UNTIL=${formatICalDate(term.endDate)}T235959` : '';
+    
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:class-${slot.id}@${ICAL_UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        ...buildICalVersion(slot),
+        `DTSTART:${formatICalDateTime(firstDate, slot.startTime)}`,
+        `DTEND:${formatICalDateTime(firstDate, slot.endTime)}`,
+        `RRULE:FREQ=WEEKLY${until}`,
+        `SUMMARY:${escapeICalText(moduleName)}`
+    ];
+    if (slot.room) lines.push(`LOCATION:${escapeICalText(slot.room)}`);
+    lines.push(`DESCRIPTION:${escapeICalText(description)}`);
+    lines.push('CATEGORIES:Class');
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Build a complete calendar
+ * @param {string} name - Calendar name shown by calendar apps
+ * @param {Array} exams - Exam sessions to include
+ * @param {Array} slots - Timetable slots to include
+ * @returns {string} iCalendar text (CRLF line endings)
+ */
+function buildICalendar(name, exams, slots) {
+    const stamp = formatICalTimestamp(new Date());
+    const term = getSelectedTerm();
+    
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${ICAL_PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICalText(name)}`
+    ];
+    exams.forEach(exam => lines.push(...buildExamEvent(exam, stamp)));
+    slots.forEach(slot => lines.push(...buildClassEvent(slot, term, stamp)));
+    lines.push('END:VCALENDAR');
+    
+    return lines.map(foldICalLine).join('\r\n') + '\r\n';
+}
+
+// ============================================
+// CALENDARS
+// ============================================
+
+/**
+ * Name a calendar after its owner and the selected term
+ * @param {string} owner - Student, group or teacher name
+ * @returns {string} e.g. "G1 - S1" (just the owner when no term is selected)
+ */
+function getICalendarName(owner) {
+    const term = getSelectedTerm();
+    return term ? `${owner} - ${term.name}` : owner;
+}
+
+/**
+ * Build the calendar of a group (its exams and classes, including those for every group)
+ * @param {string} group - Group name
+ * @returns {Object|null} {name, content} or null if the group is empty
+ */
+function getGroupICalendar(group) {
+    if (!group) return null;
+    const name = getICalendarName(group);
+    return { name: name, content: buildICalendar(name, getGroupExams(group), getGroupTimetable(group)) };
+}
+
+/**
+ * Build the calendar of a student, from their group
+ * @param {number} studentId - Student ID
+ * @returns {Object|null} {name, content} or null if the student is not found
+ */
+function getStudentICalendar(studentId) {
+    const student = getStudentById(studentId);
+    if (!student) return null;
+    const name = getICalendarName(student.name);
+    return { name: name, content: buildICalendar(name, getGroupExams(student.group), getGroupTimetable(student.group)) };
+}
+
+/**
+ * Build the calendar of a teacher: the classes they give, the exams they
+ * invigilate and the exams of their assigned modules
+ * @param {number} userId - Teacher's user ID
+ * @returns {Object|null} {name, content} or null if the user is not found
+ */
+function getTeacherICalendar(userId) {
+    const user = getUserById(userId);
+    if (!user) return null;
+    const assignedModules = user.assignedModules || [];
+    const exams = sortExams(getExamSessions().filter(e =>
+        e.invigilators.includes(user.id) || assignedModules.includes(e.moduleId)));
+    const name = getICalendarName(user.name);
+    return { name: name, content: buildICalendar(name, exams, getTeacherTimetable(user.id)) };
+}
+
+/**
+ * Download a calendar as a .ics file
+ * @param {Object} calendar - {name, content} from one of the functions above
+ */
+function downloadICalendar(calendar) {
+    const blob = new Blob([calendar.content], { type: 'text/calendar;charset=utf-8' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${calendar.name.replace(/[^\p{L}\p{N}]+/gu, '-').replace(/^-|-$/g, '') || 'calendar'}.ics`;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+}
@@ -5,6 +5,7 @@
  * 
  * Complete dashboard with teacher and student views
  * Includes: metrics, charts, attendance, ranking, insights
+ * Averages, mentions, statuses and ranks come from results-engine.js
  */
 
 // Global calendar variables
@@ -12,57 +13,16 @@ window.currentMonth = new Date().getMonth();
 window.currentYear = new Date().getFullYear();
 
 /**
- * Calculate average grade for a student
- */
-function calculateStudentAverage(studentId) {
-    const modules = getModules();
-    const studentGrades = getStudentGrades(studentId);
-    
-    if (modules.length === 0 || Object.keys(studentGrades).length === 0) {
-        return null;
-    }
-    
-    let totalPoints = 0;
-    let totalCoefficient = 0;
-    
-    modules.forEach(module => {
-        const grade = studentGrades[module.id];
-        if (grade !== undefined && grade !== null) {
-            totalPoints += grade * module.coefficient;
-            totalCoefficient += module.coefficient;
-        }
-    });
-    
-    if (totalCoefficient === 0) {
-        return null;
-    }
-    
-    return totalPoints / totalCoefficient;
-}
-
-/**
- * Get mention based on average
- */
-function getMention(average) {
-    if (average >= 16) return 'Très Bien';
-    if (average >= 14) return 'Bien';
-    if (average >= 12) return 'Assez Bien';
-    if (average >= 10) return 'Passable';
-    return 'Ajourné';
-}
-
-/**
- * Get all students with averages
+ * Get all students with averages (students without grades are left out)
+ * Averages come from the shared results engine (results-engine.js)
  */
 function getAllStudentsWithAverages() {
-    const students = getStudents();
-    return students.map(student => {
-        const average = calculateStudentAverage(student.id);
-        return {
-            ...student,
-            average: average
-        };
-    }).filter(s => s.average !== null);
+    return calculateAllResults()
+        .filter(r => r.average !== null)
+        .map(r => ({
+            ...r.student,
+            average: r.average
+        }));
 }
 
 /**
@@ -119,7 +79,7 @@ function displayTeacherStatistics() {
             color: 'var(--success)'
         },
         {
-            value: classAverage.toFixed(1) + '/20',
+            value: formatGrade(classAverage, 1),
             label: 'Class Average',
             icon: '📊',
             trend: '+0.8',
@@ -184,21 +144,14 @@ function findBestStudent() {
 }
 
 /**
- * Calculate success rate
+ * Calculate success rate (students who passed, module rules included)
  */
 function calculateSuccessRate() {
-    const students = getStudents();
-    if (students.length === 0) return 0;
-    
-    let passedCount = 0;
-    students.forEach(student => {
-        const average = calculateStudentAverage(student.id);
-        if (average !== null && average >= 10) {
-            passedCount++;
-        }
-    });
+    const results = calculateAllResults();
+    if (results.length === 0) return 0;
     
-    return Math.round((passedCount / students.length) * 100);
+    const passedCount = results.filter(r => r.passed).length;
+    return Math.round((passedCount / results.length) * 100);
 }
 
 /**
@@ -229,22 +182,19 @@ function updatePerformanceChart() {
         .sort((a, b) => b.average - a.average)
         .slice(0, 10);
     
-    const maxAverage = Math.max(...topStudents.map(s => s.average), 20);
+    const maxAverage = Math.max(...topStudents.map(s => s.average), getGradingScheme().scaleMax);
     
     let chartHTML = '<div class="bar-chart">';
     
     topStudents.forEach(student => {
         const percentage = (student.average / maxAverage) * 100;
-        const color = student.average >= 16 ? 'var(--success)' : 
-                     student.average >= 14 ? 'var(--info)' : 
-                     student.average >= 12 ? 'var(--warning)' : 
-                     student.average >= 10 ? 'var(--primary)' : 'var(--danger)';
+        const color = getGradeColor(student.average);
         
         chartHTML += `
             <div class="bar-chart-item">
                 <div class="bar-chart-label">
                     <span>${student.name}</span>
-                    <span class="bar-value">${student.average.toFixed(1)}/20</span>
+                    <span class="bar-value">${formatGrade(student.average, 1)}</span>
                 </div>
                 <div class="bar-chart-bar">
                     <div class="bar-fill" style="width: ${percentage}%; background: ${color};"></div>
@@ -258,7 +208,7 @@ function updatePerformanceChart() {
 }
 
 /**
- * Display grade distribution bar chart (0-20)
+ * Display grade distribution bar chart (one bar per mention band)
  */
 function displayGradeBarChart() {
     const studentsWithAverages = getAllStudentsWithAverages();
@@ -269,22 +219,18 @@ function displayGradeBarChart() {
         return;
     }
     
-    // Create ranges: 0-4, 5-9, 10-12, 13-15, 16-18, 19-20
-    const ranges = [
-        { label: '0-4', min: 0, max: 4, count: 0, color: 'var(--danger)' },
-        { label: '5-9', min: 5, max: 9, count: 0, color: 'var(--warning)' },
-        { label: '10-12', min: 10, max: 12, count: 0, color: 'var(--primary)' },
-        { label: '13-15', min: 13, max: 15, count: 0, color: 'var(--info)' },
-        { label: '16-18', min: 16, max: 18, count: 0, color: 'var(--success)' },
-        { label: '19-20', min: 19, max: 20, count: 0, color: 'var(--success)' }
-    ];
+    // One range per mention band, from the lowest band up
+    const bands = getGradingScheme().bands;
+    const ranges = bands.map((band, index) => ({
+        label: `${band.label} (${band.min}-${index === 0 ? getGradingScheme().scaleMax : bands[index - 1].min})`,
+        band: band,
+        count: 0,
+        color: GRADE_LEVELS[band.level].color
+    })).reverse();
     
     studentsWithAverages.forEach(student => {
-        ranges.forEach(range => {
-            if (student.average >= range.min && student.average <= range.max) {
-                range.count++;
-            }
-        });
+        const band = getGradeBand(student.average);
+        ranges.find(range => range.band.min === band.min).count++;
     });
     
     const maxCount = Math.max(...ranges.map(r => r.count));
@@ -323,10 +269,9 @@ function displayPassFailChart() {
     let passed = 0;
     let failed = 0;
     
-    students.forEach(student => {
-        const average = calculateStudentAverage(student.id);
-        if (average !== null) {
-            if (average >= 10) passed++;
+    calculateAllResults().forEach(result => {
+        if (result.average !== null) {
+            if (result.passed) passed++;
             else failed++;
         }
     });
@@ -387,7 +332,7 @@ function displayTopWorstStudents() {
     let html = '<div class="top-students">';
     
     if (bestStudent) {
-        const mention = getMention(bestStudent.average);
+        const mention = getMention(bestStudent.average).text;
         html += `
             <div class="top-student-item best">
                 <div class="top-student-rank" style="background: var(--success);">🏆</div>
@@ -404,7 +349,7 @@ function displayTopWorstStudents() {
     }
     
     if (worstStudent) {
-        const mention = getMention(worstStudent.average);
+        const mention = getMention(worstStudent.average).text;
         html += `
             <div class="top-student-item worst">
                 <div class="top-student-rank" style="background: var(--danger);">📉</div>
@@ -434,7 +379,7 @@ function displayTopWorstStudents() {
 function displaySuccessMetrics() {
     const successRate = calculateSuccessRate();
     const classAverage = calculateOverallAverage();
-    const averagePercentage = (classAverage / 20) * 100;
+    const averagePercentage = (classAverage / getGradingScheme().scaleMax) * 100;
     
     const container = document.getElementById('successMetrics');
     
@@ -475,16 +420,17 @@ function displaySuccessMetrics() {
 }
 
 /**
- * Display attendance metrics (simulated)
+ * Display attendance metrics from the recorded roll calls
  */
 function displayAttendanceMetrics() {
     const students = getStudents();
     const container = document.getElementById('attendanceMetrics');
+    if (!container) return;
     
-    // Simulate attendance data (in real app, this would come from attendance records)
-    const totalDays = 30;
-    const averageAttendance = 85; // Simulated
-    const attendancePercentage = averageAttendance;
+    // Share of recorded roll-call entries where the student was present or late
+    const attendanceRate = getAttendanceRate(students);
+    const attendancePercentage = attendanceRate !== null ? attendanceRate : 0;
+    const sessionCount = getClassSessions().filter(s => !s.imported).length;
     
     container.innerHTML = `
         <div class="metrics-grid">
@@ -498,7 +444,7 @@ function displayAttendanceMetrics() {
                                 stroke-dashoffset="78.5" transform="rotate(-90 60 60)"></circle>
                     </svg>
                     <div class="donut-text">
-                        <div class="donut-value">${attendancePercentage}%</div>
+                        <div class="donut-value">${attendanceRate !== null ? attendancePercentage + '%' : 'N/A'}</div>
                         <div class="donut-label">Attendance</div>
                     </div>
                 </div>
@@ -509,64 +455,147 @@ function displayAttendanceMetrics() {
                     <div style="font-size: 12px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em;">Total Students</div>
                 </div>
             </div>
+            <div class="metric-item">
+                <div style="text-align: center; padding: var(--spacing-md);">
+                    <div style="font-size: 32px; font-weight: 700; color: var(--text-primary); margin-bottom: 4px;">${sessionCount}</div>
+                    <div style="font-size: 12px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em;">Sessions Taken</div>
+                </div>
+            </div>
         </div>
     `;
 }
 
+// Line colours of the trend charts, in series order
+const TREND_COLORS = ['var(--primary)', 'var(--success)', 'var(--warning)', 'var(--info)', 'var(--danger)', 'var(--text-secondary)'];
+
 /**
- * Display performance trends line chart
+ * Fill a trend window select with TREND_WINDOWS, keeping the current choice
  */
-function displayTrendsChart() {
-    const container = document.getElementById('trendsChart');
-    
-    // Simulate trend data (in real app, this would track historical data)
-    const months = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'];
-    const averages = [12.5, 13.2, 13.8, 14.1, 14.5, 14.8]; // Simulated trend
+function populateTrendWindowSelect(select) {
+    if (!select || select.options.length > 0) return;
+    select.innerHTML = Object.entries(TREND_WINDOWS).map(([key, trendWindow]) =>
+        `<option value="${key}" ${key === 'quarter' ? 'selected' : ''}>${trendWindow.label}</option>`
+    ).join('');
+}
+
+/**
+ * Draw a trend (from calculateAverageTrends) as a multi-line SVG chart
+ * Points without data break the line.
+ */
+function renderTrendChart(container, trend, caption) {
+    const hasData = trend.series.some(s => s.values.some(v => v !== null));
+    if (!hasData) {
+        container.innerHTML = '<p class="empty-state">No grade history for this period</p>';
+        return;
+    }
     
-    const maxValue = 20;
+    const maxValue = getGradingScheme().scaleMax;
     const chartHeight = 200;
-    const chartWidth = 100;
-    const points = [];
+    const chartWidth = 300;
+    const count = trend.dates.length;
+    const x = index => (index / (count - 1)) * chartWidth;
+    const y = value => chartHeight - (value / maxValue) * chartHeight;
+    
+    const lines = trend.series.map((serie, serieIndex) => {
+        const color = TREND_COLORS[serieIndex % TREND_COLORS.length];
+        let path = '';
+        serie.values.forEach((value, index) => {
+            if (value === null) return;
+            const previous = serie.values[index - 1];
+            path += `${index === 0 || previous === null ? 'M' : 'L'} ${x(index)},${y(value)} `;
+        });
+        const dots = serie.values.map((value, index) => value === null ? '' :
+            `<circle cx="${x(index)}" cy="${y(value)}" r="3" fill="${color}"><title>${serie.name}: ${formatGrade(value)}</title></circle>`
+        ).join('');
+        return `<path d="${path}" fill="none" stroke="${color}" stroke-width="2" />${dots}`;
+    }).join('');
     
-    months.forEach((month, index) => {
-        const x = (index / (months.length - 1)) * chartWidth;
-        const y = chartHeight - (averages[index] / maxValue) * chartHeight;
-        points.push(`${x},${y}`);
-    });
+    // Pass mark reference line
+    const passY = y(getGradingScheme().passMark);
+    
+    // Label every other date when there are many points
+    const step = count > 8 ? 2 : 1;
+    const labels = trend.dates.map((date, index) => index % step !== 0 ? '' :
+        `<text x="${x(index)}" y="${chartHeight + 14}" text-anchor="middle" font-size="9" fill="var(--text-secondary)">${date.toLocaleDateString('fr-FR', { day: '2-digit', month: 'short' })}</text>`
+    ).join('');
     
-    const pathData = `M ${points.join(' L ')}`;
+    const legend = trend.series.map((serie, serieIndex) => `
+        <span style="display: inline-flex; align-items: center; gap: 4px; margin-right: 12px; font-size: 12px; color: var(--text-secondary);">
+            <span style="display: inline-block; width: 12px; height: 3px; background: ${TREND_COLORS[serieIndex % TREND_COLORS.length]};"></span>${serie.name}
+        </span>
+    `).join('');
     
     container.innerHTML = `
         <div class="line-chart-container">
-            <svg viewBox="0 0 100 200" class="line-chart">
-                <defs>
-                    <linearGradient id="gradient" x1="0%" y1="0%" x2="0%" y2="100%">
-                        <stop offset="0%" style="stop-color:var(--primary);stop-opacity:0.3" />
-                        <stop offset="100%" style="stop-color:var(--primary);stop-opacity:0" />
-                    </linearGradient>
-                </defs>
-                <path d="${pathData}" fill="none" stroke="var(--primary)" stroke-width="2" />
-                <path d="${pathData} L ${chartWidth},${chartHeight} L 0,${chartHeight}" fill="url(#gradient)" />
-                ${months.map((month, index) => {
-                    const x = (index / (months.length - 1)) * chartWidth;
-                    return `<circle cx="${x}" cy="${chartHeight - (averages[index] / maxValue) * chartHeight}" r="2" fill="var(--primary)" />`;
-                }).join('')}
-                <g class="chart-labels">
-                    ${months.map((month, index) => {
-                        const x = (index / (months.length - 1)) * chartWidth;
-                        return `<text x="${x}" y="${chartHeight + 10}" text-anchor="middle" font-size="8" fill="var(--text-secondary)">${month}</text>`;
-                    }).join('')}
-                </g>
+            <svg viewBox="0 0 ${chartWidth} ${chartHeight}" class="line-chart">
+                <line x1="0" y1="${passY}" x2="${chartWidth}" y2="${passY}" stroke="var(--border-light)" stroke-dasharray="4 4" />
+                ${lines}
+                <g class="chart-labels">${labels}</g>
             </svg>
             <div class="chart-info">
-                <div style="font-size: 12px; color: var(--text-secondary); text-align: center; margin-top: var(--spacing-md);">
-                    Average class performance over 6 months
-                </div>
+                <div style="text-align: center; margin-top: var(--spacing-md);">${legend}</div>
+                <div style="font-size: 12px; color: var(--text-secondary); text-align: center; margin-top: 4px;">${caption}</div>
             </div>
         </div>
     `;
 }
 
+/**
+ * Display the class average trend, from the grade history
+ */
+function displayTrendsChart() {
+    const container = document.getElementById('trendsChart');
+    if (!container) return;
+    
+    const windowSelect = document.getElementById('trendsWindow');
+    populateTrendWindowSelect(windowSelect);
+    const windowKey = windowSelect ? windowSelect.value : 'quarter';
+    const byGroupInput = document.getElementById('trendsByGroup');
+    
+    const trend = calculateAverageTrends(windowKey, { byGroup: byGroupInput ? byGroupInput.checked : false });
+    renderTrendChart(container, trend, `Average class performance · ${TREND_WINDOWS[windowKey].label.toLowerCase()}`);
+}
+
+/**
+ * Get the exams shown on the calendar (students only see their group's exams)
+ */
+function getCalendarExams() {
+    const user = getCurrentUser();
+    if (user && user.role === 'student') {
+        const student = getStudentByUserId(user.id);
+        return student ? getGroupExams(student.group) : [];
+    }
+    return sortExams(getExamSessions());
+}
+
+/**
+ * Build the date key of a calendar day (YYYY-MM-DD)
+ */
+function getCalendarDateKey(day) {
+    return `${window.currentYear}-${String(window.currentMonth + 1).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Render a list of exams under the calendar
+ */
+function renderCalendarEvents(title, exams) {
+    const container = document.getElementById('calendarEvents');
+    if (!container) return;
+    
+    container.innerHTML = `
+        <div class="calendar-events-title">${title}</div>
+        ${exams.length > 0 ? exams.map(exam => {
+            const module = getModuleById(exam.moduleId);
+            return `
+                <div class="calendar-event">
+                    <strong>${module ? module.name : 'Exam'}</strong>
+                    <div>${new Date(exam.date).toLocaleDateString('fr-FR', { day: '2-digit', month: 'short' })} · ${exam.startTime ? `${exam.startTime}-${exam.endTime}` : 'All day'}${exam.room ? ' · ' + exam.room : ''}${exam.group ? ' · ' + exam.group : ''}</div>
+                </div>
+            `;
+        }).join('') : '<div class="calendar-event">No exam</div>'}
+    `;
+}
+
 /**
  * Display calendar
  */
@@ -600,21 +629,29 @@ function displayCalendar() {
         html += '<div class="calendar-day empty"></div>';
     }
     
-    // Simulate some dates with events (yellow dots)
-    const eventDates = [4, 5, 10, 11, 16, 17];
+    // Days with a scheduled exam get a dot
+    const exams = getCalendarExams();
     
     for (let day = 1; day <= daysInMonth; day++) {
         const isToday = day === todayDate;
-        const hasEvent = eventDates.includes(day);
-        html += `<div class="calendar-day ${isToday ? 'today' : ''} ${hasEvent ? 'has-event' : ''}" onclick="selectCalendarDay(${day})" title="Click to view events">${day}</div>`;
+        const dayExams = exams.filter(e => e.date === getCalendarDateKey(day));
+        const title = dayExams.length > 0
+            ? dayExams.map(e => (getModuleById(e.moduleId) || { name: 'Exam' }).name).join(', ')
+            : 'Click to view events';
+        html += `<div class="calendar-day ${isToday ? 'today' : ''} ${dayExams.length > 0 ? 'has-event' : ''}" onclick="selectCalendarDay(${day})" title="${title}">${day}</div>`;
     }
     
     html += `
             </div>
         </div>
+        <div id="calendarEvents" class="calendar-events"></div>
     `;
     
     container.innerHTML = html;
+    
+    // Until a day is picked, list the next exams
+    const todayKey = new Date().toISOString().slice(0, 10);
+    renderCalendarEvents('Upcoming exams', exams.filter(e => e.date >= todayKey).slice(0, 3));
 }
 
 /**
@@ -630,19 +667,12 @@ function updateAssessmentChart() {
     let modules = [];
     let completionData = [];
     
-    if (user.role === 'teacher') {
+    if (roleAtLeast(user.role, 'teacher')) {
         // For teachers: show module completion by students
-        modules = getModules();
-        const students = getStudents();
-        const grades = getGrades();
-        
-        modules.forEach(module => {
-            const moduleGrades = grades.filter(g => g.moduleId === module.id);
-            const totalPossible = students.length;
-            const completed = moduleGrades.length;
-            const percentage = totalPossible > 0 ? Math.round((completed / totalPossible) * 100) : 0;
+        calculateAllModuleStats().forEach(stat => {
+            const percentage = stat.studentCount > 0 ? Math.round((stat.gradedCount / stat.studentCount) * 100) : 0;
             completionData.push({
-                name: module.name,
+                name: stat.module.name,
                 percentage: percentage
             });
         });
@@ -708,10 +738,11 @@ function updateCircularProgress() {
     const user = getCurrentUser();
     if (!user) return;
     
-    if (user.role === 'teacher') {
+    if (roleAtLeast(user.role, 'teacher')) {
         // For teachers: show class averages
         const successRate = calculateSuccessRate();
-        const attendance = 85; // Simulated
+        const attendanceRate = getAttendanceRate();
+        const attendance = attendanceRate !== null ? attendanceRate : 0;
         
         updateProgressCircle('examReadiness', successRate, 'var(--primary)');
         updateProgressCircle('attendanceProgress', attendance, 'var(--info)');
@@ -719,9 +750,10 @@ function updateCircularProgress() {
         // For students: show personal metrics
         const student = getStudentByUserId(user.id);
         if (student) {
-            const average = calculateStudentAverage(student.id);
-            const examReadiness = average !== null ? Math.round((average / 20) * 100) : 0;
-            const attendance = 90; // Simulated
+            const average = calculateStudentAverage(student.id).average;
+            const examReadiness = average !== null ? Math.round((average / getGradingScheme().scaleMax) * 100) : 0;
+            const attendanceRate = getAttendanceSummary(student.id).rate;
+            const attendance = attendanceRate !== null ? attendanceRate : 0;
             
             updateProgressCircle('examReadiness', examReadiness, 'var(--primary)');
             updateProgressCircle('attendanceProgress', attendance, 'var(--info)');
@@ -767,7 +799,7 @@ function displayRecentActivityModern() {
     
     const activities = [];
     
-    if (user.role === 'teacher') {
+    if (roleAtLeast(user.role, 'teacher')) {
         const students = getStudents();
         const modules = getModules();
         const grades = getGrades();
@@ -793,7 +825,7 @@ function displayRecentActivityModern() {
                 activities.push({
                     icon: '📝',
                     title: `Grade Assigned: ${module.name}`,
-                    description: `${student.name}: ${recentGrade.grade}/20`,
+                    description: `${student.name}: ${recentGrade.grade}/${getGradingScheme().scaleMax}`,
                     color: 'var(--success)',
                     borderColor: 'var(--success)'
                 });
@@ -821,15 +853,12 @@ function displayRecentActivityModern() {
             
             gradedModules.slice(-3).forEach(module => {
                 const grade = studentGrades[module.id];
-                const color = grade >= 16 ? 'var(--success)' : 
-                             grade >= 14 ? 'var(--info)' : 
-                             grade >= 12 ? 'var(--warning)' : 
-                             grade >= 10 ? 'var(--primary)' : 'var(--danger)';
+                const color = getGradeColor(grade);
                 
                 activities.push({
                     icon: '📚',
                     title: `${module.name}`,
-                    description: `Grade: ${grade.toFixed(1)}/20`,
+                    description: `Grade: ${formatGrade(grade, 1)}`,
                     color: color,
                     borderColor: color
                 });
@@ -860,6 +889,57 @@ function displayRecentActivityModern() {
     container.innerHTML = html;
 }
 
+/**
+ * Get the weekly timetable slots that concern the current user
+ * Students follow their group, teachers the classes they give, admins every class.
+ */
+function getMyTimetable() {
+    const user = getCurrentUser();
+    if (!user) return [];
+    if (user.role === 'student') {
+        const student = getStudentByUserId(user.id);
+        return student ? getGroupTimetable(student.group) : [];
+    }
+    return user.role === 'admin' ? getTimetableSlots() : getTeacherTimetable(user.id);
+}
+
+/**
+ * Display today's classes from the weekly timetable
+ */
+function displayTodayClasses() {
+    const container = document.getElementById('todayClassesList');
+    if (!container) return;
+    
+    const now = new Date();
+    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
+    const slots = getTimetableSlotsOn(now, getMyTimetable());
+    
+    if (slots.length === 0) {
+        container.innerHTML = '<p class="empty-state">No classes today</p>';
+        return;
+    }
+    
+    container.innerHTML = '<div class="activity-cards">' + slots.map(slot => {
+        const module = getModuleById(slot.moduleId);
+        const isOver = slot.endTime <= currentTime;
+        const isNow = slot.startTime <= currentTime && !isOver;
+        const color = isNow ? 'var(--success)' : isOver ? 'var(--text-secondary)' : 'var(--primary)';
+        const place = [slot.room, slot.group || 'All groups'].filter(p => p).join(' · ');
+        
+        return `
+            <div class="activity-card-modern" style="border-left-color: ${color};${isOver ? ' opacity: 0.6;' : ''}">
+                <div class="activity-card-icon" style="background: ${color}20; color: ${color};">
+                    🕒
+                </div>
+                <div class="activity-card-content">
+                    <div class="activity-card-title">${slot.startTime}-${slot.endTime} ${module ? module.name : 'Unknown module'}${isNow ? ' (now)' : ''}</div>
+                    <div class="activity-card-desc">${place}</div>
+                </div>
+            </div>
+        `;
+    }).join('') + '</div>';
+}
+
 /**
  * Initialize dashboard
  */
@@ -872,7 +952,7 @@ function initializeDashboard() {
 
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', () => {
-    initializeDashboard();
+    whenStorageReady(initializeDashboard);
 });
 
 /**
@@ -893,31 +973,34 @@ function displayStudentStatistics() {
         return;
     }
     
-    const average = calculateStudentAverage(student.id);
+    const result = calculateStudentResult(student);
+    const average = result.average;
     const modules = getModules();
     const studentGrades = getStudentGrades(student.id);
     const gradedModules = modules.filter(m => studentGrades[m.id] !== undefined);
-    const passedModules = gradedModules.filter(m => studentGrades[m.id] >= 10).length;
+    const passedModules = gradedModules.filter(m => isPassingGrade(studentGrades[m.id])).length;
     
     const statsGrid = document.getElementById('statsGrid');
     statsGrid.innerHTML = '';
     
+    const passing = result.passed;
+    
     const stats = [
         {
-            value: average !== null ? average.toFixed(1) + '/20' : 'N/A',
+            value: average !== null ? formatGrade(average, 1) : 'N/A',
             label: 'My Average',
             icon: '📊',
-            trend: average !== null ? getMention(average) : 'N/A',
-            trendUp: average !== null && average >= 10,
-            color: average !== null && average >= 10 ? 'var(--success)' : 'var(--danger)'
+            trend: getMention(average).text,
+            trendUp: passing,
+            color: passing ? 'var(--success)' : 'var(--danger)'
         },
         {
-            value: average !== null && average >= 10 ? 'Passed' : 'Failed',
+            value: result.status.text,
             label: 'Status',
-            icon: average !== null && average >= 10 ? '✅' : '❌',
-            trend: average !== null ? (average >= 10 ? '+0%' : '-0%') : 'N/A',
-            trendUp: average !== null && average >= 10,
-            color: average !== null && average >= 10 ? 'var(--success)' : 'var(--danger)'
+            icon: passing ? '✅' : '❌',
+            trend: average !== null ? (passing ? '+0%' : '-0%') : 'N/A',
+            trendUp: passing,
+            color: passing ? 'var(--success)' : 'var(--danger)'
         },
         {
             value: gradedModules.length + '/' + modules.length,
@@ -937,6 +1020,18 @@ function displayStudentStatistics() {
         }
     ];
     
+    // Credits only mean something once the curriculum has teaching units
+    if (result.totalCredits > 0) {
+        stats.push({
+            value: result.creditsEarned + '/' + result.totalCredits,
+            label: 'ECTS Credits',
+            icon: '🎓',
+            trend: Math.round((result.creditsEarned / result.totalCredits) * 100) + '%',
+            trendUp: result.creditsEarned === result.totalCredits,
+            color: 'var(--primary)'
+        });
+    }
+    
     stats.forEach(stat => {
         const statCard = document.createElement('div');
         statCard.className = 'stat-card';
@@ -982,17 +1077,14 @@ function displayMyGradesChart() {
     
     gradedModules.forEach(module => {
         const grade = studentGrades[module.id];
-        const percentage = (grade / 20) * 100;
-        const color = grade >= 16 ? 'var(--success)' : 
-                     grade >= 14 ? 'var(--info)' : 
-                     grade >= 12 ? 'var(--warning)' : 
-                     grade >= 10 ? 'var(--primary)' : 'var(--danger)';
+        const percentage = (grade / getGradingScheme().scaleMax) * 100;
+        const color = getGradeColor(grade);
         
         chartHTML += `
             <div class="bar-chart-item">
                 <div class="bar-chart-label">
                     <span>${module.name}</span>
-                    <span class="bar-value">${grade.toFixed(1)}/20</span>
+                    <span class="bar-value">${formatGrade(grade, 1)}</span>
                 </div>
                 <div class="bar-chart-bar">
                     <div class="bar-fill" style="width: ${percentage}%; background: ${color};"></div>
@@ -1039,7 +1131,7 @@ function displayRadarChart() {
     // Create polygon points
     const points = gradedModules.map((module, index) => {
         const grade = studentGrades[module.id];
-        const normalizedGrade = (grade / 20) * 100; // Normalize to 0-100
+        const normalizedGrade = (grade / getGradingScheme().scaleMax) * 100; // Normalize to 0-100
         const angle = index * angleStep - Math.PI / 2; // Start from top
         const distance = (normalizedGrade / 100) * radius;
         const x = centerX + Math.cos(angle) * distance;
@@ -1086,68 +1178,24 @@ function displayRadarChart() {
 }
 
 /**
- * Display student's grade trends
+ * Display student's average trend next to the class average, from the grade history
  */
 function displayMyTrendsChart() {
     const user = getCurrentUser();
     if (!user || user.role !== 'student') return;
     
     const container = document.getElementById('myTrendsChart');
+    if (!container) return;
     
-    // Simulate trend data (in real app, this would track historical grades)
-    const modules = getModules();
     const student = getStudentByUserId(user.id);
     if (!student) return;
     
-    const studentGrades = getStudentGrades(student.id);
-    const gradedModules = modules.filter(m => studentGrades[m.id] !== undefined);
-    
-    if (gradedModules.length === 0) {
-        container.innerHTML = '<p class="empty-state">No grades available</p>';
-        return;
-    }
-    
-    // Use actual grades as trend data
-    const grades = gradedModules.map(m => studentGrades[m.id]);
-    const labels = gradedModules.map(m => m.name.substring(0, 6));
-    
-    const maxValue = 20;
-    const chartHeight = 200;
-    const chartWidth = 100;
-    const points = [];
-    
-    grades.forEach((grade, index) => {
-        const x = (index / (grades.length - 1)) * chartWidth;
-        const y = chartHeight - (grade / maxValue) * chartHeight;
-        points.push(`${x},${y}`);
-    });
+    const windowSelect = document.getElementById('myTrendsWindow');
+    populateTrendWindowSelect(windowSelect);
+    const windowKey = windowSelect ? windowSelect.value : 'quarter';
     
-    const pathData = `M ${points.join(' L ')}`;
-    
-    container.innerHTML = `
-        <div class="line-chart-container">
-            <svg viewBox="0 0 100 200" class="line-chart">
-                <defs>
-                    <linearGradient id="myGradient" x1="0%" y1="0%" x2="0%" y2="100%">
-                        <stop offset="0%" style="stop-color:var(--primary);stop-opacity:0.3" />
-                        <stop offset="100%" style="stop-color:var(--primary);stop-opacity:0" />
-                    </linearGradient>
-                </defs>
-                <path d="${pathData}" fill="none" stroke="var(--primary)" stroke-width="2" />
-                <path d="${pathData} L ${chartWidth},${chartHeight} L 0,${chartHeight}" fill="url(#myGradient)" />
-                ${grades.map((grade, index) => {
-                    const x = (index / (grades.length - 1)) * chartWidth;
-                    return `<circle cx="${x}" cy="${chartHeight - (grade / maxValue) * chartHeight}" r="2" fill="var(--primary)" />`;
-                }).join('')}
-                <g class="chart-labels">
-                    ${labels.map((label, index) => {
-                        const x = (index / (labels.length - 1)) * chartWidth;
-                        return `<text x="${x}" y="${chartHeight + 10}" text-anchor="middle" font-size="8" fill="var(--text-secondary)">${label}</text>`;
-                    }).join('')}
-                </g>
-            </svg>
-        </div>
-    `;
+    const trend = calculateAverageTrends(windowKey, { studentId: student.id });
+    renderTrendChart(container, trend, `My average compared with the class · ${TREND_WINDOWS[windowKey].label.toLowerCase()}`);
 }
 
 /**
@@ -1176,7 +1224,7 @@ function displayMyPassFailChart() {
     
     gradedModules.forEach(module => {
         const grade = studentGrades[module.id];
-        if (grade >= 10) passed++;
+        if (isPassingGrade(grade)) passed++;
         else failed++;
     });
     
@@ -1230,7 +1278,7 @@ function displayMyPerformanceMetrics() {
     const student = getStudentByUserId(user.id);
     if (!student) return;
     
-    const average = calculateStudentAverage(student.id);
+    const average = calculateStudentAverage(student.id).average;
     const container = document.getElementById('myPerformanceMetrics');
     
     if (average === null) {
@@ -1238,8 +1286,8 @@ function displayMyPerformanceMetrics() {
         return;
     }
     
-    const averagePercentage = (average / 20) * 100;
-    const mention = getMention(average);
+    const averagePercentage = (average / getGradingScheme().scaleMax) * 100;
+    const mention = getMention(average).text;
     
     container.innerHTML = `
         <div class="metrics-grid">
@@ -1248,7 +1296,7 @@ function displayMyPerformanceMetrics() {
                     <svg class="donut" width="120" height="120">
                         <circle class="donut-ring" cx="60" cy="60" r="50" fill="transparent" stroke="var(--bg-tertiary)" stroke-width="12"></circle>
                         <circle class="donut-segment" cx="60" cy="60" r="50" fill="transparent" 
-                                stroke="${average >= 10 ? 'var(--success)' : 'var(--danger)'}" stroke-width="12" 
+                                stroke="${isPassingGrade(average) ? 'var(--success)' : 'var(--danger)'}" stroke-width="12" 
                                 stroke-dasharray="${averagePercentage * 3.14} ${(100 - averagePercentage) * 3.14}"
                                 stroke-dashoffset="78.5" transform="rotate(-90 60 60)"></circle>
                     </svg>
@@ -1261,7 +1309,7 @@ function displayMyPerformanceMetrics() {
             <div class="metric-item">
                 <div style="text-align: center; padding: var(--spacing-md);">
                     <div style="font-size: 24px; font-weight: 700; color: var(--text-primary); margin-bottom: 8px;">
-                        <span class="badge ${average >= 10 ? 'badge-success' : 'badge-danger'}">${mention}</span>
+                        <span class="badge ${GRADE_LEVELS[getGradeBand(average).level].badge}">${mention}</span>
                     </div>
                     <div style="font-size: 12px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em;">Mention</div>
                 </div>
@@ -1271,7 +1319,8 @@ function displayMyPerformanceMetrics() {
 }
 
 /**
- * Display student ranking
+ * Display student ranking: in the cohort, in the group and in each module
+ * Ties share a rank; students without grades are not ranked.
  */
 function displayMyRanking() {
     const user = getCurrentUser();
@@ -1280,34 +1329,52 @@ function displayMyRanking() {
     const student = getStudentByUserId(user.id);
     if (!student) return;
     
-    const studentsWithAverages = getAllStudentsWithAverages();
     const container = document.getElementById('myRanking');
+    const myResult = calculateAllResults().find(r => r.student.id === student.id);
     
-    if (studentsWithAverages.length === 0) {
+    if (!myResult || !myResult.cohortRank) {
         container.innerHTML = '<p class="empty-state">No ranking data available</p>';
         return;
     }
     
-    // Sort by average
-    const sorted = studentsWithAverages.sort((a, b) => b.average - a.average);
-    const myRank = sorted.findIndex(s => s.id === student.id) + 1;
-    const totalStudents = sorted.length;
-    const percentile = Math.round(((totalStudents - myRank + 1) / totalStudents) * 100);
+    const cohortRank = myResult.cohortRank;
+    const groupRank = myResult.groupRank;
+    const topPercent = Math.max(1, Math.round((cohortRank.rank / cohortRank.total) * 100));
+    const barWidth = Math.round(((cohortRank.total - cohortRank.rank + 1) / cohortRank.total) * 100);
+    
+    const moduleRanks = getStudentModuleRanks(student.id).filter(r => r.rank !== null);
+    let modulesHTML = '';
+    moduleRanks.forEach(r => {
+        modulesHTML += `
+            <div style="display: flex; justify-content: space-between; font-size: 12px; padding: 4px 0; border-bottom: 1px solid var(--border-light);">
+                <span>${r.module.name}</span>
+                <strong>${formatRank(r)}</strong>
+            </div>
+        `;
+    });
     
     container.innerHTML = `
         <div class="ranking-display">
-            <div class="ranking-number">#${myRank}</div>
+            <div class="ranking-number">#${cohortRank.rank}${cohortRank.tied ? '<span style="font-size: 16px;"> (tie)</span>' : ''}</div>
             <div class="ranking-info">
                 <div style="font-size: 14px; font-weight: 600; color: var(--text-primary); margin-bottom: 4px;">
-                    Out of ${totalStudents} students
+                    Out of ${cohortRank.total} ranked students
                 </div>
                 <div style="font-size: 12px; color: var(--text-secondary);">
-                    Top ${percentile}% of class
+                    Top ${topPercent}% of class
+                </div>
+                <div style="font-size: 12px; color: var(--text-secondary); margin-top: 4px;">
+                    Group ${myResult.student.group}: <strong>${formatRank(groupRank)}</strong>
                 </div>
             </div>
             <div class="ranking-bar">
-                <div class="ranking-fill" style="width: ${percentile}%; background: var(--primary);"></div>
+                <div class="ranking-fill" style="width: ${barWidth}%; background: var(--primary);"></div>
             </div>
+            ${moduleRanks.length > 0 ? `
+            <div style="width: 100%;">
+                <div style="font-size: 12px; color: var(--text-secondary); text-transform: uppercase; letter-spacing: 0.05em; margin-bottom: 4px;">Module Ranks</div>
+                ${modulesHTML}
+            </div>` : ''}
         </div>
     `;
 }
@@ -1342,10 +1409,7 @@ function displayRecentGrades() {
     
     let html = '<div class="recent-grades">';
     gradedModules.forEach(module => {
-        const color = module.grade >= 16 ? 'var(--success)' : 
-                     module.grade >= 14 ? 'var(--info)' : 
-                     module.grade >= 12 ? 'var(--warning)' : 
-                     module.grade >= 10 ? 'var(--primary)' : 'var(--danger)';
+        const color = getGradeColor(module.grade);
         
         html += `
             <div class="recent-grade-item">
@@ -1357,7 +1421,7 @@ function displayRecentGrades() {
                     <div class="recent-grade-date">Coef: ${module.coefficient}</div>
                 </div>
                 <div class="recent-grade-score" style="color: ${color};">
-                    ${module.grade.toFixed(1)}/20
+                    ${formatGrade(module.grade, 1)}
                 </div>
             </div>
         `;
@@ -1387,29 +1451,30 @@ function displayPerformanceInsights() {
         return;
     }
     
-    const average = calculateStudentAverage(student.id);
+    const average = calculateStudentAverage(student.id).average;
     const weakSubjects = gradedModules
-        .filter(m => studentGrades[m.id] < 10)
+        .filter(m => !isPassingGrade(studentGrades[m.id]))
         .map(m => m.name);
     
     const strongSubjects = gradedModules
-        .filter(m => studentGrades[m.id] >= 16)
+        .filter(m => getGradeBand(studentGrades[m.id]).level === 'excellent')
         .map(m => m.name);
     
+    // One insight per band level of the grading scheme
+    const insights = {
+        'excellent': '<div class="insight-item success"><strong>Excellent!</strong> You are performing exceptionally well. Keep up the great work!</div>',
+        'very-good': '<div class="insight-item info"><strong>Great job!</strong> You are doing well. Continue to maintain this level of performance.</div>',
+        'good': '<div class="insight-item warning"><strong>Good progress!</strong> You are on the right track. Focus on improving weaker areas.</div>',
+        'pass': '<div class="insight-item primary"><strong>Keep working!</strong> You are passing, but there is room for improvement.</div>',
+        'fail': '<div class="insight-item danger"><strong>Needs attention!</strong> Focus on studying harder and seek help if needed.</div>'
+    };
+    
     let html = '<div class="insights-list">';
     
     if (average !== null) {
-        if (average >= 16) {
-            html += '<div class="insight-item success"><strong>Excellent!</strong> You are performing exceptionally well. Keep up the great work!</div>';
-        } else if (average >= 14) {
-            html += '<div class="insight-item info"><strong>Great job!</strong> You are doing well. Continue to maintain this level of performance.</div>';
-        } else if (average >= 12) {
-            html += '<div class="insight-item warning"><strong>Good progress!</strong> You are on the right track. Focus on improving weaker areas.</div>';
-        } else if (average >= 10) {
-            html += '<div class="insight-item primary"><strong>Keep working!</strong> You are passing, but there is room for improvement.</div>';
-        } else {
-            html += '<div class="insight-item danger"><strong>Needs attention!</strong> Focus on studying harder and seek help if needed.</div>';
-        }
+        // A passing average never gets the failing message, whatever the bands
+        const level = getGradeBand(average).level;
+        html += insights[level === 'fail' && isPassingGrade(average) ? 'pass' : level];
     }
     
     if (weakSubjects.length > 0) {
@@ -1424,6 +1489,175 @@ function displayPerformanceInsights() {
     container.innerHTML = html;
 }
 
+// Session whose absence the student is justifying
+let justifyingSessionId = null;
+
+/**
+ * Display the student's absences and the state of their justifications
+ */
+function displayMyAbsences() {
+    const user = getCurrentUser();
+    if (!user || user.role !== 'student') return;
+    
+    const container = document.getElementById('myAbsencesList');
+    if (!container) return;
+    
+    const student = getStudentByUserId(user.id);
+    if (!student) {
+        container.innerHTML = '<p class="empty-state">Student record not found. Please contact your teacher.</p>';
+        return;
+    }
+    
+    const sessions = new Map(getClassSessions().map(s => [s.id, s]));
+    const absences = getAttendance()
+        .filter(a => a.studentId === student.id && (a.status === 'absent' || a.status === 'excused'))
+        .map(a => ({ ...a, session: sessions.get(a.sessionId) }))
+        .filter(a => a.session && !a.session.imported)
+        .sort((a, b) => `${b.session.date} ${b.session.startTime}`.localeCompare(`${a.session.date} ${a.session.startTime}`));
+    
+    if (absences.length === 0) {
+        container.innerHTML = '<p class="empty-state">No absences recorded 🎉</p>';
+        return;
+    }
+    
+    let html = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Module</th>
+                        <th>Status</th>
+                        <th>Justification</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    absences.forEach(absence => {
+        const module = getModuleById(absence.session.moduleId);
+        const justification = getSessionJustification(absence.sessionId, student.id);
+        const status = ATTENDANCE_STATUSES[absence.status];
+        const canJustify = absence.status === 'absent' && (!justification || justification.status === 'rejected');
+        
+        let justificationCell = '<span style="color: var(--text-secondary);">—</span>';
+        if (justification) {
+            const review = JUSTIFICATION_STATUSES[justification.status];
+            justificationCell = `
+                <span class="badge ${review.badge}">${review.label}</span>
+                <div style="font-size: 11px; color: var(--text-secondary); margin-top: 4px; max-width: 250px;">
+                    ${escapeHtml(justification.reason)}${justification.document ? ` · 📎 ${escapeHtml(justification.document.name)}` : ''}
+                    ${justification.reviewComment ? `<br><em>${escapeHtml(justification.reviewComment)}</em>` : ''}
+                </div>
+            `;
+        } else if (absence.status === 'excused') {
+            justificationCell = `<span style="font-size: 12px; color: var(--text-secondary);">${escapeHtml(absence.justification)}</span>`;
+        }
+        
+        html += `
+            <tr>
+                <td>${new Date(absence.session.date).toLocaleDateString('fr-FR')}${absence.session.startTime ? ' · ' + absence.session.startTime : ''}</td>
+                <td>${module ? module.name : 'Unknown module'}</td>
+                <td><span class="badge ${status.badge}">${status.label}</span></td>
+                <td>${justificationCell}</td>
+                <td>
+                    ${canJustify ? `<button class="btn btn-primary btn-small" onclick="openJustificationForm(${absence.sessionId})">Justify</button>` : ''}
+                </td>
+            </tr>
+        `;
+    });
+    
+    html += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    container.innerHTML = html;
+}
+
+/**
+ * Show the justification form for an absence
+ * @param {number} sessionId - Session ID
+ */
+function openJustificationForm(sessionId) {
+    const session = getClassSessionById(sessionId);
+    if (!session) return;
+    
+    const module = getModuleById(session.moduleId);
+    justifyingSessionId = sessionId;
+    document.getElementById('justificationForm').reset();
+    document.getElementById('justificationTitle').textContent =
+        `Justify Absence · ${module ? module.name : ''} · ${new Date(session.date).toLocaleDateString('fr-FR')}`;
+    document.getElementById('justificationForm').style.display = 'block';
+}
+
+/**
+ * Hide the justification form
+ */
+function closeJustificationForm() {
+    justifyingSessionId = null;
+    document.getElementById('justificationForm').style.display = 'none';
+}
+
+/**
+ * Read the attached document as a data URL so it can be kept in storage
+ * @param {File} file - Selected file
+ * @returns {Promise<Object>} {name, type, size, dataUrl}
+ */
+function readJustificationDocument(file) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve({ name: file.name, type: file.type, size: file.size, dataUrl: reader.result });
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(file);
+    });
+}
+
+/**
+ * Submit the justification form
+ * @param {Event} event - Submit event
+ */
+async function handleJustificationSubmit(event) {
+    event.preventDefault();
+    
+    const reason = document.getElementById('justificationReason').value.trim();
+    const file = document.getElementById('justificationDocument').files[0];
+    
+    if (!reason) {
+        alert('Please explain the reason for your absence.');
+        return;
+    }
+    if (file && !JUSTIFICATION_DOCUMENT_TYPES.includes(file.type)) {
+        alert('Please attach a PDF or an image (PNG, JPEG, GIF or WebP).');
+        return;
+    }
+    if (file && file.size > MAX_JUSTIFICATION_DOCUMENT_SIZE) {
+        alert(`The document is too large (max ${Math.round(MAX_JUSTIFICATION_DOCUMENT_SIZE / 1024)} KB).`);
+        return;
+    }
+    
+    let attachment = null;
+    if (file) {
+        try {
+            attachment = await readJustificationDocument(file);
+        } catch (error) {
+            console.error('❌ Error reading document:', error);
+            alert('The document could not be read. Please try another file.');
+            return;
+        }
+    }
+    
+    if (!submitAbsenceJustification(justifyingSessionId, reason, attachment)) {
+        alert('This absence cannot be justified (already justified, or the term is archived).');
+        return;
+    }
+    
+    alert('Justification sent. Your teacher will review it.');
+    closeJustificationForm();
+    displayMyAbsences();
+}
+
 /**
  * ============================================
  * INITIALIZATION
@@ -1440,13 +1674,26 @@ function initializeDashboard() {
     displayCalendar();
     updateAssessmentChart();
     updateCircularProgress();
+    displayTodayClasses();
     displayRecentActivityModern();
     
-    // Additional features based on role
+    // Additional features based on role (grades stay hidden until results are published)
+    if (roleAtLeast(user.role, 'teacher')) {
+        const trendsCard = document.getElementById('trendsCard');
+        if (trendsCard) trendsCard.style.display = 'block';
+        displayTrendsChart();
+    }
     if (user.role === 'student') {
+        // Absences can be justified whether or not results are published
+        const absencesCard = document.getElementById('myAbsencesCard');
+        if (absencesCard) absencesCard.style.display = 'block';
+        displayMyAbsences();
+    }
+    if (user.role === 'student' && areResultsPublished()) {
         // Show student-specific charts
         displayMyGradesChart();
         displayRadarChart();
+        displayMyTrendsChart();
         displayMyPerformanceMetrics();
         displayMyRanking();
         displayRecentGrades();
@@ -1454,12 +1701,15 @@ function initializeDashboard() {
 }
 
 /**
- * Make calendar interactive - handle day clicks
+ * Make calendar interactive - highlight the clicked day and list its exams
  */
 function selectCalendarDay(day) {
-    // You can add functionality here to show events for that day
-    console.log(`Selected day: ${day}`);
-    // For now, just highlight the selected day
+    const key = getCalendarDateKey(day);
+    renderCalendarEvents(
+        new Date(key).toLocaleDateString('fr-FR', { weekday: 'long', day: 'numeric', month: 'long' }),
+        getCalendarExams().filter(e => e.date === key)
+    );
+    
     const calendarDays = document.querySelectorAll('.calendar-day:not(.empty)');
     calendarDays.forEach(dayEl => {
         dayEl.classList.remove('selected');
@@ -1471,10 +1721,10 @@ function selectCalendarDay(day) {
 
 // Initialize when page loads
 document.addEventListener('DOMContentLoaded', () => {
-    initializeDashboard();
+    whenStorageReady(initializeDashboard);
 });
 
 // Also initialize on window load as backup
 window.addEventListener('load', () => {
-    initializeDashboard();
+    whenStorageReady(initializeDashboard);
 });
@@ -3,151 +3,541 @@
  * data.js - Shared Data Management
  * ============================================
  * 
- * This file handles all localStorage operations for:
+ * This file handles all data operations for:
+ * - Academic years, semesters (terms) and enrolments
  * - Students (with userId linking to users)
- * - Modules
- * - Grades
+ * - Modules, grouped into teaching units (UE) that carry ECTS credits
+ * - Grades, and assessments (midterm, final, lab...) combined into module grades
+ * - Class sessions, attendance (roll calls) and absence justifications
+ * - The exam schedule (date, time, room, group, invigilators)
+ * - The weekly class timetable, which can generate class sessions
+ * - Resit session grades and the rule combining them with the normal session
+ * - Result publication
+ * - The grading scheme (scale, pass mark, mention bands)
+ * - Permission checks on every write (see PERMISSIONS in auth.js)
+ * - Schema versioning and migrations (run once on load)
  * 
- * All data is stored as JSON strings in localStorage
+ * All data is stored as JSON strings through the active storage
+ * adapter (see storage.js)
  * IDs are numbers for consistency
+ * 
+ * Term scoping: modules belong to one semester (termId), students are
+ * enrolled per semester, and grades/class sessions follow their module.
+ * getStudents/getModules/getGrades/getClassSessions only return records of the
+ * selected term, and the matching save functions leave other terms untouched.
+ * 
+ * Every page loads this file: escapeHtml below is the one helper pages use
+ * for names, emails and other text typed by users before rendering it.
+ */
+
+// ============================================
+// HTML ESCAPING
+// ============================================
+
+/**
+ * Escape text typed by a user before putting it into HTML (content or attribute)
+ * @param {*} text - Raw text
+ * @returns {string} Text with &, <, >, " and ' escaped
+ */
+function escapeHtml(text) {
+    return String(text === null || text === undefined ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// ============================================
+// WRITE AUTHORIZATION
+// ============================================
+
+/**
+ * Check if the current user may change data in the selected term
+ * Archived terms are read-only for everyone.
+ * @param {string} permission - Permission name (see PERMISSIONS in auth.js)
+ * @param {Object} scope - Optional {moduleId, group} the write applies to
+ * @returns {boolean} True if the write would be allowed
+ */
+function canWrite(permission, scope) {
+    return !isSelectedTermArchived() && hasPermission(permission, scope);
+}
+
+/**
+ * Check that the current user may perform a write
+ * Mutators below call this first and refuse the write when it fails.
+ * @param {string} permission - Permission name (see PERMISSIONS in auth.js)
+ * @param {Object} scope - Optional {moduleId, group} the write applies to
+ * @returns {boolean} True if the write is allowed
+ */
+function authorizeWrite(permission, scope) {
+    if (isSelectedTermArchived()) {
+        console.warn('⛔ Write refused: the selected term is archived');
+        return false;
+    }
+    if (hasPermission(permission, scope)) {
+        return true;
+    }
+    console.warn(`⛔ Write refused: missing permission ${permission}`, scope || '');
+    return false;
+}
+
+/**
+ * Get the group of a student (for permission scopes)
+ * @param {number} studentId - Student ID
+ * @returns {string|undefined} Group name
+ */
+function getStudentGroup(studentId) {
+    const student = getStudentById(studentId);
+    return student ? student.group : undefined;
+}
+
+// ============================================
+// ACADEMIC TERMS
+// ============================================
+
+// Key remembering which semester every page shows
+const SELECTED_TERM_KEY = 'selectedTermId';
+
+/**
+ * Get all academic years
+ * @returns {Array} Array of {id, name, startDate, endDate}
+ */
+function getAcademicYears() {
+    return readCollection('academicYears');
+}
+
+/**
+ * Get all semesters, oldest first
+ * @returns {Array} Array of {id, yearId, name, startDate, endDate, archived}
+ */
+function getSemesters() {
+    return readCollection('semesters').slice().sort((a, b) => (a.startDate || '').localeCompare(b.startDate || '') || a.id - b.id);
+}
+
+/**
+ * Get a semester by ID
+ * @param {number} id - Semester ID
+ * @returns {Object|null} Semester or null
+ */
+function getSemesterById(id) {
+    return readCollection('semesters').find(s => s.id === id) || null;
+}
+
+/**
+ * Get a readable label for a semester, e.g. "2025-2026 · S1"
+ * @param {Object} semester - Semester object
+ * @returns {string} Label
+ */
+function getTermLabel(semester) {
+    const year = getAcademicYears().find(y => y.id === semester.yearId);
+    return year ? `${year.name} · ${semester.name}` : semester.name;
+}
+
+/**
+ * Get the ID of the semester shown on every page
+ * Falls back to the most recent open semester when nothing valid is selected.
+ * @returns {number|null} Semester ID
+ */
+function getSelectedTermId() {
+    const semesters = getSemesters();
+    const selectedId = readJSON(SELECTED_TERM_KEY, null);
+    if (semesters.some(s => s.id === selectedId)) {
+        return selectedId;
+    }
+    
+    const open = semesters.filter(s => !s.archived);
+    const fallback = open.length > 0 ? open[open.length - 1] : semesters[semesters.length - 1];
+    return fallback ? fallback.id : null;
+}
+
+/**
+ * Get the semester shown on every page
+ * @returns {Object|null} Semester or null if no term exists
+ */
+function getSelectedTerm() {
+    const id = getSelectedTermId();
+    return id === null ? null : getSemesterById(id);
+}
+
+/**
+ * Choose the semester shown on every page
+ * @param {number} id - Semester ID
+ * @returns {boolean} True if the semester exists
+ */
+function setSelectedTermId(id) {
+    if (!getSemesterById(id)) return false;
+    return writeJSON(SELECTED_TERM_KEY, id);
+}
+
+/**
+ * Check if the selected semester is archived (read-only)
+ * @returns {boolean} True if archived
+ */
+function isSelectedTermArchived() {
+    const term = getSelectedTerm();
+    return !!(term && term.archived);
+}
+
+/**
+ * Add an academic year
+ * @param {Object} year - {name, startDate, endDate}
+ * @returns {boolean} True if added, false if the name exists or not allowed
+ */
+function addAcademicYear(year) {
+    if (!hasPermission('terms:manage')) return false;
+    
+    const years = getAcademicYears();
+    if (years.some(y => y.name === year.name)) {
+        return false;
+    }
+    
+    const maxId = years.length > 0 ? Math.max(...years.map(y => y.id)) : 0;
+    year.id = maxId + 1;
+    years.push(year);
+    writeCollection('academicYears', years);
+    return true;
+}
+
+/**
+ * Add a semester to an academic year
+ * @param {Object} semester - {yearId, name, startDate, endDate}
+ * @returns {Object|null} The new semester, or null if the name exists in that year or not allowed
+ */
+function addSemester(semester) {
+    if (!hasPermission('terms:manage')) return null;
+    
+    const semesters = readCollection('semesters');
+    if (semesters.some(s => s.yearId === semester.yearId && s.name === semester.name)) {
+        return null;
+    }
+    
+    const maxId = semesters.length > 0 ? Math.max(...semesters.map(s => s.id)) : 0;
+    semester.id = maxId + 1;
+    semester.archived = false;
+    semesters.push(semester);
+    writeCollection('semesters', semesters);
+    return semester;
+}
+
+/**
+ * Archive a semester (read-only) or reopen it
+ * @param {number} id - Semester ID
+ * @param {boolean} archived - True to archive
+ * @returns {boolean} True if saved
+ */
+function setSemesterArchived(id, archived) {
+    if (!hasPermission('terms:manage')) return false;
+    
+    const semesters = readCollection('semesters');
+    const semester = semesters.find(s => s.id === id);
+    if (!semester) return false;
+    
+    semester.archived = !!archived;
+    return writeCollection('semesters', semesters);
+}
+
+/**
+ * Get enrolments, optionally for one semester
+ * @param {number} termId - Optional semester ID
+ * @returns {Array} Array of {studentId, termId, group}
+ */
+function getEnrolments(termId) {
+    const enrolments = readCollection('enrolments');
+    return termId === undefined ? enrolments : enrolments.filter(e => e.termId === termId);
+}
+
+/**
+ * Enrol a student in a semester (or update their group there)
+ * @param {number} studentId - Student ID
+ * @param {number} termId - Semester ID
+ * @param {string} group - Group for that semester
  */
+function enrolStudent(studentId, termId, group) {
+    const enrolments = readCollection('enrolments');
+    const existing = enrolments.find(e => e.studentId === studentId && e.termId === termId);
+    if (existing) {
+        existing.group = group;
+    } else {
+        enrolments.push({ studentId: studentId, termId: termId, group: group });
+    }
+    writeCollection('enrolments', enrolments);
+}
+
+/**
+ * Copy modules and/or enrolments from one semester into another
+ * Teachers assigned to a copied module are assigned to the copy too.
+ * @param {number} fromTermId - Source semester ID
+ * @param {number} toTermId - Target semester ID
+ * @param {Object} options - {modules: boolean, enrolments: boolean}
+ * @returns {Object} {success: boolean, message: string}
+ */
+function copyTermSetup(fromTermId, toTermId, options) {
+    if (!hasPermission('terms:manage')) {
+        return { success: false, message: 'You do not have permission to manage terms!' };
+    }
+    if (!getSemesterById(fromTermId) || !getSemesterById(toTermId) || fromTermId === toTermId) {
+        return { success: false, message: 'Please choose two different semesters!' };
+    }
+    if (getSemesterById(toTermId).archived) {
+        return { success: false, message: 'Cannot copy into an archived semester!' };
+    }
+    
+    let copiedModules = 0;
+    let copiedEnrolments = 0;
+    
+    if (options.modules) {
+        // Copy the teaching units first so copied modules can point to them
+        const units = readCollection('teachingUnits');
+        const unitIds = new Map();
+        let maxUnitId = units.length > 0 ? Math.max(...units.map(u => u.id)) : 0;
+        units.filter(u => u.termId === fromTermId).forEach(unit => {
+            const existing = units.find(u => u.termId === toTermId && u.name.toLowerCase() === unit.name.toLowerCase());
+            if (existing) {
+                unitIds.set(unit.id, existing.id);
+                return;
+            }
+            maxUnitId += 1;
+            units.push({ ...unit, id: maxUnitId, termId: toTermId });
+            unitIds.set(unit.id, maxUnitId);
+        });
+        writeCollection('teachingUnits', units);
+        
+        const modules = readCollection('modules');
+        const targetNames = modules.filter(m => m.termId === toTermId).map(m => m.name.toLowerCase());
+        let maxId = modules.length > 0 ? Math.max(...modules.map(m => m.id)) : 0;
+        const users = getUsers();
+        const copiedIds = new Map();
+        
+        modules.filter(m => m.termId === fromTermId && !targetNames.includes(m.name.toLowerCase())).forEach(module => {
+            maxId += 1;
+            modules.push({ ...module, id: maxId, termId: toTermId, unitId: unitIds.has(module.unitId) ? unitIds.get(module.unitId) : null });
+            copiedIds.set(module.id, maxId);
+            users.filter(u => (u.assignedModules || []).includes(module.id)).forEach(u => {
+                u.assignedModules.push(maxId);
+            });
+            copiedModules++;
+        });
+        
+        writeCollection('modules', modules);
+        saveUsers(users);
+        
+        // Copy the assessment definitions of the modules created above (not the scores);
+        // modules that already existed in the target keep their own assessments
+        const assessments = readCollection('assessments');
+        let maxAssessmentId = assessments.length > 0 ? Math.max(...assessments.map(a => a.id)) : 0;
+        assessments.filter(a => copiedIds.has(a.moduleId)).forEach(assessment => {
+            maxAssessmentId += 1;
+            assessments.push({ ...assessment, id: maxAssessmentId, moduleId: copiedIds.get(assessment.moduleId) });
+        });
+        writeCollection('assessments', assessments);
+    }
+    
+    if (options.enrolments) {
+        const enrolments = readCollection('enrolments');
+        const alreadyEnrolled = new Set(enrolments.filter(e => e.termId === toTermId).map(e => e.studentId));
+        
+        enrolments.filter(e => e.termId === fromTermId && !alreadyEnrolled.has(e.studentId)).forEach(enrolment => {
+            enrolments.push({ ...enrolment, termId: toTermId });
+            copiedEnrolments++;
+        });
+        
+        writeCollection('enrolments', enrolments);
+    }
+    
+    return { success: true, message: `Copied ${copiedModules} module(s) and ${copiedEnrolments} enrolment(s).` };
+}
+
+/**
+ * Read the part of a collection that belongs to the selected term
+ * Without any term (e.g. before migrations ran) the whole collection is returned.
+ * @param {string} key - Storage key
+ * @param {Function} scopeFor - Receives a term ID and returns an item predicate
+ * @returns {Array} Items of the selected term
+ */
+function readTermCollection(key, scopeFor) {
+    const termId = getSelectedTermId();
+    const items = readCollection(key);
+    return termId === null ? items : items.filter(scopeFor(termId));
+}
+
+/**
+ * Save the selected term's part of a collection, keeping other terms' items
+ * @param {string} key - Storage key
+ * @param {Array} items - Items of the selected term
+ * @param {Function} scopeFor - Same as for readTermCollection
+ */
+function writeTermCollection(key, items, scopeFor) {
+    const termId = getSelectedTermId();
+    let others = [];
+    if (termId !== null) {
+        const inScope = scopeFor(termId);
+        others = readCollection(key).filter(item => !inScope(item));
+    }
+    writeCollection(key, [...others, ...items]);
+}
+
+/**
+ * Get the IDs of the modules in a semester
+ * @param {number} termId - Semester ID
+ * @returns {Set} Module IDs
+ */
+function getTermModuleIds(termId) {
+    return new Set(readCollection('modules').filter(m => m.termId === termId).map(m => m.id));
+}
+
+// Scopes used with readTermCollection / writeTermCollection
+const isModuleInTerm = termId => module => module.termId === termId;
+const isRecordInTerm = termId => {
+    const moduleIds = getTermModuleIds(termId);
+    return record => moduleIds.has(record.moduleId);
+};
 
 // ============================================
 // STUDENT DATA MANAGEMENT
 // ============================================
 
 /**
- * Get all students from localStorage
+ * Get every student record, whatever the term
+ * @returns {Array} Array of student objects
+ */
+function getAllStudents() {
+    return readCollection('students');
+}
+
+/**
+ * Get the students enrolled in the selected term
+ * Each student's group is the one they had in that term.
  * @returns {Array} Array of student objects with {id, name, cin, group, userId}
  */
 function getStudents() {
-    try {
-        const studentsJSON = localStorage.getItem('students');
-        if (!studentsJSON || studentsJSON === 'null' || studentsJSON === 'undefined') {
-            console.log('📭 No students found in localStorage');
-            return [];
-        }
-        const students = JSON.parse(studentsJSON);
-        console.log('✅ Loaded', students.length, 'students from localStorage');
-        return Array.isArray(students) ? students : [];
-    } catch (error) {
-        console.error('❌ Error loading students from localStorage:', error);
-        console.error('Raw data:', localStorage.getItem('students'));
-        return [];
-    }
+    const termId = getSelectedTermId();
+    const students = readCollection('students');
+    if (termId === null) return students;
+    
+    const groups = new Map(getEnrolments(termId).map(e => [e.studentId, e.group]));
+    return students
+        .filter(s => groups.has(s.id))
+        .map(s => ({ ...s, group: groups.get(s.id) || s.group }));
 }
 
 /**
- * Save students array to localStorage
+ * Save the selected term's students, keeping students of other terms
  * @param {Array} students - Array of student objects
  */
 function saveStudents(students) {
-    try {
-        const studentsJSON = JSON.stringify(students);
-        localStorage.setItem('students', studentsJSON);
-        console.log('✅ Students saved to localStorage:', students.length, 'students');
-        // Verify it was saved
-        const verify = localStorage.getItem('students');
-        if (!verify) {
-            console.error('❌ Failed to save students - localStorage may be disabled or full');
-        }
-    } catch (error) {
-        console.error('❌ Error saving students to localStorage:', error);
-        alert('Error saving data! Your browser may have localStorage disabled or be out of storage space.');
-    }
+    const termId = getSelectedTermId();
+    const enrolled = new Set(termId === null ? [] : getEnrolments(termId).map(e => e.studentId));
+    const kept = termId === null ? [] : readCollection('students').filter(s => !enrolled.has(s.id) && !students.some(t => t.id === s.id));
+    writeCollection('students', [...kept, ...students]);
 }
 
 /**
- * Add a new student
+ * Add a new student to the selected term
+ * A student from an earlier term with the same CIN is enrolled again instead.
  * @param {Object} student - Student object with name, cin, group, userId
- * @returns {boolean} True if added successfully, false if CIN already exists
+ * @returns {boolean} True if added successfully, false if CIN already exists or not allowed
  */
 function addStudent(student) {
-    const students = getStudents();
+    if (!authorizeWrite('students:create', { group: student.group })) return false;
     
-    // Check if CIN already exists
-    if (students.some(s => s.cin === student.cin)) {
-        return false;
+    const termId = getSelectedTermId();
+    const allStudents = getAllStudents();
+    const existing = allStudents.find(s => s.cin === student.cin);
+    
+    // Check if CIN already exists in this term
+    if (existing) {
+        if (termId === null || getEnrolments(termId).some(e => e.studentId === existing.id)) {
+            return false;
+        }
+        existing.name = student.name;
+        existing.group = student.group;
+        if (student.userId) existing.userId = student.userId;
+        writeCollection('students', allStudents);
+        enrolStudent(existing.id, termId, student.group);
+        student.id = existing.id;
+        return true;
     }
     
     // Add unique numeric ID
-    const maxId = students.length > 0 ? Math.max(...students.map(s => s.id || 0)) : 0;
+    const maxId = allStudents.length > 0 ? Math.max(...allStudents.map(s => s.id || 0)) : 0;
     student.id = maxId + 1;
-    students.push(student);
-    saveStudents(students);
+    allStudents.push(student);
+    writeCollection('students', allStudents);
+    if (termId !== null) {
+        enrolStudent(student.id, termId, student.group);
+    }
     return true;
 }
 
 /**
  * Update an existing student
+ * The user must be allowed to edit both the old and the new group.
  * @param {number} id - Student ID
  * @param {Object} updatedStudent - Updated student data
  * @returns {boolean} True if updated successfully
  */
 function updateStudent(id, updatedStudent) {
     const students = getStudents();
-    // Convert to number for comparison
-    const numId = typeof id === 'string' ? parseInt(id) : id;
-    
-    const index = students.findIndex(s => {
-        const studentId = typeof s.id === 'string' ? parseInt(s.id) : s.id;
-        return studentId === numId;
-    });
+    const index = students.findIndex(s => s.id === id);
     
     if (index === -1) return false;
+    if (!authorizeWrite('students:update', { group: students[index].group }) ||
+        !authorizeWrite('students:update', { group: updatedStudent.group })) {
+        return false;
+    }
     
-    // Preserve ID as number and check CIN uniqueness (if changed)
-    updatedStudent.id = numId; // Ensure ID is always a number
-    const otherStudents = students.filter(s => {
-        const studentId = typeof s.id === 'string' ? parseInt(s.id) : s.id;
-        return studentId !== numId;
-    });
+    // Preserve ID and check CIN uniqueness (if changed)
+    updatedStudent.id = id;
+    const otherStudents = getAllStudents().filter(s => s.id !== id);
     if (otherStudents.some(s => s.cin === updatedStudent.cin)) {
         return false; // CIN already exists in another student
     }
     
     students[index] = updatedStudent;
     saveStudents(students);
+    
+    // Keep the group of this term's enrolment in sync
+    const termId = getSelectedTermId();
+    if (termId !== null) {
+        enrolStudent(id, termId, updatedStudent.group);
+    }
     return true;
 }
 
 /**
- * Delete a student by ID
+ * Remove a student from the selected term
+ * Their grades and absences for the term are deleted; the student record
+ * itself is only deleted once they are no longer enrolled in any term.
  * @param {number} id - Student ID
+ * @returns {boolean} True if deleted, false if not allowed
  */
 function deleteStudent(id) {
-    const students = getStudents();
-    // Convert to number for comparison
-    const numId = typeof id === 'string' ? parseInt(id) : id;
+    if (!authorizeWrite('students:delete', { group: getStudentGroup(id) })) return false;
     
-    // Filter out the student, comparing as numbers
-    const filtered = students.filter(s => {
-        const studentId = typeof s.id === 'string' ? parseInt(s.id) : s.id;
-        return studentId !== numId;
-    });
+    // Also delete all grades, attendance records and justifications for this student (in this term)
+    deleteStudentGrades(id);
+    saveAttendance(getAttendance().filter(a => a.studentId !== id));
+    saveAbsenceJustifications(getAbsenceJustifications().filter(j => j.studentId !== id));
     
-    saveStudents(filtered);
+    const termId = getSelectedTermId();
+    const enrolments = readCollection('enrolments').filter(e => !(e.studentId === id && e.termId === termId));
+    writeCollection('enrolments', enrolments);
     
-    // Also delete all grades for this student
-    deleteStudentGrades(numId);
+    if (termId === null || !enrolments.some(e => e.studentId === id)) {
+        writeCollection('students', getAllStudents().filter(s => s.id !== id));
+    }
+    return true;
 }
 
 /**
- * Get a student by ID
- * @param {number|string} id - Student ID
+ * Get a student by ID (whatever the term)
+ * In the selected term the group is the one they have in that term.
+ * @param {number} id - Student ID
  * @returns {Object|null} Student object or null if not found
  */
 function getStudentById(id) {
-    const students = getStudents();
-    // Convert to number for comparison to handle both string and number IDs
-    const numId = typeof id === 'string' ? parseInt(id) : id;
-    if (isNaN(numId)) return null;
-    
-    return students.find(s => {
-        // Compare as numbers to handle type mismatches
-        const studentId = typeof s.id === 'string' ? parseInt(s.id) : s.id;
-        return studentId === numId;
-    }) || null;
+    return getStudents().find(s => s.id === id) || getAllStudents().find(s => s.id === id) || null;
 }
 
 /**
@@ -156,8 +546,7 @@ function getStudentById(id) {
  * @returns {Object|null} Student object or null if not found
  */
 function getStudentByUserId(userId) {
-    const students = getStudents();
-    return students.find(s => s.userId === userId) || null;
+    return getStudents().find(s => s.userId === userId) || getAllStudents().find(s => s.userId === userId) || null;
 }
 
 // ============================================
@@ -165,42 +554,35 @@ function getStudentByUserId(userId) {
 // ============================================
 
 /**
- * Get all modules from localStorage
- * @returns {Array} Array of module objects with {id, name, coefficient}
+ * Get the modules of the selected term
+ * Validation rules are optional: eliminatoryGrade (a lower grade fails the
+ * student), validationGrade (grade needed to validate the module) and unitId
+ * (modules of the same teaching unit compensate each other). attendancePolicy
+ * (see getAttendancePolicyOutcome) bars or penalizes students with too many
+ * unexcused absences.
+ * @returns {Array} Array of module objects with {id, name, coefficient, termId, eliminatoryGrade, validationGrade, unitId, attendancePolicy}
  */
 function getModules() {
-    const modulesJSON = localStorage.getItem('modules');
-    return modulesJSON ? JSON.parse(modulesJSON) : [];
+    return readTermCollection('modules', isModuleInTerm);
 }
 
 /**
- * Save modules array to localStorage
+ * Save the selected term's modules, keeping modules of other terms
  * @param {Array} modules - Array of module objects
  */
 function saveModules(modules) {
-    try {
-        const modulesJSON = JSON.stringify(modules);
-        localStorage.setItem('modules', modulesJSON);
-        console.log('✅ Modules saved to localStorage:', modules.length, 'modules');
-        // Verify it was saved
-        const verify = localStorage.getItem('modules');
-        if (!verify) {
-            console.error('❌ Failed to save modules - localStorage may be disabled or full');
-        }
-    } catch (error) {
-        console.error('❌ Error saving modules to localStorage:', error);
-        if (error.name === 'QuotaExceededError') {
-            alert('Storage is full! Please clear some data or use a different browser.');
-        }
-    }
+    writeTermCollection('modules', modules, isModuleInTerm);
 }
 
 /**
  * Add a new module
- * @param {Object} module - Module object with name, coefficient, and optional examDate
- * @returns {boolean} True if added successfully, false if name already exists
+ * The module is assigned to the teacher who creates it.
+ * @param {Object} module - Module object with name and coefficient
+ * @returns {boolean} True if added successfully, false if name already exists or not allowed
  */
 function addModule(module) {
+    if (!authorizeWrite('modules:create')) return false;
+    
     const modules = getModules();
     
     // Check if module name already exists
@@ -208,16 +590,22 @@ function addModule(module) {
         return false;
     }
     
-    // Add unique numeric ID (ensure it's a number, not a string)
-    const maxId = modules.length > 0 ? Math.max(...modules.map(m => {
-        const id = typeof m.id === 'string' ? parseInt(m.id) : m.id;
-        return isNaN(id) ? 0 : id;
-    })) : 0;
-    module.id = maxId + 1; // Ensure it's always a number
-    // Ensure examDate is included (can be empty string)
-    if (!module.examDate) module.examDate = '';
+    // Add unique numeric ID (across every term)
+    const allModules = readCollection('modules');
+    const maxId = allModules.length > 0 ? Math.max(...allModules.map(m => m.id)) : 0;
+    module.id = maxId + 1;
+    module.termId = getSelectedTermId();
+    // examDate follows the exam schedule (see syncModuleExamDate)
+    module.examDate = '';
+    normalizeModuleRules(module);
     modules.push(module);
     saveModules(modules);
+    
+    // Let the creator keep managing their module
+    const user = getCurrentUser();
+    if (user && user.role !== 'admin') {
+        addModuleAssignment(user.id, module.id);
+    }
     return true;
 }
 
@@ -228,69 +616,165 @@ function addModule(module) {
  * @returns {boolean} True if updated successfully
  */
 function updateModule(id, updatedModule) {
-    const modules = getModules();
-    // Convert to number for comparison
-    const numId = typeof id === 'string' ? parseInt(id) : id;
+    if (!authorizeWrite('modules:manage', { moduleId: id })) return false;
     
-    const index = modules.findIndex(m => {
-        const moduleId = typeof m.id === 'string' ? parseInt(m.id) : m.id;
-        return moduleId === numId;
-    });
+    const modules = getModules();
+    const index = modules.findIndex(m => m.id === id);
     
     if (index === -1) return false;
     
-    // Preserve ID as number and check name uniqueness (if changed)
-    updatedModule.id = numId; // Ensure ID is always a number
-    const otherModules = modules.filter(m => {
-        const moduleId = typeof m.id === 'string' ? parseInt(m.id) : m.id;
-        return moduleId !== numId;
-    });
+    // Preserve ID, term and exam date, and check name uniqueness (if changed)
+    updatedModule.id = id;
+    updatedModule.termId = modules[index].termId;
+    updatedModule.examDate = modules[index].examDate || '';
+    const otherModules = modules.filter(m => m.id !== id);
     if (otherModules.some(m => m.name.toLowerCase() === updatedModule.name.toLowerCase())) {
         return false; // Name already exists in another module
     }
     
+    normalizeModuleRules(updatedModule);
     modules[index] = updatedModule;
     saveModules(modules);
     return true;
 }
 
+/**
+ * Fill in a module's validation rules (no threshold, no unit and no attendance policy by default)
+ * @param {Object} module - Module object, changed in place
+ */
+function normalizeModuleRules(module) {
+    const toThreshold = value => (value === '' || value === null || value === undefined || isNaN(value)) ? null : parseFloat(value);
+    module.eliminatoryGrade = toThreshold(module.eliminatoryGrade);
+    module.validationGrade = toThreshold(module.validationGrade);
+    module.unitId = normalizeId(module.unitId);
+    module.attendancePolicy = normalizeAttendancePolicy(module.attendancePolicy);
+}
+
 /**
  * Delete a module by ID
  * @param {number} id - Module ID
+ * @returns {boolean} True if deleted, false if not allowed
  */
 function deleteModule(id) {
-    const modules = getModules();
-    // Convert to number for comparison
-    const numId = typeof id === 'string' ? parseInt(id) : id;
+    if (!authorizeWrite('modules:manage', { moduleId: id })) return false;
     
-    // Filter out the module, comparing as numbers
-    const filtered = modules.filter(m => {
-        const moduleId = typeof m.id === 'string' ? parseInt(m.id) : m.id;
-        return moduleId !== numId;
-    });
-    
-    saveModules(filtered);
+    // Delete grades, assessments, sessions, exams and timetable slots first: they are found through the term's modules
+    deleteModuleGrades(id);
+    deleteModuleAssessments(id);
+    deleteModuleSessions(id);
+    saveExamSessions(getExamSessions().filter(e => e.moduleId !== id));
+    saveTimetableSlots(getTimetableSlots().filter(s => s.moduleId !== id));
     
-    // Also delete all grades for this module
-    deleteModuleGrades(numId);
+    const modules = getModules();
+    saveModules(modules.filter(m => m.id !== id));
+    return true;
 }
 
 /**
  * Get a module by ID
- * @param {number|string} id - Module ID
+ * @param {number} id - Module ID
  * @returns {Object|null} Module object or null if not found
  */
 function getModuleById(id) {
     const modules = getModules();
-    // Convert to number for comparison to handle both string and number IDs
-    const numId = typeof id === 'string' ? parseInt(id) : id;
-    if (isNaN(numId)) return null;
+    return modules.find(m => m.id === id) || null;
+}
+
+// ============================================
+// TEACHING UNIT DATA MANAGEMENT
+// ============================================
+
+/**
+ * Get the teaching units of the selected term
+ * Units are stored as: [{id, name, credits, termId}, ...]
+ * @returns {Array} Array of teaching unit objects
+ */
+function getTeachingUnits() {
+    return readTermCollection('teachingUnits', isModuleInTerm);
+}
+
+/**
+ * Save the selected term's teaching units, keeping units of other terms
+ * @param {Array} units - Array of teaching unit objects
+ */
+function saveTeachingUnits(units) {
+    writeTermCollection('teachingUnits', units, isModuleInTerm);
+}
+
+/**
+ * Get a teaching unit by ID
+ * @param {number} id - Unit ID
+ * @returns {Object|null} Teaching unit or null if not found
+ */
+function getTeachingUnitById(id) {
+    return getTeachingUnits().find(u => u.id === id) || null;
+}
+
+/**
+ * Get the modules of a teaching unit
+ * @param {number} unitId - Unit ID
+ * @returns {Array} Array of module objects
+ */
+function getUnitModules(unitId) {
+    return getModules().filter(m => m.unitId === unitId);
+}
+
+/**
+ * Add a teaching unit to the selected term
+ * @param {Object} unit - {name, credits}
+ * @returns {boolean} True if added, false if the name exists or not allowed
+ */
+function addTeachingUnit(unit) {
+    if (!authorizeWrite('units:manage')) return false;
+    
+    const units = getTeachingUnits();
+    if (units.some(u => u.name.toLowerCase() === unit.name.toLowerCase())) {
+        return false;
+    }
+    
+    // Add unique numeric ID (across every term)
+    const allUnits = readCollection('teachingUnits');
+    const maxId = allUnits.length > 0 ? Math.max(...allUnits.map(u => u.id)) : 0;
+    units.push({ id: maxId + 1, name: unit.name, credits: parseFloat(unit.credits) || 0, termId: getSelectedTermId() });
+    saveTeachingUnits(units);
+    return true;
+}
+
+/**
+ * Update a teaching unit
+ * @param {number} id - Unit ID
+ * @param {Object} updatedUnit - {name, credits}
+ * @returns {boolean} True if updated, false if not found, name taken or not allowed
+ */
+function updateTeachingUnit(id, updatedUnit) {
+    if (!authorizeWrite('units:manage')) return false;
+    
+    const units = getTeachingUnits();
+    const index = units.findIndex(u => u.id === id);
+    if (index === -1) return false;
+    
+    if (units.some(u => u.id !== id && u.name.toLowerCase() === updatedUnit.name.toLowerCase())) {
+        return false;
+    }
+    
+    // Preserve ID and term
+    units[index] = { ...units[index], name: updatedUnit.name, credits: parseFloat(updatedUnit.credits) || 0 };
+    saveTeachingUnits(units);
+    return true;
+}
+
+/**
+ * Delete a teaching unit
+ * Its modules are kept and no longer belong to a unit.
+ * @param {number} id - Unit ID
+ * @returns {boolean} True if deleted, false if not allowed
+ */
+function deleteTeachingUnit(id) {
+    if (!authorizeWrite('units:manage')) return false;
     
-    return modules.find(m => {
-        // Compare as numbers to handle type mismatches
-        const moduleId = typeof m.id === 'string' ? parseInt(m.id) : m.id;
-        return moduleId === numId;
-    }) || null;
+    saveModules(getModules().map(m => m.unitId === id ? { ...m, unitId: null } : m));
+    saveTeachingUnits(getTeachingUnits().filter(u => u.id !== id));
+    return true;
 }
 
 // ============================================
@@ -298,35 +782,20 @@ function getModuleById(id) {
 // ============================================
 
 /**
- * Get all grades from localStorage
+ * Get the grades of the selected term's modules
  * Grades are stored as array: [{studentId, moduleId, grade}, ...]
  * @returns {Array} Array of grade objects
  */
 function getGrades() {
-    const gradesJSON = localStorage.getItem('grades');
-    return gradesJSON ? JSON.parse(gradesJSON) : [];
+    return readTermCollection('grades', isRecordInTerm);
 }
 
 /**
- * Save grades array to localStorage
+ * Save the selected term's grades, keeping grades of other terms
  * @param {Array} grades - Array of grade objects
  */
 function saveGrades(grades) {
-    try {
-        const gradesJSON = JSON.stringify(grades);
-        localStorage.setItem('grades', gradesJSON);
-        console.log('✅ Grades saved to localStorage:', grades.length, 'grades');
-        // Verify it was saved
-        const verify = localStorage.getItem('grades');
-        if (!verify) {
-            console.error('❌ Failed to save grades - localStorage may be disabled or full');
-        }
-    } catch (error) {
-        console.error('❌ Error saving grades to localStorage:', error);
-        if (error.name === 'QuotaExceededError') {
-            alert('Storage is full! Please clear some data or use a different browser.');
-        }
-    }
+    writeTermCollection('grades', grades, isRecordInTerm);
 }
 
 /**
@@ -345,9 +814,12 @@ function getGrade(studentId, moduleId) {
  * Set grade for a specific student and module
  * @param {number} studentId - Student ID
  * @param {number} moduleId - Module ID
- * @param {number} grade - Grade value (0-20) or null to delete
+ * @param {number} grade - Grade value (0 to the scale maximum) or null to delete
+ * @returns {boolean} True if saved, false if out of scale or not allowed
  */
 function setGrade(studentId, moduleId, grade) {
+    if (!authorizeWrite('grades:write', { moduleId: moduleId, group: getStudentGroup(studentId) })) return false;
+    
     let grades = getGrades();
     
     // Find existing grade
@@ -360,6 +832,9 @@ function setGrade(studentId, moduleId, grade) {
         }
     } else {
         const gradeValue = parseFloat(grade);
+        if (!isGradeInScale(gradeValue)) {
+            return false;
+        }
         if (index !== -1) {
             // Update existing grade
             grades[index].grade = gradeValue;
@@ -374,30 +849,40 @@ function setGrade(studentId, moduleId, grade) {
     }
     
     saveGrades(grades);
+    recordGradeChange(studentId, moduleId, getModuleGrade(studentId, moduleId));
+    return true;
 }
 
 /**
  * Delete all grades for a specific student
+ * (including assessment scores, resit grades and history)
  * @param {number} studentId - Student ID
  */
 function deleteStudentGrades(studentId) {
     let grades = getGrades();
     grades = grades.filter(g => g.studentId !== studentId);
     saveGrades(grades);
+    saveAssessmentScores(getAssessmentScores().filter(s => s.studentId !== studentId));
+    saveResitGrades(getResitGrades().filter(g => g.studentId !== studentId));
+    saveGradeHistory(getGradeHistory().filter(h => h.studentId !== studentId));
 }
 
 /**
- * Delete all grades for a specific module
+ * Delete all grades for a specific module (including resit grades and history)
  * @param {number} moduleId - Module ID
  */
 function deleteModuleGrades(moduleId) {
     let grades = getGrades();
     grades = grades.filter(g => g.moduleId !== moduleId);
     saveGrades(grades);
+    saveResitGrades(getResitGrades().filter(g => g.moduleId !== moduleId));
+    saveGradeHistory(getGradeHistory().filter(h => h.moduleId !== moduleId));
 }
 
 /**
- * Get all grades for a specific student
+ * Get all module grades for a specific student
+ * Modules with assessments get the grade combined from their assessment
+ * scores; other modules use the grade entered directly.
  * @param {number} studentId - Student ID
  * @returns {Object} Object with moduleId as keys and grade as values
  */
@@ -411,103 +896,561 @@ function getStudentGrades(studentId) {
         }
     });
     
+    // Read assessments once for every module
+    const assessments = getAssessments();
+    const scores = getAssessmentScores().filter(s => s.studentId === studentId);
+    const moduleIds = new Set(assessments.map(a => a.moduleId));
+    
+    moduleIds.forEach(moduleId => {
+        const grade = combineAssessmentScores(assessments.filter(a => a.moduleId === moduleId), scores);
+        if (grade === null) {
+            delete studentGrades[moduleId];
+        } else {
+            studentGrades[moduleId] = grade;
+        }
+    });
+    
     return studentGrades;
 }
 
+/**
+ * Get the module grade of a student (combined from assessments if any)
+ * @param {number} studentId - Student ID
+ * @param {number} moduleId - Module ID
+ * @returns {number|null} Grade on the grading scale, or null if not graded
+ */
+function getModuleGrade(studentId, moduleId) {
+    const assessments = getModuleAssessments(moduleId);
+    if (assessments.length === 0) {
+        return getGrade(studentId, moduleId);
+    }
+    const scores = getAssessmentScores().filter(s => s.studentId === studentId);
+    return combineAssessmentScores(assessments, scores);
+}
+
 // ============================================
-// ABSENCE DATA MANAGEMENT
+// GRADE HISTORY
 // ============================================
 
 /**
- * Get all absences from localStorage
- * Absences are stored as: [{studentId, moduleId, count}, ...]
- * @returns {Array} Array of absence objects
+ * Get the selected term's grade history
+ * Every change of a module grade is recorded with its date, so the
+ * dashboard can show how averages evolved. A null grade records a removal.
+ * @returns {Array} Array of {studentId, moduleId, grade, changedAt, changedBy}, oldest first
  */
-function getAbsences() {
-    const absencesJSON = localStorage.getItem('absences');
-    return absencesJSON ? JSON.parse(absencesJSON) : [];
+function getGradeHistory() {
+    return readTermCollection('gradeHistory', isRecordInTerm)
+        .sort((a, b) => a.changedAt.localeCompare(b.changedAt));
 }
 
 /**
- * Save absences array to localStorage
- * @param {Array} absences - Array of absence objects
+ * Save the selected term's grade history, keeping other terms' history
+ * @param {Array} entries - Array of history entries
  */
-function saveAbsences(absences) {
-    try {
-        const absencesJSON = JSON.stringify(absences);
-        localStorage.setItem('absences', absencesJSON);
-        console.log('✅ Absences saved to localStorage:', absences.length, 'absence records');
-        // Verify it was saved
-        const verify = localStorage.getItem('absences');
-        if (!verify) {
-            console.error('❌ Failed to save absences - localStorage may be disabled or full');
-        }
-    } catch (error) {
-        console.error('❌ Error saving absences to localStorage:', error);
-        if (error.name === 'QuotaExceededError') {
-            alert('Storage is full! Please clear some data or use a different browser.');
-        }
-    }
+function saveGradeHistory(entries) {
+    writeTermCollection('gradeHistory', entries, isRecordInTerm);
 }
 
 /**
- * Get absence count for a specific student and module
+ * Record the current module grade of a student in the history
+ * Nothing is recorded if it equals the last recorded grade.
  * @param {number} studentId - Student ID
  * @param {number} moduleId - Module ID
- * @returns {number} Absence count (default 0)
+ * @param {number|null} grade - New module grade, or null if removed
  */
-function getAbsenceCount(studentId, moduleId) {
-    const absences = getAbsences();
-    // Convert to numbers to ensure proper comparison
-    const sid = typeof studentId === 'string' ? parseInt(studentId) : studentId;
-    const mid = typeof moduleId === 'string' ? parseInt(moduleId) : moduleId;
-    const absenceObj = absences.find(a => 
-        (typeof a.studentId === 'string' ? parseInt(a.studentId) : a.studentId) === sid &&
-        (typeof a.moduleId === 'string' ? parseInt(a.moduleId) : a.moduleId) === mid
-    );
-    return absenceObj ? (typeof absenceObj.count === 'string' ? parseInt(absenceObj.count) : absenceObj.count) : 0;
+function recordGradeChange(studentId, moduleId, grade) {
+    const history = getGradeHistory();
+    const previous = history.filter(h => h.studentId === studentId && h.moduleId === moduleId).pop();
+    if ((previous ? previous.grade : null) === grade) return;
+    
+    const user = getCurrentUser();
+    history.push({
+        studentId: studentId,
+        moduleId: moduleId,
+        grade: grade,
+        changedAt: new Date().toISOString(),
+        changedBy: user ? user.id : null
+    });
+    saveGradeHistory(history);
 }
 
 /**
- * Set absence count for a specific student and module
- * @param {number} studentId - Student ID
- * @param {number} moduleId - Module ID
- * @param {number} count - Absence count
+ * Rebuild the module grades as they were at a given date
+ * @param {Date} date - Point in time
+ * @param {Array} history - Grade history (defaults to the selected term's)
+ * @returns {Object} {studentId: {moduleId: grade}} with the grades known at that date
  */
-function setAbsenceCount(studentId, moduleId, count) {
-    let absences = getAbsences();
-    const countValue = parseInt(count) || 0;
-    
-    // Convert to numbers to ensure proper comparison
-    const sid = typeof studentId === 'string' ? parseInt(studentId) : studentId;
-    const mid = typeof moduleId === 'string' ? parseInt(moduleId) : moduleId;
+function getGradesAsOf(date, history = getGradeHistory()) {
+    const limit = date.toISOString();
+    const grades = {};
     
-    // Find existing absence record
-    const index = absences.findIndex(a => 
-        (typeof a.studentId === 'string' ? parseInt(a.studentId) : a.studentId) === sid &&
-        (typeof a.moduleId === 'string' ? parseInt(a.moduleId) : a.moduleId) === mid
-    );
-    
-    if (countValue === 0) {
-        // Remove absence record if count is 0
-        if (index !== -1) {
-            absences.splice(index, 1);
-        }
-    } else {
-        if (index !== -1) {
-            // Update existing absence
-            absences[index].count = countValue;
+    history.filter(h => h.changedAt <= limit).forEach(h => {
+        if (!grades[h.studentId]) grades[h.studentId] = {};
+        if (h.grade === null) {
+            delete grades[h.studentId][h.moduleId];
         } else {
-            // Add new absence record (ensure IDs are numbers)
-            absences.push({
-                studentId: sid,
-                moduleId: mid,
-                count: countValue
-            });
+            grades[h.studentId][h.moduleId] = h.grade;
         }
+    });
+    
+    return grades;
+}
+
+// ============================================
+// ASSESSMENT DATA MANAGEMENT
+// ============================================
+
+/**
+ * Get the assessments of the selected term's modules
+ * Assessments are stored as: [{id, moduleId, name, weight, maxScore, date}, ...]
+ * @returns {Array} Array of assessment objects
+ */
+function getAssessments() {
+    return readTermCollection('assessments', isRecordInTerm);
+}
+
+/**
+ * Save the selected term's assessments, keeping other terms' assessments
+ * @param {Array} assessments - Array of assessment objects
+ */
+function saveAssessments(assessments) {
+    writeTermCollection('assessments', assessments, isRecordInTerm);
+}
+
+/**
+ * Get the assessments of one module, in date order
+ * @param {number} moduleId - Module ID
+ * @returns {Array} Array of assessment objects
+ */
+function getModuleAssessments(moduleId) {
+    return getAssessments()
+        .filter(a => a.moduleId === moduleId)
+        .sort((a, b) => (a.date || '').localeCompare(b.date || '') || a.id - b.id);
+}
+
+/**
+ * Get an assessment by ID
+ * @param {number} id - Assessment ID
+ * @returns {Object|null} Assessment or null if not found
+ */
+function getAssessmentById(id) {
+    return readCollection('assessments').find(a => a.id === id) || null;
+}
+
+/**
+ * Add an assessment to a module
+ * @param {Object} assessment - {moduleId, name, weight, maxScore, date}
+ * @returns {boolean} True if added, false if the name exists in the module or not allowed
+ */
+function addAssessment(assessment) {
+    if (!authorizeWrite('modules:manage', { moduleId: assessment.moduleId })) return false;
+    
+    const assessments = getAssessments();
+    if (assessments.some(a => a.moduleId === assessment.moduleId && a.name.toLowerCase() === assessment.name.toLowerCase())) {
+        return false;
+    }
+    
+    // Add unique numeric ID (across every term)
+    const allAssessments = readCollection('assessments');
+    const maxId = allAssessments.length > 0 ? Math.max(...allAssessments.map(a => a.id)) : 0;
+    assessment.id = maxId + 1;
+    if (!assessment.date) assessment.date = '';
+    assessments.push(assessment);
+    saveAssessments(assessments);
+    return true;
+}
+
+/**
+ * Update an assessment
+ * @param {number} id - Assessment ID
+ * @param {Object} updatedAssessment - {name, weight, maxScore, date}
+ * @returns {boolean} True if updated, false if not found, name taken or not allowed
+ */
+function updateAssessment(id, updatedAssessment) {
+    const assessments = getAssessments();
+    const index = assessments.findIndex(a => a.id === id);
+    if (index === -1) return false;
+    
+    const moduleId = assessments[index].moduleId;
+    if (!authorizeWrite('modules:manage', { moduleId: moduleId })) return false;
+    
+    if (assessments.some(a => a.id !== id && a.moduleId === moduleId && a.name.toLowerCase() === updatedAssessment.name.toLowerCase())) {
+        return false;
+    }
+    
+    // Preserve ID and module
+    assessments[index] = { ...updatedAssessment, id: id, moduleId: moduleId };
+    saveAssessments(assessments);
+    return true;
+}
+
+/**
+ * Delete an assessment and its scores
+ * @param {number} id - Assessment ID
+ * @returns {boolean} True if deleted, false if not allowed
+ */
+function deleteAssessment(id) {
+    const assessment = getAssessmentById(id);
+    if (!assessment || !authorizeWrite('modules:manage', { moduleId: assessment.moduleId })) return false;
+    
+    saveAssessmentScores(getAssessmentScores().filter(s => s.assessmentId !== id));
+    saveAssessments(getAssessments().filter(a => a.id !== id));
+    return true;
+}
+
+/**
+ * Delete every assessment of a module (and their scores)
+ * @param {number} moduleId - Module ID
+ */
+function deleteModuleAssessments(moduleId) {
+    const assessmentIds = new Set(getAssessments().filter(a => a.moduleId === moduleId).map(a => a.id));
+    saveAssessmentScores(getAssessmentScores().filter(s => !assessmentIds.has(s.assessmentId)));
+    saveAssessments(getAssessments().filter(a => a.moduleId !== moduleId));
+}
+
+// Scope for assessment scores: the term's assessments
+const isScoreInTerm = termId => {
+    const moduleIds = getTermModuleIds(termId);
+    const assessmentIds = new Set(readCollection('assessments').filter(a => moduleIds.has(a.moduleId)).map(a => a.id));
+    return score => assessmentIds.has(score.assessmentId);
+};
+
+/**
+ * Get the assessment scores of the selected term
+ * Scores are stored as: [{studentId, assessmentId, score}, ...]
+ * @returns {Array} Array of score objects
+ */
+function getAssessmentScores() {
+    return readTermCollection('assessmentScores', isScoreInTerm);
+}
+
+/**
+ * Save the selected term's assessment scores, keeping other terms' scores
+ * @param {Array} scores - Array of score objects
+ */
+function saveAssessmentScores(scores) {
+    writeTermCollection('assessmentScores', scores, isScoreInTerm);
+}
+
+/**
+ * Get a student's score for an assessment
+ * @param {number} studentId - Student ID
+ * @param {number} assessmentId - Assessment ID
+ * @returns {number|null} Score or null if not entered
+ */
+function getAssessmentScore(studentId, assessmentId) {
+    const score = getAssessmentScores().find(s => s.studentId === studentId && s.assessmentId === assessmentId);
+    return score ? score.score : null;
+}
+
+/**
+ * Set a student's score for an assessment
+ * @param {number} studentId - Student ID
+ * @param {number} assessmentId - Assessment ID
+ * @param {number} score - Score (0 to the assessment's maxScore) or null to delete
+ * @returns {boolean} True if saved, false if invalid or not allowed
+ */
+function setAssessmentScore(studentId, assessmentId, score) {
+    const assessment = getAssessmentById(assessmentId);
+    if (!assessment) return false;
+    if (!authorizeWrite('grades:write', { moduleId: assessment.moduleId, group: getStudentGroup(studentId) })) return false;
+    
+    const scores = getAssessmentScores();
+    const index = scores.findIndex(s => s.studentId === studentId && s.assessmentId === assessmentId);
+    
+    if (score === null || score === '' || isNaN(score)) {
+        // Remove score if empty
+        if (index !== -1) {
+            scores.splice(index, 1);
+        }
+    } else {
+        const scoreValue = parseFloat(score);
+        if (scoreValue < 0 || scoreValue > assessment.maxScore) {
+            return false;
+        }
+        if (index !== -1) {
+            scores[index].score = scoreValue;
+        } else {
+            scores.push({ studentId: studentId, assessmentId: assessmentId, score: scoreValue });
+        }
+    }
+    
+    saveAssessmentScores(scores);
+    // The combined module grade changed too
+    recordGradeChange(studentId, assessment.moduleId, getModuleGrade(studentId, assessment.moduleId));
+    return true;
+}
+
+/**
+ * Combine assessment scores into a module grade on the grading scale
+ * Each score is scaled to the scale maximum and weighted; assessments without a score are
+ * left out, so the grade reflects what has been graded so far.
+ * @param {Array} assessments - The module's assessments
+ * @param {Array} scores - Scores of one student
+ * @returns {number|null} Module grade, or null if no assessment is graded
+ */
+function combineAssessmentScores(assessments, scores) {
+    const scaleMax = getGradingScheme().scaleMax;
+    let totalPoints = 0;
+    let totalWeight = 0;
+    
+    assessments.forEach(assessment => {
+        const score = scores.find(s => s.assessmentId === assessment.id);
+        if (score && assessment.maxScore > 0) {
+            totalPoints += (score.score / assessment.maxScore) * scaleMax * assessment.weight;
+            totalWeight += assessment.weight;
+        }
+    });
+    
+    return totalWeight > 0 ? totalPoints / totalWeight : null;
+}
+
+// ============================================
+// ATTENDANCE DATA MANAGEMENT
+// ============================================
+
+// Attendance states of a student in a class session
+const ATTENDANCE_STATUSES = {
+    present: { label: 'Present', badge: 'badge-success' },
+    late: { label: 'Late', badge: 'badge-warning' },
+    absent: { label: 'Absent', badge: 'badge-danger' },
+    excused: { label: 'Excused', badge: 'badge-info' }
+};
+
+// Scope for attendance records: the sessions of the term's modules
+const isAttendanceInTerm = termId => {
+    const moduleIds = getTermModuleIds(termId);
+    const sessionIds = new Set(readCollection('classSessions').filter(s => moduleIds.has(s.moduleId)).map(s => s.id));
+    return record => sessionIds.has(record.sessionId);
+};
+
+/**
+ * Get the class sessions of the selected term's modules
+ * Sessions are stored as: [{id, moduleId, date, startTime, endTime, group, topic}, ...]
+ * An empty group means the session is for every group of the module.
+ * @returns {Array} Array of session objects
+ */
+function getClassSessions() {
+    return readTermCollection('classSessions', isRecordInTerm);
+}
+
+/**
+ * Save the selected term's class sessions, keeping other terms' sessions
+ * @param {Array} sessions - Array of session objects
+ */
+function saveClassSessions(sessions) {
+    writeTermCollection('classSessions', sessions, isRecordInTerm);
+}
+
+/**
+ * Get the sessions of a module, most recent first
+ * @param {number} moduleId - Module ID
+ * @returns {Array} Array of session objects
+ */
+function getModuleSessions(moduleId) {
+    return getClassSessions()
+        .filter(s => s.moduleId === moduleId)
+        .sort((a, b) => `${b.date} ${b.startTime}`.localeCompare(`${a.date} ${a.startTime}`));
+}
+
+/**
+ * Get a class session by ID
+ * @param {number} id - Session ID
+ * @returns {Object|null} Session object or null
+ */
+function getClassSessionById(id) {
+    return getClassSessions().find(s => s.id === id) || null;
+}
+
+/**
+ * Get the students expected at a session (the module's students, or one group)
+ * @param {Object} session - Session object
+ * @returns {Array} Array of student objects
+ */
+function getSessionStudents(session) {
+    return getStudents().filter(s => !session.group || s.group === session.group);
+}
+
+/**
+ * Add a class session to a module
+ * @param {Object} session - {moduleId, date, startTime, endTime, group, topic}
+ * @returns {boolean} True if added, false if not allowed or the slot is taken
+ */
+function addClassSession(session) {
+    if (!authorizeWrite('absences:write', { moduleId: session.moduleId, group: session.group || undefined })) return false;
+    
+    const sessions = getClassSessions();
+    if (sessions.some(s => s.moduleId === session.moduleId && s.date === session.date &&
+        s.startTime === session.startTime && s.group === session.group)) {
+        return false;
+    }
+    
+    // Add unique numeric ID (across every term)
+    const allSessions = readCollection('classSessions');
+    session.id = allSessions.length > 0 ? Math.max(...allSessions.map(s => s.id)) + 1 : 1;
+    session.group = session.group || '';
+    session.topic = session.topic || '';
+    sessions.push(session);
+    saveClassSessions(sessions);
+    return true;
+}
+
+/**
+ * Update a class session
+ * @param {number} id - Session ID
+ * @param {Object} updatedSession - {date, startTime, endTime, group, topic}
+ * @returns {boolean} True if updated, false if not found or not allowed
+ */
+function updateClassSession(id, updatedSession) {
+    const sessions = getClassSessions();
+    const index = sessions.findIndex(s => s.id === id);
+    if (index === -1) return false;
+    if (!authorizeWrite('absences:write', { moduleId: sessions[index].moduleId, group: updatedSession.group || undefined })) return false;
+    
+    sessions[index] = { ...sessions[index], ...updatedSession, id: id, moduleId: sessions[index].moduleId };
+    saveClassSessions(sessions);
+    return true;
+}
+
+/**
+ * Delete a class session and its attendance records
+ * @param {number} id - Session ID
+ * @returns {boolean} True if deleted, false if not found or not allowed
+ */
+function deleteClassSession(id) {
+    const session = getClassSessionById(id);
+    if (!session) return false;
+    if (!authorizeWrite('absences:write', { moduleId: session.moduleId, group: session.group || undefined })) return false;
+    
+    // Remove records first: they are found through the term's sessions
+    saveAttendance(getAttendance().filter(a => a.sessionId !== id));
+    saveAbsenceJustifications(getAbsenceJustifications().filter(j => j.sessionId !== id));
+    saveClassSessions(getClassSessions().filter(s => s.id !== id));
+    return true;
+}
+
+/**
+ * Delete every session (with its attendance records and justifications) of a module
+ * @param {number} moduleId - Module ID
+ */
+function deleteModuleSessions(moduleId) {
+    const sessionIds = new Set(getClassSessions().filter(s => s.moduleId === moduleId).map(s => s.id));
+    saveAttendance(getAttendance().filter(a => !sessionIds.has(a.sessionId)));
+    saveAbsenceJustifications(getAbsenceJustifications().filter(j => !sessionIds.has(j.sessionId)));
+    saveClassSessions(getClassSessions().filter(s => s.moduleId !== moduleId));
+}
+
+/**
+ * Get the attendance records of the selected term
+ * Records are stored as: [{sessionId, studentId, status, justification}, ...]
+ * @returns {Array} Array of attendance records
+ */
+function getAttendance() {
+    return readTermCollection('attendance', isAttendanceInTerm);
+}
+
+/**
+ * Save the selected term's attendance records, keeping other terms' records
+ * @param {Array} records - Array of attendance records
+ */
+function saveAttendance(records) {
+    writeTermCollection('attendance', records, isAttendanceInTerm);
+}
+
+/**
+ * Get the attendance record of a student at a session
+ * @param {number} sessionId - Session ID
+ * @param {number} studentId - Student ID
+ * @returns {Object|null} Attendance record or null if not recorded
+ */
+function getAttendanceRecord(sessionId, studentId) {
+    return getAttendance().find(a => a.sessionId === sessionId && a.studentId === studentId) || null;
+}
+
+/**
+ * Record the attendance of a student at a session
+ * @param {number} sessionId - Session ID
+ * @param {number} studentId - Student ID
+ * @param {string|null} status - ATTENDANCE_STATUSES key, or null to clear the record
+ * @param {string} justification - Reason, required for 'excused'
+ * @returns {boolean} True if saved, false if invalid or not allowed
+ */
+function setAttendance(sessionId, studentId, status, justification = '') {
+    const session = getClassSessionById(sessionId);
+    if (!session) return false;
+    if (!authorizeWrite('absences:write', { moduleId: session.moduleId, group: getStudentGroup(studentId) })) return false;
+    if (status !== null && !ATTENDANCE_STATUSES[status]) return false;
+    if (status === 'excused' && !String(justification).trim()) return false;
+    
+    const records = getAttendance().filter(a => !(a.sessionId === sessionId && a.studentId === studentId));
+    if (status !== null) {
+        records.push({
+            sessionId: sessionId,
+            studentId: studentId,
+            status: status,
+            justification: status === 'excused' ? String(justification).trim() : ''
+        });
     }
+    saveAttendance(records);
+    return true;
+}
+
+/**
+ * Count a student's attendance states, optionally in one module
+ * Sessions imported from the old absence counters have no roll call:
+ * their absences count, but they are left out of the attendance rate.
+ * @param {number} studentId - Student ID
+ * @param {number} moduleId - Module ID (optional)
+ * @returns {Object} {present, late, absent, excused, recorded, rate} (rate in %, null if nothing recorded)
+ */
+function getAttendanceSummary(studentId, moduleId) {
+    const sessions = new Map(getClassSessions()
+        .filter(s => moduleId === undefined || s.moduleId === moduleId)
+        .map(s => [s.id, s]));
+    const summary = { present: 0, late: 0, absent: 0, excused: 0, recorded: 0, rate: null };
+    let attended = 0;
+    
+    getAttendance().forEach(record => {
+        const session = sessions.get(record.sessionId);
+        if (record.studentId !== studentId || !session) return;
+        summary[record.status]++;
+        if (session.imported) return;
+        summary.recorded++;
+        if (record.status === 'present' || record.status === 'late') attended++;
+    });
     
-    saveAbsences(absences);
+    if (summary.recorded > 0) {
+        summary.rate = Math.round((attended / summary.recorded) * 100);
+    }
+    return summary;
+}
+
+/**
+ * Get the attendance rate of a set of students (present or late, over recorded)
+ * @param {Array} students - Students to include (defaults to getStudents())
+ * @returns {number|null} Rate in %, or null if nothing was recorded
+ */
+function getAttendanceRate(students = getStudents()) {
+    let attended = 0;
+    let recorded = 0;
+    students.forEach(student => {
+        const summary = getAttendanceSummary(student.id);
+        attended += summary.present + summary.late;
+        recorded += summary.recorded;
+    });
+    return recorded > 0 ? Math.round((attended / recorded) * 100) : null;
+}
+
+/**
+ * Get absence count for a specific student and module
+ * Excused absences are absences too.
+ * @param {number} studentId - Student ID
+ * @param {number} moduleId - Module ID
+ * @returns {number} Absence count (default 0)
+ */
+function getAbsenceCount(studentId, moduleId) {
+    const summary = getAttendanceSummary(studentId, moduleId);
+    return summary.absent + summary.excused;
 }
 
 /**
@@ -516,13 +1459,14 @@ function setAbsenceCount(studentId, moduleId, count) {
  * @returns {Object} Object with moduleId as keys and absence count as values
  */
 function getStudentAbsences(studentId) {
-    const absences = getAbsences();
+    const sessions = new Map(getClassSessions().map(s => [s.id, s]));
     const studentAbsences = {};
     
-    absences.forEach(absenceObj => {
-        if (absenceObj.studentId === studentId) {
-            studentAbsences[absenceObj.moduleId] = absenceObj.count;
-        }
+    getAttendance().forEach(record => {
+        if (record.studentId !== studentId || (record.status !== 'absent' && record.status !== 'excused')) return;
+        const session = sessions.get(record.sessionId);
+        if (!session) return;
+        studentAbsences[session.moduleId] = (studentAbsences[session.moduleId] || 0) + 1;
     });
     
     return studentAbsences;
@@ -538,17 +1482,1343 @@ function getTotalAbsences(studentId) {
     return Object.values(studentAbsences).reduce((sum, count) => sum + count, 0);
 }
 
+/**
+ * Get the unexcused absence count of a student in a module
+ * Only these count toward attendance thresholds and penalties.
+ * @param {number} studentId - Student ID
+ * @param {number} moduleId - Module ID
+ * @returns {number} Unexcused absence count (default 0)
+ */
+function getUnexcusedAbsenceCount(studentId, moduleId) {
+    return getAttendanceSummary(studentId, moduleId).absent;
+}
+
+/**
+ * Get the unexcused absence count of a student across all modules
+ * @param {number} studentId - Student ID
+ * @returns {number} Total unexcused absence count
+ */
+function getTotalUnexcusedAbsences(studentId) {
+    return getAttendanceSummary(studentId).absent;
+}
+
+// Attendance policies a module can apply to unexcused absences
+const ATTENDANCE_POLICY_TYPES = {
+    bar: 'Barred from the exam',
+    penalty: 'Grade penalty'
+};
+
+/**
+ * Clean up a module's attendance policy
+ * @param {Object|null} policy - {type, maxAbsences, penaltyPerAbsence}
+ * @returns {Object|null} Normalized policy, or null for no policy
+ */
+function normalizeAttendancePolicy(policy) {
+    if (!policy || !ATTENDANCE_POLICY_TYPES[policy.type]) return null;
+    
+    const maxAbsences = parseInt(policy.maxAbsences);
+    const penaltyPerAbsence = parseFloat(policy.penaltyPerAbsence);
+    return {
+        type: policy.type,
+        maxAbsences: isNaN(maxAbsences) || maxAbsences < 0 ? 0 : maxAbsences,
+        penaltyPerAbsence: policy.type === 'penalty' && !isNaN(penaltyPerAbsence) && penaltyPerAbsence > 0 ? penaltyPerAbsence : 0
+    };
+}
+
+/**
+ * Apply a module's attendance policy to a student
+ * Only unexcused absences count. Beyond maxAbsences, a 'bar' policy bars the
+ * student from the module's exam, and a 'penalty' policy deducts
+ * penaltyPerAbsence points from the module grade for each extra absence.
+ * @param {number} studentId - Student ID
+ * @param {Object} module - Module object
+ * @returns {Object} {unexcused, excess, barred, penalty}
+ */
+function getAttendancePolicyOutcome(studentId, module) {
+    const policy = module.attendancePolicy;
+    const unexcused = getUnexcusedAbsenceCount(studentId, module.id);
+    const excess = policy ? Math.max(0, unexcused - policy.maxAbsences) : 0;
+    
+    return {
+        unexcused: unexcused,
+        excess: excess,
+        barred: policy !== null && policy !== undefined && policy.type === 'bar' && excess > 0,
+        penalty: policy && policy.type === 'penalty' ? excess * policy.penaltyPerAbsence : 0
+    };
+}
+
+/**
+ * Deduct the attendance penalties from a student's module grades
+ * The grade never goes below 0.
+ * @param {number} studentId - Student ID
+ * @param {Object} studentGrades - Object with moduleId as keys and grade as values
+ * @returns {Object} Copy of the grades with the penalties deducted
+ */
+function applyAttendancePenalties(studentId, studentGrades) {
+    const penalized = { ...studentGrades };
+    getModules().forEach(module => {
+        const grade = penalized[module.id];
+        if (grade === undefined || grade === null) return;
+        
+        const penalty = getAttendancePolicyOutcome(studentId, module).penalty;
+        if (penalty > 0) penalized[module.id] = Math.max(0, grade - penalty);
+    });
+    return penalized;
+}
+
 // ============================================
-// UTILITY FUNCTIONS
+// ABSENCE JUSTIFICATIONS
 // ============================================
 
+// Review states of a justification
+const JUSTIFICATION_STATUSES = {
+    pending: { label: 'Pending', badge: 'badge-warning' },
+    approved: { label: 'Approved', badge: 'badge-success' },
+    rejected: { label: 'Rejected', badge: 'badge-danger' }
+};
+
+// Largest document a student can attach (it is stored as a data URL)
+const MAX_JUSTIFICATION_DOCUMENT_SIZE = 500 * 1024;
+
+// Document types a student can attach (scans and photos)
+const JUSTIFICATION_DOCUMENT_TYPES = ['application/pdf', 'image/png', 'image/jpeg', 'image/gif', 'image/webp'];
+
 /**
- * Clear all data from localStorage
- * WARNING: This will delete all students, modules, grades, and absences
+ * Get the data URL of a justification document, if it is safe to link to
+ * @param {Object|null} document - {name, type, size, dataUrl}
+ * @returns {string|null} The data URL, or null if it is not a data URL of an allowed type
  */
-function clearAllData() {
-    localStorage.removeItem('students');
-    localStorage.removeItem('modules');
-    localStorage.removeItem('grades');
-    localStorage.removeItem('absences');
+function getJustificationDocumentUrl(document) {
+    if (!document || typeof document.dataUrl !== 'string') return null;
+    const match = document.dataUrl.match(/^data:([\w.+-]+\/[\w.+-]+)[;,]/);
+    return match && JUSTIFICATION_DOCUMENT_TYPES.includes(match[1].toLowerCase()) ? document.dataUrl : null;
+}
+
+/**
+ * Get the absence justifications of the selected term
+ * Justifications are stored as: [{id, sessionId, studentId, reason, document, status,
+ *   submittedAt, reviewedAt, reviewedBy, reviewComment}, ...]
+ * document is null or {name, type, size, dataUrl}.
+ * @returns {Array} Array of justification objects
+ */
+function getAbsenceJustifications() {
+    return readTermCollection('absenceJustifications', isAttendanceInTerm);
+}
+
+/**
+ * Save the selected term's justifications, keeping other terms' justifications
+ * @param {Array} justifications - Array of justification objects
+ */
+function saveAbsenceJustifications(justifications) {
+    writeTermCollection('absenceJustifications', justifications, isAttendanceInTerm);
+}
+
+/**
+ * Get the latest justification a student submitted for a session
+ * @param {number} sessionId - Session ID
+ * @param {number} studentId - Student ID
+ * @returns {Object|null} Justification object or null
+ */
+function getSessionJustification(sessionId, studentId) {
+    const matches = getAbsenceJustifications().filter(j => j.sessionId === sessionId && j.studentId === studentId);
+    return matches.length > 0 ? matches[matches.length - 1] : null;
+}
+
+/**
+ * Get the pending justifications the current user can review, oldest first
+ * @returns {Array} Array of justification objects
+ */
+function getJustificationQueue() {
+    const sessions = new Map(getClassSessions().map(s => [s.id, s]));
+    return getAbsenceJustifications()
+        .filter(j => j.status === 'pending')
+        .filter(j => {
+            const session = sessions.get(j.sessionId);
+            return session && canWrite('absences:write', { moduleId: session.moduleId, group: getStudentGroup(j.studentId) });
+        })
+        .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt));
+}
+
+/**
+ * Submit a justification for one of the current student's absences
+ * Only an unexcused absence without a pending or approved justification can be justified.
+ * @param {number} sessionId - Session ID
+ * @param {string} reason - Reason given by the student
+ * @param {Object|null} document - Optional {name, type, size, dataUrl}
+ * @returns {boolean} True if submitted, false if invalid or not allowed
+ */
+function submitAbsenceJustification(sessionId, reason, document = null) {
+    if (!authorizeWrite('absences:justify')) return false;
+    
+    const student = getStudentByUserId(getCurrentUser().id);
+    const record = student ? getAttendanceRecord(sessionId, student.id) : null;
+    if (!record || record.status !== 'absent') return false;
+    if (!String(reason).trim()) return false;
+    if (document && (!getJustificationDocumentUrl(document) || document.size > MAX_JUSTIFICATION_DOCUMENT_SIZE)) return false;
+    
+    const previous = getSessionJustification(sessionId, student.id);
+    if (previous && previous.status !== 'rejected') return false;
+    
+    const justifications = getAbsenceJustifications();
+    const allJustifications = readCollection('absenceJustifications');
+    justifications.push({
+        id: allJustifications.length > 0 ? Math.max(...allJustifications.map(j => j.id)) + 1 : 1,
+        sessionId: sessionId,
+        studentId: student.id,
+        reason: String(reason).trim(),
+        document: document ? { name: document.name, type: document.type, size: document.size, dataUrl: document.dataUrl } : null,
+        status: 'pending',
+        submittedAt: new Date().toISOString(),
+        reviewedAt: null,
+        reviewedBy: null,
+        reviewComment: ''
+    });
+    saveAbsenceJustifications(justifications);
+    return true;
 }
+
+/**
+ * Approve or reject a pending justification
+ * Approving turns the absence into an excused one, with the student's reason.
+ * @param {number} id - Justification ID
+ * @param {boolean} approved - True to approve, false to reject
+ * @param {string} comment - Optional comment for the student
+ * @returns {boolean} True if reviewed, false if not found, already reviewed or not allowed
+ */
+function reviewAbsenceJustification(id, approved, comment = '') {
+    const justifications = getAbsenceJustifications();
+    const justification = justifications.find(j => j.id === id);
+    if (!justification || justification.status !== 'pending') return false;
+    
+    const session = getClassSessionById(justification.sessionId);
+    if (!session) return false;
+    if (!authorizeWrite('absences:write', { moduleId: session.moduleId, group: getStudentGroup(justification.studentId) })) return false;
+    
+    // The roll call may have changed since: only an absence becomes excused
+    const record = getAttendanceRecord(justification.sessionId, justification.studentId);
+    if (approved && record && record.status === 'absent') {
+        setAttendance(justification.sessionId, justification.studentId, 'excused', justification.reason);
+    }
+    
+    justification.status = approved ? 'approved' : 'rejected';
+    justification.reviewedAt = new Date().toISOString();
+    justification.reviewedBy = getCurrentUser().id;
+    justification.reviewComment = String(comment).trim();
+    saveAbsenceJustifications(justifications);
+    return true;
+}
+
+// ============================================
+// EXAM SCHEDULE
+// ============================================
+
+/**
+ * Get the exam sessions of the selected term's modules
+ * Exams are stored as: [{id, moduleId, date, startTime, endTime, room, group, invigilators, sequence, updatedAt}, ...]
+ * An empty group means every group sits the exam; invigilators are user IDs.
+ * sequence goes up on every change and updatedAt is when it changed (both used by the .ics export).
+ * Exams without start or end time (imported from the old examDate) take the whole day.
+ * @returns {Array} Array of exam objects
+ */
+function getExamSessions() {
+    return readTermCollection('examSessions', isRecordInTerm);
+}
+
+/**
+ * Save the selected term's exam sessions, keeping other terms' exams
+ * @param {Array} exams - Array of exam objects
+ */
+function saveExamSessions(exams) {
+    writeTermCollection('examSessions', exams, isRecordInTerm);
+}
+
+/**
+ * Sort exams chronologically
+ * @param {Array} exams - Array of exam objects
+ * @returns {Array} The same exams, earliest first
+ */
+function sortExams(exams) {
+    return exams.sort((a, b) => `${a.date} ${a.startTime}`.localeCompare(`${b.date} ${b.startTime}`));
+}
+
+/**
+ * Get the exams of a module, earliest first
+ * @param {number} moduleId - Module ID
+ * @returns {Array} Array of exam objects
+ */
+function getModuleExams(moduleId) {
+    return sortExams(getExamSessions().filter(e => e.moduleId === moduleId));
+}
+
+/**
+ * Get the exams a group sits (its own exams and the exams of every group), earliest first
+ * @param {string} group - Group name
+ * @returns {Array} Array of exam objects
+ */
+function getGroupExams(group) {
+    return sortExams(getExamSessions().filter(e => !e.group || e.group === group));
+}
+
+/**
+ * Get an exam session by ID
+ * @param {number} id - Exam ID
+ * @returns {Object|null} Exam object or null
+ */
+function getExamSessionById(id) {
+    return getExamSessions().find(e => e.id === id) || null;
+}
+
+/**
+ * Check if two exams take place at the same time
+ * @param {Object} a - Exam object
+ * @param {Object} b - Exam object
+ * @returns {boolean} True if they overlap
+ */
+function doExamsOverlap(a, b) {
+    if (a.date !== b.date) return false;
+    const allDay = exam => !exam.startTime || !exam.endTime;
+    if (allDay(a) || allDay(b)) return true;
+    return a.startTime < b.endTime && b.startTime < a.endTime;
+}
+
+/**
+ * Find the scheduled exams an exam would clash with
+ * - A group cannot sit two exams at once (an exam for every group clashes with any group)
+ * - A room cannot host two exams at once
+ * - An invigilator cannot watch two exams at once
+ * @param {Object} exam - Exam to check {moduleId, date, startTime, endTime, room, group, invigilators}
+ * @param {number} ignoreId - ID of the exam being edited (optional)
+ * @returns {Array} [{exam, type, message}] with type 'group', 'room' or 'invigilator'
+ */
+function findExamConflicts(exam, ignoreId = null) {
+    const conflicts = [];
+    const room = String(exam.room || '').trim().toLowerCase();
+    
+    getExamSessions()
+        .filter(other => other.id !== ignoreId && doExamsOverlap(exam, other))
+        .forEach(other => {
+            const module = getModuleById(other.moduleId);
+            const what = `${module ? module.name : 'Another exam'} (${other.date}${other.startTime ? ' ' + other.startTime + '-' + other.endTime : ''})`;
+            
+            if (!exam.group || !other.group || exam.group === other.group) {
+                conflicts.push({ exam: other, type: 'group', message: `${exam.group || 'Every group'} already sits ${what}` });
+            }
+            if (room && String(other.room || '').trim().toLowerCase() === room) {
+                conflicts.push({ exam: other, type: 'room', message: `Room ${other.room} is already booked for ${what}` });
+            }
+            const shared = (exam.invigilators || []).filter(id => (other.invigilators || []).includes(id));
+            shared.forEach(userId => {
+                const user = getUserById(userId);
+                conflicts.push({ exam: other, type: 'invigilator', message: `${user ? user.name : 'An invigilator'} already invigilates ${what}` });
+            });
+        });
+    
+    return conflicts;
+}
+
+/**
+ * Clean up an exam before saving it
+ * @param {Object} exam - Exam object, changed in place
+ */
+function normalizeExamSession(exam) {
+    exam.startTime = exam.startTime || '';
+    exam.endTime = exam.endTime || '';
+    exam.room = String(exam.room || '').trim();
+    exam.group = exam.group || '';
+    exam.invigilators = (exam.invigilators || []).map(normalizeId).filter(id => id !== null);
+}
+
+/**
+ * Keep a module's examDate on its earliest scheduled exam
+ * (examDate is what the grades and results pages show)
+ * @param {number} moduleId - Module ID
+ */
+function syncModuleExamDate(moduleId) {
+    const exams = getModuleExams(moduleId);
+    saveModules(getModules().map(m => m.id === moduleId
+        ? { ...m, examDate: exams.length > 0 ? exams[0].date : '' }
+        : m));
+}
+
+/**
+ * Schedule an exam for a module
+ * @param {Object} exam - {moduleId, date, startTime, endTime, room, group, invigilators}
+ * @returns {boolean} True if scheduled, false if invalid, clashing with another exam or not allowed
+ */
+function addExamSession(exam) {
+    if (!getModuleById(exam.moduleId) || !exam.date) return false;
+    if (!authorizeWrite('modules:manage', { moduleId: exam.moduleId })) return false;
+    
+    normalizeExamSession(exam);
+    if (exam.startTime && exam.endTime && exam.endTime <= exam.startTime) return false;
+    if (findExamConflicts(exam).length > 0) return false;
+    
+    // Unique numeric ID (across every term)
+    const allExams = readCollection('examSessions');
+    exam.id = allExams.length > 0 ? Math.max(...allExams.map(e => e.id)) + 1 : 1;
+    exam.sequence = 0;
+    exam.updatedAt = new Date().toISOString();
+    
+    const exams = getExamSessions();
+    exams.push(exam);
+    saveExamSessions(exams);
+    syncModuleExamDate(exam.moduleId);
+    return true;
+}
+
+/**
+ * Update a scheduled exam (its module cannot change)
+ * @param {number} id - Exam ID
+ * @param {Object} updated - {date, startTime, endTime, room, group, invigilators}
+ * @returns {boolean} True if updated, false if invalid, clashing with another exam or not allowed
+ */
+function updateExamSession(id, updated) {
+    const exams = getExamSessions();
+    const index = exams.findIndex(e => e.id === id);
+    if (index === -1 || !updated.date) return false;
+    if (!authorizeWrite('modules:manage', { moduleId: exams[index].moduleId })) return false;
+    
+    const exam = {
+        ...updated,
+        id: id,
+        moduleId: exams[index].moduleId,
+        sequence: (exams[index].sequence || 0) + 1,
+        updatedAt: new Date().toISOString()
+    };
+    normalizeExamSession(exam);
+    if (exam.startTime && exam.endTime && exam.endTime <= exam.startTime) return false;
+    if (findExamConflicts(exam, id).length > 0) return false;
+    
+    exams[index] = exam;
+    saveExamSessions(exams);
+    syncModuleExamDate(exam.moduleId);
+    return true;
+}
+
+/**
+ * Delete a scheduled exam
+ * @param {number} id - Exam ID
+ * @returns {boolean} True if deleted, false if not found or not allowed
+ */
+function deleteExamSession(id) {
+    const exam = getExamSessionById(id);
+    if (!exam) return false;
+    if (!authorizeWrite('modules:manage', { moduleId: exam.moduleId })) return false;
+    
+    saveExamSessions(getExamSessions().filter(e => e.id !== id));
+    syncModuleExamDate(exam.moduleId);
+    return true;
+}
+
+// ============================================
+// WEEKLY TIMETABLE
+// ============================================
+
+// Teaching days, keyed like Date.getDay()
+const WEEK_DAYS = {
+    1: 'Monday',
+    2: 'Tuesday',
+    3: 'Wednesday',
+    4: 'Thursday',
+    5: 'Friday',
+    6: 'Saturday'
+};
+
+/**
+ * Get the weekly timetable slots of the selected term's modules
+ * Slots are stored as: [{id, moduleId, group, room, day, startTime, endTime, teacherId, sequence, updatedAt}, ...]
+ * day is a WEEK_DAYS key; an empty group means the class is for every group.
+ * sequence goes up on every change and updatedAt is when it changed (both used by the .ics export).
+ * @returns {Array} Array of slot objects
+ */
+function getTimetableSlots() {
+    return readTermCollection('timetableSlots', isRecordInTerm);
+}
+
+/**
+ * Save the selected term's timetable slots, keeping other terms' slots
+ * @param {Array} slots - Array of slot objects
+ */
+function saveTimetableSlots(slots) {
+    writeTermCollection('timetableSlots', slots, isRecordInTerm);
+}
+
+/**
+ * Sort slots by day, then start time
+ * @param {Array} slots - Array of slot objects
+ * @returns {Array} The same slots, in weekly order
+ */
+function sortTimetableSlots(slots) {
+    return slots.sort((a, b) => a.day - b.day || a.startTime.localeCompare(b.startTime));
+}
+
+/**
+ * Get the weekly classes of a group (its own classes and the classes of every group)
+ * @param {string} group - Group name
+ * @returns {Array} Array of slot objects, in weekly order
+ */
+function getGroupTimetable(group) {
+    return sortTimetableSlots(getTimetableSlots().filter(s => !s.group || s.group === group));
+}
+
+/**
+ * Get the weekly classes a teacher gives
+ * @param {number} userId - Teacher's user ID
+ * @returns {Array} Array of slot objects, in weekly order
+ */
+function getTeacherTimetable(userId) {
+    return sortTimetableSlots(getTimetableSlots().filter(s => s.teacherId === userId));
+}
+
+/**
+ * Get a timetable slot by ID
+ * @param {number} id - Slot ID
+ * @returns {Object|null} Slot object or null
+ */
+function getTimetableSlotById(id) {
+    return getTimetableSlots().find(s => s.id === id) || null;
+}
+
+/**
+ * Find the slots a weekly slot would clash with
+ * - A group cannot have two classes at once (a class for every group clashes with any group)
+ * - A room cannot host two classes at once
+ * - A teacher cannot give two classes at once
+ * @param {Object} slot - Slot to check {moduleId, group, room, day, startTime, endTime, teacherId}
+ * @param {number} ignoreId - ID of the slot being edited (optional)
+ * @returns {Array} [{slot, type, message}] with type 'group', 'room' or 'teacher'
+ */
+function findTimetableConflicts(slot, ignoreId = null) {
+    const conflicts = [];
+    const room = String(slot.room || '').trim().toLowerCase();
+    
+    getTimetableSlots()
+        .filter(other => other.id !== ignoreId && other.day === slot.day
+            && slot.startTime < other.endTime && other.startTime < slot.endTime)
+        .forEach(other => {
+            const module = getModuleById(other.moduleId);
+            const what = `${module ? module.name : 'another class'} (${WEEK_DAYS[other.day]} ${other.startTime}-${other.endTime})`;
+            
+            if (!slot.group || !other.group || slot.group === other.group) {
+                conflicts.push({ slot: other, type: 'group', message: `${slot.group || 'Every group'} already has ${what}` });
+            }
+            if (room && String(other.room || '').trim().toLowerCase() === room) {
+                conflicts.push({ slot: other, type: 'room', message: `Room ${other.room} is already taken by ${what}` });
+            }
+            if (slot.teacherId && other.teacherId === slot.teacherId) {
+                const teacher = getUserById(slot.teacherId);
+                conflicts.push({ slot: other, type: 'teacher', message: `${teacher ? teacher.name : 'The teacher'} already teaches ${what}` });
+            }
+        });
+    
+    return conflicts;
+}
+
+/**
+ * Check and clean up a slot before saving it
+ * @param {Object} slot - Slot object, changed in place
+ * @returns {boolean} True if the slot is valid
+ */
+function normalizeTimetableSlot(slot) {
+    slot.day = parseInt(slot.day);
+    slot.group = slot.group || '';
+    slot.room = String(slot.room || '').trim();
+    slot.teacherId = normalizeId(slot.teacherId);
+    return Boolean(WEEK_DAYS[slot.day]) && Boolean(slot.startTime) && Boolean(slot.endTime) && slot.startTime < slot.endTime;
+}
+
+/**
+ * Add a weekly slot to the timetable
+ * @param {Object} slot - {moduleId, group, room, day, startTime, endTime, teacherId}
+ * @returns {boolean} True if added, false if invalid, clashing with another slot or not allowed
+ */
+function addTimetableSlot(slot) {
+    if (!getModuleById(slot.moduleId)) return false;
+    if (!authorizeWrite('modules:manage', { moduleId: slot.moduleId, group: slot.group || undefined })) return false;
+    if (!normalizeTimetableSlot(slot)) return false;
+    if (findTimetableConflicts(slot).length > 0) return false;
+    
+    // Unique numeric ID (across every term)
+    const allSlots = readCollection('timetableSlots');
+    slot.id = allSlots.length > 0 ? Math.max(...allSlots.map(s => s.id)) + 1 : 1;
+    slot.sequence = 0;
+    slot.updatedAt = new Date().toISOString();
+    
+    const slots = getTimetableSlots();
+    slots.push(slot);
+    saveTimetableSlots(slots);
+    return true;
+}
+
+/**
+ * Update a weekly slot (its module cannot change)
+ * @param {number} id - Slot ID
+ * @param {Object} updated - {group, room, day, startTime, endTime, teacherId}
+ * @returns {boolean} True if updated, false if invalid, clashing with another slot or not allowed
+ */
+function updateTimetableSlot(id, updated) {
+    const slots = getTimetableSlots();
+    const index = slots.findIndex(s => s.id === id);
+    if (index === -1) return false;
+    
+    const slot = {
+        ...updated,
+        id: id,
+        moduleId: slots[index].moduleId,
+        sequence: (slots[index].sequence || 0) + 1,
+        updatedAt: new Date().toISOString()
+    };
+    if (!authorizeWrite('modules:manage', { moduleId: slot.moduleId, group: slot.group || undefined })) return false;
+    if (!normalizeTimetableSlot(slot)) return false;
+    if (findTimetableConflicts(slot, id).length > 0) return false;
+    
+    slots[index] = slot;
+    saveTimetableSlots(slots);
+    return true;
+}
+
+/**
+ * Delete a weekly slot
+ * @param {number} id - Slot ID
+ * @returns {boolean} True if deleted, false if not found or not allowed
+ */
+function deleteTimetableSlot(id) {
+    const slot = getTimetableSlotById(id);
+    if (!slot) return false;
+    if (!authorizeWrite('modules:manage', { moduleId: slot.moduleId, group: slot.group || undefined })) return false;
+    
+    saveTimetableSlots(getTimetableSlots().filter(s => s.id !== id));
+    return true;
+}
+
+/**
+ * Get the slots that take place on a date
+ * @param {Date} date - Date
+ * @param {Array} slots - Slots to look in (defaults to the whole timetable)
+ * @returns {Array} Array of slot objects, by start time
+ */
+function getTimetableSlotsOn(date, slots = getTimetableSlots()) {
+    return sortTimetableSlots(slots.filter(s => s.day === date.getDay()));
+}
+
+/**
+ * Create the attendance class sessions of timetable slots over a period
+ * Sessions that already exist (same module, date, time and group) are skipped,
+ * so the same period can be generated again safely.
+ * @param {Array} slots - Slots to generate (e.g. one group's timetable)
+ * @param {string} fromDate - First day (YYYY-MM-DD)
+ * @param {string} toDate - Last day (YYYY-MM-DD)
+ * @returns {number} Number of sessions created
+ */
+function generateSessionsFromTimetable(slots, fromDate, toDate) {
+    let created = 0;
+    const day = new Date(`${fromDate}T00:00:00`);
+    const last = new Date(`${toDate}T00:00:00`);
+    
+    for (; day <= last; day.setDate(day.getDate() + 1)) {
+        const date = `${day.getFullYear()}-${String(day.getMonth() + 1).padStart(2, '0')}-${String(day.getDate()).padStart(2, '0')}`;
+        getTimetableSlotsOn(day, slots).forEach(slot => {
+            const added = addClassSession({
+                moduleId: slot.moduleId,
+                date: date,
+                startTime: slot.startTime,
+                endTime: slot.endTime,
+                group: slot.group,
+                topic: ''
+            });
+            if (added) created++;
+        });
+    }
+    return created;
+}
+
+// ============================================
+// RESULT PUBLICATION
+// ============================================
+
+// Key holding whether students can see their results
+const RESULTS_PUBLISHED_KEY = 'resultsPublished';
+
+/**
+ * Check if results are visible to students
+ * @returns {boolean} True if published (the default)
+ */
+function areResultsPublished() {
+    return readJSON(RESULTS_PUBLISHED_KEY, true) !== false;
+}
+
+/**
+ * Publish or hide results for students
+ * @param {boolean} published - True to publish
+ * @returns {boolean} True if saved, false if not allowed
+ */
+function setResultsPublished(published) {
+    // Publication is not tied to a term, so archived terms do not block it
+    if (!hasPermission('results:publish')) {
+        console.warn('⛔ Write refused: missing permission results:publish');
+        return false;
+    }
+    return writeJSON(RESULTS_PUBLISHED_KEY, !!published);
+}
+
+// ============================================
+// GRADING SCHEME
+// ============================================
+
+// Key holding the grading scheme
+const GRADING_SCHEME_KEY = 'gradingScheme';
+
+// Display of each band level (CSS class suffix grade-<level>, colour, badge)
+const GRADE_LEVELS = {
+    'excellent': { label: 'Excellent', color: 'var(--success)', badge: 'badge-success' },
+    'very-good': { label: 'Very good', color: 'var(--info)', badge: 'badge-success' },
+    'good': { label: 'Good', color: 'var(--warning)', badge: 'badge-info' },
+    'pass': { label: 'Pass', color: 'var(--primary)', badge: 'badge-warning' },
+    'fail': { label: 'Fail', color: 'var(--danger)', badge: 'badge-danger' }
+};
+
+// Ready-made schemes; bands are listed from the highest minimum down to 0
+const GRADING_SCHEME_PRESETS = {
+    french: {
+        name: 'French scale (/20)',
+        scaleMax: 20,
+        passMark: 10,
+        bands: [
+            { min: 16, label: 'Très Bien', level: 'excellent' },
+            { min: 14, label: 'Bien', level: 'very-good' },
+            { min: 12, label: 'Assez Bien', level: 'good' },
+            { min: 10, label: 'Passable', level: 'pass' },
+            { min: 0, label: 'Ajourné', level: 'fail' }
+        ]
+    },
+    percent: {
+        name: 'Percentage (/100)',
+        scaleMax: 100,
+        passMark: 50,
+        bands: [
+            { min: 85, label: 'Distinction', level: 'excellent' },
+            { min: 70, label: 'Merit', level: 'very-good' },
+            { min: 60, label: 'Credit', level: 'good' },
+            { min: 50, label: 'Pass', level: 'pass' },
+            { min: 0, label: 'Fail', level: 'fail' }
+        ]
+    },
+    letters: {
+        name: 'Letter grades (/100)',
+        scaleMax: 100,
+        passMark: 60,
+        bands: [
+            { min: 90, label: 'A', level: 'excellent' },
+            { min: 80, label: 'B', level: 'very-good' },
+            { min: 70, label: 'C', level: 'good' },
+            { min: 60, label: 'D', level: 'pass' },
+            { min: 0, label: 'F', level: 'fail' }
+        ]
+    }
+};
+
+/**
+ * Check that a grading scheme is usable
+ * @param {Object} scheme - {name, scaleMax, passMark, bands: [{min, label, level}]}
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateGradingScheme(scheme) {
+    if (!scheme || !(scheme.scaleMax > 0)) {
+        return 'The scale maximum must be greater than 0!';
+    }
+    if (!(scheme.passMark > 0) || scheme.passMark > scheme.scaleMax) {
+        return 'The pass mark must be between 0 and the scale maximum!';
+    }
+    if (!Array.isArray(scheme.bands) || scheme.bands.length === 0) {
+        return 'At least one mention band is required!';
+    }
+    if (scheme.bands.some(b => !b.label || !GRADE_LEVELS[b.level] || isNaN(b.min) || b.min < 0 || b.min > scheme.scaleMax)) {
+        return 'Every band needs a label, a level and a minimum within the scale!';
+    }
+    if (new Set(scheme.bands.map(b => b.min)).size !== scheme.bands.length) {
+        return 'Two bands cannot start at the same grade!';
+    }
+    if (!scheme.bands.some(b => b.min === 0)) {
+        return 'The lowest band must start at 0!';
+    }
+    return null;
+}
+
+/**
+ * Get the grading scheme (the French /20 scale unless configured)
+ * @returns {Object} {name, scaleMax, passMark, bands} with bands sorted from the highest minimum
+ */
+function getGradingScheme() {
+    const stored = readJSON(GRADING_SCHEME_KEY, null);
+    const scheme = stored && validateGradingScheme(stored) === null ? stored : GRADING_SCHEME_PRESETS.french;
+    return { ...scheme, bands: [...scheme.bands].sort((a, b) => b.min - a.min) };
+}
+
+/**
+ * Change the grading scheme
+ * When the scale maximum changes, stored grades, resit grades and module
+ * thresholds (in every term) are rescaled so results stay the same.
+ * @param {Object} scheme - {name, scaleMax, passMark, bands}
+ * @returns {Object} {success: boolean, message: string}
+ */
+function setGradingScheme(scheme) {
+    // The scheme is not tied to a term, so archived terms do not block it
+    if (!hasPermission('rules:manage')) {
+        console.warn('⛔ Write refused: missing permission rules:manage');
+        return { success: false, message: 'You do not have permission to change the grading scheme!' };
+    }
+    
+    const error = validateGradingScheme(scheme);
+    if (error) {
+        return { success: false, message: error };
+    }
+    
+    const factor = scheme.scaleMax / getGradingScheme().scaleMax;
+    if (factor !== 1) {
+        const rescale = value => (value === null || value === undefined) ? value : Math.round(value * factor * 100) / 100;
+        writeCollection('grades', readCollection('grades').map(g => ({ ...g, grade: rescale(g.grade) })));
+        writeCollection('resitGrades', readCollection('resitGrades').map(g => ({ ...g, grade: rescale(g.grade) })));
+        writeCollection('gradeHistory', readCollection('gradeHistory').map(h => ({ ...h, grade: rescale(h.grade) })));
+        writeCollection('modules', readCollection('modules').map(m => ({
+            ...m,
+            eliminatoryGrade: rescale(m.eliminatoryGrade),
+            validationGrade: rescale(m.validationGrade),
+            attendancePolicy: m.attendancePolicy ? { ...m.attendancePolicy, penaltyPerAbsence: rescale(m.attendancePolicy.penaltyPerAbsence) } : m.attendancePolicy
+        })));
+    }
+    
+    writeJSON(GRADING_SCHEME_KEY, {
+        name: scheme.name || 'Custom scale',
+        scaleMax: scheme.scaleMax,
+        passMark: scheme.passMark,
+        bands: scheme.bands.map(b => ({ min: b.min, label: b.label, level: b.level }))
+    });
+    return { success: true, message: factor !== 1 ? 'Grading scheme saved. Existing grades were rescaled.' : 'Grading scheme saved.' };
+}
+
+/**
+ * Check if a value is a grade on the current scale
+ * @param {number} grade - Grade value
+ * @returns {boolean} True if between 0 and the scale maximum
+ */
+function isGradeInScale(grade) {
+    return !isNaN(grade) && grade >= 0 && grade <= getGradingScheme().scaleMax;
+}
+
+/**
+ * Check if a grade reaches the pass mark
+ * @param {number} grade - Grade value
+ * @returns {boolean} True if passing
+ */
+function isPassingGrade(grade) {
+    return grade !== null && grade !== undefined && grade >= getGradingScheme().passMark;
+}
+
+/**
+ * Get the mention band a grade falls in
+ * @param {number} grade - Grade value
+ * @returns {Object} Band {min, label, level}
+ */
+function getGradeBand(grade) {
+    const bands = getGradingScheme().bands;
+    return bands.find(b => grade >= b.min) || bands[bands.length - 1];
+}
+
+/**
+ * Get the display colour of a grade (CSS variable)
+ * @param {number} grade - Grade value
+ * @returns {string} CSS colour
+ */
+function getGradeColor(grade) {
+    return GRADE_LEVELS[getGradeBand(grade).level].color;
+}
+
+/**
+ * Format a grade with the scale, e.g. "12.50/20"
+ * @param {number} grade - Grade value
+ * @param {number} decimals - Decimals to show (2 by default)
+ * @returns {string} Formatted grade
+ */
+function formatGrade(grade, decimals = 2) {
+    return `${grade.toFixed(decimals)}/${getGradingScheme().scaleMax}`;
+}
+
+// ============================================
+// RESIT SESSION
+// ============================================
+
+// Key holding the rule applied to resit grades
+const RESIT_RULE_KEY = 'resitRule';
+
+// How a resit grade combines with the normal session grade
+const RESIT_RULES = {
+    replace: 'Resit grade replaces the original grade',
+    best: 'Best of the original and resit grades',
+    capped: 'Resit grade replaces the original, capped at the pass mark'
+};
+
+/**
+ * Get the resit grades of the selected term
+ * Resit grades are stored apart from the normal session: [{studentId, moduleId, grade}, ...]
+ * @returns {Array} Array of resit grade objects
+ */
+function getResitGrades() {
+    return readTermCollection('resitGrades', isRecordInTerm);
+}
+
+/**
+ * Save the selected term's resit grades, keeping other terms' grades
+ * @param {Array} grades - Array of resit grade objects
+ */
+function saveResitGrades(grades) {
+    writeTermCollection('resitGrades', grades, isRecordInTerm);
+}
+
+/**
+ * Get the resit grade of a student in a module
+ * @param {number} studentId - Student ID
+ * @param {number} moduleId - Module ID
+ * @returns {number|null} Resit grade or null if not taken
+ */
+function getResitGrade(studentId, moduleId) {
+    const grade = getResitGrades().find(g => g.studentId === studentId && g.moduleId === moduleId);
+    return grade ? grade.grade : null;
+}
+
+/**
+ * Set the resit grade of a student in a module
+ * @param {number} studentId - Student ID
+ * @param {number} moduleId - Module ID
+ * @param {number} grade - Grade value (0 to the scale maximum) or null to delete
+ * @returns {boolean} True if saved, false if invalid or not allowed
+ */
+function setResitGrade(studentId, moduleId, grade) {
+    if (!authorizeWrite('grades:write', { moduleId: moduleId, group: getStudentGroup(studentId) })) return false;
+    
+    const grades = getResitGrades();
+    const index = grades.findIndex(g => g.studentId === studentId && g.moduleId === moduleId);
+    
+    if (grade === null || grade === '' || isNaN(grade)) {
+        if (index !== -1) {
+            grades.splice(index, 1);
+        }
+    } else {
+        const gradeValue = parseFloat(grade);
+        if (!isGradeInScale(gradeValue)) {
+            return false;
+        }
+        if (index !== -1) {
+            grades[index].grade = gradeValue;
+        } else {
+            grades.push({ studentId: studentId, moduleId: moduleId, grade: gradeValue });
+        }
+    }
+    
+    saveResitGrades(grades);
+    return true;
+}
+
+/**
+ * Get the rule applied to resit grades
+ * @returns {string} One of the RESIT_RULES keys ('best' by default)
+ */
+function getResitRule() {
+    const rule = readJSON(RESIT_RULE_KEY, 'best');
+    return RESIT_RULES[rule] ? rule : 'best';
+}
+
+/**
+ * Change the rule applied to resit grades
+ * @param {string} rule - One of the RESIT_RULES keys
+ * @returns {boolean} True if saved, false if unknown or not allowed
+ */
+function setResitRule(rule) {
+    if (!RESIT_RULES[rule]) return false;
+    // The rule is not tied to a term, so archived terms do not block it
+    if (!hasPermission('rules:manage')) {
+        console.warn('⛔ Write refused: missing permission rules:manage');
+        return false;
+    }
+    return writeJSON(RESIT_RULE_KEY, rule);
+}
+
+/**
+ * Combine a normal session grade with a resit grade
+ * @param {number|null} original - Normal session grade
+ * @param {number|null} resit - Resit grade
+ * @param {string} rule - Rule key (defaults to the configured rule)
+ * @returns {number|null} Module grade after the resit
+ */
+function applyResitRule(original, resit, rule = getResitRule()) {
+    if (resit === null || resit === undefined) return original;
+    if (original === null || original === undefined) original = 0;
+    
+    if (rule === 'replace') return resit;
+    if (rule === 'capped') return Math.min(resit, getGradingScheme().passMark);
+    return Math.max(original, resit);
+}
+
+/**
+ * Get a student's module grades after the resit session
+ * Modules without a resit grade keep their normal session grade.
+ * @param {number} studentId - Student ID
+ * @returns {Object} Object with moduleId as keys and grade as values
+ */
+function getStudentGradesAfterResit(studentId) {
+    const grades = getStudentGrades(studentId);
+    const rule = getResitRule();
+    
+    getResitGrades().filter(g => g.studentId === studentId).forEach(resit => {
+        const original = grades[resit.moduleId];
+        grades[resit.moduleId] = applyResitRule(original !== undefined ? original : null, resit.grade, rule);
+    });
+    
+    return grades;
+}
+
+// ============================================
+// UTILITY FUNCTIONS
+// ============================================
+
+/**
+ * Clear all data from storage
+ * WARNING: This will delete all students, modules, grades, attendance and
+ * enrolments in every term (the terms themselves are kept)
+ */
+function clearAllData() {
+    removeStoredItem('students');
+    removeStoredItem('modules');
+    removeStoredItem('grades');
+    removeStoredItem('absences');
+    removeStoredItem('enrolments');
+    removeStoredItem('assessments');
+    removeStoredItem('assessmentScores');
+    removeStoredItem('resitGrades');
+    removeStoredItem('teachingUnits');
+    removeStoredItem('gradeHistory');
+    removeStoredItem('classSessions');
+    removeStoredItem('attendance');
+    removeStoredItem('absenceJustifications');
+    removeStoredItem('examSessions');
+    removeStoredItem('timetableSlots');
+}
+
+// ============================================
+// SCHEMA MIGRATIONS
+// ============================================
+
+// Storage key holding the version of the stored data
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+
+// Collections backed up before each migration step
+const MIGRATED_COLLECTIONS = ['users', 'students', 'modules', 'grades', 'absences', 'academicYears', 'semesters', 'enrolments', 'assessments', 'assessmentScores', 'teachingUnits', 'gradeHistory', 'classSessions', 'attendance', 'examSessions'];
+
+/**
+ * Convert a stored id to a number
+ * @param {*} value - Raw id value
+ * @returns {number|null} Numeric id or null if not a valid id
+ */
+function normalizeId(value) {
+    if (value === null || value === undefined || value === '') return null;
+    const id = typeof value === 'number' ? value : parseInt(value);
+    return isNaN(id) ? null : id;
+}
+
+/**
+ * Ordered list of migrations
+ * Each migration upgrades the stored data from (version - 1) to version.
+ * Never edit a released migration: add a new one with the next version.
+ */
+const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalize ids to numbers',
+        migrate() {
+            writeCollection('users', readCollection('users')
+                .map(u => ({ ...u, id: normalizeId(u.id) }))
+                .filter(u => u.id !== null));
+            
+            writeCollection('students', readCollection('students')
+                .map(s => ({ ...s, id: normalizeId(s.id), userId: normalizeId(s.userId) }))
+                .filter(s => s.id !== null));
+            
+            writeCollection('modules', readCollection('modules')
+                .map(m => ({ ...m, id: normalizeId(m.id) }))
+                .filter(m => m.id !== null));
+            
+            // Keep the last record for each pair, drop records with unreadable values
+            const grades = new Map();
+            readCollection('grades').forEach(g => {
+                const grade = { studentId: normalizeId(g.studentId), moduleId: normalizeId(g.moduleId), grade: parseFloat(g.grade) };
+                if (grade.studentId !== null && grade.moduleId !== null && !isNaN(grade.grade)) {
+                    grades.set(`${grade.studentId}-${grade.moduleId}`, grade);
+                }
+            });
+            writeCollection('grades', Array.from(grades.values()));
+            
+            const absences = new Map();
+            readCollection('absences').forEach(a => {
+                const absence = { studentId: normalizeId(a.studentId), moduleId: normalizeId(a.moduleId), count: parseInt(a.count) || 0 };
+                if (absence.studentId !== null && absence.moduleId !== null && absence.count > 0) {
+                    absences.set(`${absence.studentId}-${absence.moduleId}`, absence);
+                }
+            });
+            writeCollection('absences', Array.from(absences.values()));
+        }
+    },
+    {
+        version: 2,
+        description: 'Backfill missing module fields',
+        migrate() {
+            writeCollection('modules', readCollection('modules').map(m => {
+                const coefficient = parseFloat(m.coefficient);
+                return {
+                    ...m,
+                    name: m.name || `Module ${m.id}`,
+                    coefficient: isNaN(coefficient) || coefficient <= 0 ? 1 : coefficient,
+                    examDate: m.examDate || ''
+                };
+            }));
+        }
+    },
+    {
+        version: 3,
+        description: 'Drop copied currentUser object (replaced by sessions)',
+        migrate() {
+            removeStoredItem('currentUser');
+        }
+    },
+    {
+        version: 4,
+        description: 'Require a new password for the former built-in demo teacher',
+        migrate() {
+            writeCollection('users', readCollection('users').map(u =>
+                u.email === 'teacher@emsi.ma' ? { ...u, mustChangePassword: true } : u
+            ));
+        }
+    },
+    {
+        version: 5,
+        description: 'Add account status and promote the setup account to admin',
+        migrate() {
+            const users = readCollection('users').map(u => {
+                const { setupAccount, ...user } = u;
+                return {
+                    ...user,
+                    role: setupAccount ? 'admin' : user.role,
+                    status: user.status || 'active'
+                };
+            });
+            // Existing installs get an administrator too: the oldest teacher
+            if (users.length > 0 && !users.some(u => u.role === 'admin')) {
+                const firstTeacher = users
+                    .filter(u => u.role === 'teacher')
+                    .sort((a, b) => a.id - b.id)[0];
+                if (firstTeacher) firstTeacher.role = 'admin';
+            }
+            writeCollection('users', users);
+        }
+    },
+    {
+        version: 6,
+        description: 'Assign existing modules to existing teachers',
+        migrate() {
+            // Teachers keep access to everything they could edit before assignments existed
+            const moduleIds = readCollection('modules').map(m => m.id);
+            writeCollection('users', readCollection('users').map(u => (
+                u.role === 'teacher' && !u.assignedModules
+                    ? { ...u, assignedModules: [...moduleIds], assignedGroups: [] }
+                    : u
+            )));
+        }
+    },
+    {
+        version: 7,
+        description: 'Create the first academic term and move existing data into it',
+        migrate() {
+            if (readCollection('semesters').length > 0) return;
+            
+            // Academic years run from September to August
+            const today = new Date();
+            const startYear = today.getMonth() >= 8 ? today.getFullYear() : today.getFullYear() - 1;
+            const year = {
+                id: 1,
+                name: `${startYear}-${startYear + 1}`,
+                startDate: `${startYear}-09-01`,
+                endDate: `${startYear + 1}-08-31`
+            };
+            const semester = {
+                id: 1,
+                yearId: 1,
+                name: 'S1',
+                startDate: year.startDate,
+                endDate: `${startYear + 1}-01-31`,
+                archived: false
+            };
+            
+            writeCollection('academicYears', [year]);
+            writeCollection('semesters', [semester]);
+            writeCollection('modules', readCollection('modules').map(m => ({ ...m, termId: m.termId || semester.id })));
+            writeCollection('enrolments', readCollection('students').map(s => ({ studentId: s.id, termId: semester.id, group: s.group })));
+        }
+    },
+    {
+        version: 8,
+        description: 'Turn module unit names into teaching units with ECTS credits',
+        migrate() {
+            const units = readCollection('teachingUnits');
+            let maxId = units.length > 0 ? Math.max(...units.map(u => u.id)) : 0;
+            
+            const modules = readCollection('modules').map(module => {
+                const { unit, ...rest } = module;
+                if (!unit) return { ...rest, unitId: rest.unitId || null };
+                
+                let teachingUnit = units.find(u => u.termId === module.termId && u.name === unit);
+                if (!teachingUnit) {
+                    // Credits start at the unit's total coefficient and can be edited later
+                    maxId += 1;
+                    teachingUnit = { id: maxId, name: unit, credits: 0, termId: module.termId };
+                    units.push(teachingUnit);
+                }
+                teachingUnit.credits += module.coefficient;
+                return { ...rest, unitId: teachingUnit.id };
+            });
+            
+            writeCollection('teachingUnits', units);
+            writeCollection('modules', modules);
+        }
+    },
+    {
+        version: 9,
+        description: 'Start the grade history from the grades already entered',
+        migrate() {
+            // Their real dates are unknown: the history starts today
+            const changedAt = new Date().toISOString();
+            const history = readCollection('gradeHistory');
+            readCollection('grades')
+                .filter(g => !history.some(h => h.studentId === g.studentId && h.moduleId === g.moduleId))
+                .forEach(g => {
+                    history.push({ studentId: g.studentId, moduleId: g.moduleId, grade: g.grade, changedAt: changedAt, changedBy: null });
+                });
+            writeCollection('gradeHistory', history);
+        }
+    },
+    {
+        version: 10,
+        description: 'Turn absence counters into class sessions with attendance records',
+        migrate() {
+            // The counters have no dates: each module gets as many undated
+            // "imported" sessions as its highest counter, and a student with
+            // N absences is marked absent at the first N of them
+            const sessions = readCollection('classSessions');
+            const attendance = readCollection('attendance');
+            let maxId = sessions.length > 0 ? Math.max(...sessions.map(s => s.id)) : 0;
+            
+            const counters = readCollection('absences').filter(a => a.count > 0);
+            [...new Set(counters.map(a => a.moduleId))].forEach(moduleId => {
+                const moduleCounters = counters.filter(a => a.moduleId === moduleId);
+                const imported = [];
+                for (let i = 0; i < Math.max(...moduleCounters.map(a => a.count)); i++) {
+                    maxId += 1;
+                    imported.push({
+                        id: maxId,
+                        moduleId: moduleId,
+                        date: '',
+                        startTime: '',
+                        endTime: '',
+                        group: '',
+                        topic: 'Absences recorded before attendance tracking',
+                        imported: true
+                    });
+                }
+                sessions.push(...imported);
+                moduleCounters.forEach(a => {
+                    imported.slice(0, a.count).forEach(session => {
+                        attendance.push({ sessionId: session.id, studentId: a.studentId, status: 'absent', justification: '' });
+                    });
+                });
+            });
+            
+            writeCollection('classSessions', sessions);
+            writeCollection('attendance', attendance);
+            removeStoredItem('absences');
+        }
+    },
+    {
+        version: 11,
+        description: 'Turn module exam dates into scheduled exams',
+        migrate() {
+            // The old examDate had no time, room or group: the exam takes the whole day, for every group
+            const exams = readCollection('examSessions');
+            let maxId = exams.length > 0 ? Math.max(...exams.map(e => e.id)) : 0;
+            readCollection('modules').forEach(m => {
+                if (!m.examDate || exams.some(e => e.moduleId === m.id)) return;
+                maxId += 1;
+                exams.push({
+                    id: maxId,
+                    moduleId: m.id,
+                    date: m.examDate,
+                    startTime: '',
+                    endTime: '',
+                    room: '',
+                    group: '',
+                    invigilators: []
+                });
+            });
+            writeCollection('examSessions', exams);
+        }
+    }
+];
+
+// Latest schema version known to this code
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the version of the stored data
+ * @returns {number} Stored schema version (0 if never migrated)
+ */
+function getSchemaVersion() {
+    return parseInt(getStorage().getItem(SCHEMA_VERSION_KEY)) || 0;
+}
+
+/**
+ * Run every migration newer than the stored schema version, in order
+ * If a migration fails, the data it touched is restored and the
+ * remaining migrations are skipped so they can be retried on next load.
+ * @returns {number} Schema version after running
+ */
+function runMigrations() {
+    const storage = getStorage();
+    let version = getSchemaVersion();
+    
+    if (version > CURRENT_SCHEMA_VERSION) {
+        console.warn('⚠️ Stored data is from a newer version of the app (schema', version + ')');
+        return version;
+    }
+    
+    MIGRATIONS.filter(m => m.version > version).every(migration => {
+        // Keep a copy of every collection so a failed step can be undone
+        const backup = {};
+        MIGRATED_COLLECTIONS.forEach(key => { backup[key] = storage.getItem(key); });
+        
+        try {
+            migration.migrate();
+            version = migration.version;
+            storage.setItem(SCHEMA_VERSION_KEY, String(version));
+            console.log(`✅ Migrated data to schema ${version}: ${migration.description}`);
+            return true;
+        } catch (error) {
+            console.error(`❌ Migration to schema ${migration.version} failed, restoring data:`, error);
+            MIGRATED_COLLECTIONS.forEach(key => {
+                if (backup[key] === null) storage.removeItem(key);
+                else storage.setItem(key, backup[key]);
+            });
+            return false;
+        }
+    });
+    
+    return version;
+}
+
+// Upgrade stored data once per page load
+whenStorageReady(runMigrations);
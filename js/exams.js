@@ -0,0 +1,303 @@
+/**
+ * ============================================
+ * exams.js - Exam Timetable & Room Scheduling
+ * ============================================
+ *
+ * This file handles:
+ * - Scheduling exams (module, date, time, room, group, invigilators)
+ * - Warning about clashes before saving (group, room, invigilator)
+ * - Editing and deleting scheduled exams
+ * - Displaying the schedule, filtered by module and group
+ * - Read-only exams for modules the teacher is not assigned to
+ */
+
+// Exam being edited in the form
+let editingExamId = null;
+
+/**
+ * Show alert message
+ * @param {string} message - Message to display
+ * @param {string} type - Alert type: 'success' or 'error'
+ */
+function showAlert(message, type) {
+    const alertDiv = document.getElementById('alertMessage');
+    alertDiv.className = `alert alert-${type}`;
+    alertDiv.textContent = message;
+    alertDiv.style.display = 'block';
+    
+    // Hide alert after 3 seconds
+    setTimeout(() => {
+        alertDiv.style.display = 'none';
+    }, 3000);
+}
+
+/**
+ * Get the users who can invigilate an exam (active teachers and admins)
+ * @returns {Array} Array of user objects
+ */
+function getInvigilatorCandidates() {
+    return getUsers()
+        .filter(u => (u.role === 'teacher' || u.role === 'admin') && isUserActive(u))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Format an exam's time slot for display
+ * @param {Object} exam - Exam object
+ * @returns {string} e.g. "08:30-10:30", or "All day"
+ */
+function formatExamTime(exam) {
+    return exam.startTime && exam.endTime ? `${exam.startTime}-${exam.endTime}` : 'All day';
+}
+
+/**
+ * Fill the module, group and invigilator fields of the form and the filters
+ */
+function populateExamFields() {
+    const modules = getModules();
+    const groups = [...new Set(getStudents().map(s => s.group))].sort();
+    const fromUrl = parseInt(new URLSearchParams(window.location.search).get('module'));
+    
+    // Only modules the teacher manages can be scheduled
+    const schedulable = modules.filter(m => canWrite('modules:manage', { moduleId: m.id }));
+    document.getElementById('examModule').innerHTML = schedulable.length > 0
+        ? schedulable.map(m => `<option value="${m.id}" ${m.id === fromUrl ? 'selected' : ''}>${m.name}</option>`).join('')
+        : '<option value="">No module you can schedule</option>';
+    document.getElementById('examFormCard').style.display = schedulable.length > 0 ? 'block' : 'none';
+    
+    document.getElementById('filterExamModule').innerHTML = '<option value="">All modules</option>' +
+        modules.map(m => `<option value="${m.id}" ${m.id === fromUrl ? 'selected' : ''}>${m.name}</option>`).join('');
+    
+    const groupOptions = groups.map(g => `<option value="${g}">${g}</option>`).join('');
+    document.getElementById('examGroup').innerHTML = '<option value="">All groups</option>' + groupOptions;
+    document.getElementById('filterExamGroup').innerHTML = '<option value="">All groups</option>' + groupOptions;
+    
+    document.getElementById('examInvigilators').innerHTML = getInvigilatorCandidates().map(u => `
+        <label style="display: inline-flex; align-items: center; gap: 6px; margin-right: 1rem; font-weight: normal;">
+            <input type="checkbox" name="examInvigilator" value="${u.id}"> ${u.name}
+        </label>
+    `).join('') || '<span style="color: var(--text-secondary);">No teachers yet</span>';
+}
+
+/**
+ * Read the exam form
+ * @returns {Object} {moduleId, date, startTime, endTime, room, group, invigilators}
+ */
+function readExamForm() {
+    return {
+        moduleId: parseInt(document.getElementById('examModule').value),
+        date: document.getElementById('examDate').value,
+        startTime: document.getElementById('examStart').value,
+        endTime: document.getElementById('examEnd').value,
+        room: document.getElementById('examRoom').value.trim(),
+        group: document.getElementById('examGroup').value,
+        invigilators: Array.from(document.querySelectorAll('input[name="examInvigilator"]:checked')).map(input => parseInt(input.value))
+    };
+}
+
+/**
+ * Show the clashes of the exam being entered, before it is saved
+ */
+function displayExamConflicts() {
+    const container = document.getElementById('examConflicts');
+    const exam = readExamForm();
+    
+    if (!exam.date) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const conflicts = findExamConflicts(exam, editingExamId);
+    container.innerHTML = conflicts.length > 0 ? `
+        <div class="alert alert-error" style="display: block;">
+            <strong>⚠️ Conflicts:</strong>
+            <ul style="margin: 6px 0 0 1rem;">${conflicts.map(c => `<li>${c.message}</li>`).join('')}</ul>
+        </div>
+    ` : '';
+}
+
+/**
+ * Reset the exam form
+ */
+function resetExamForm() {
+    document.getElementById('examForm').reset();
+    document.getElementById('examModule').disabled = false;
+    document.getElementById('examSubmitBtn').textContent = 'Schedule Exam';
+    document.getElementById('examCancelBtn').style.display = 'none';
+    document.getElementById('examConflicts').innerHTML = '';
+    editingExamId = null;
+}
+
+/**
+ * Display the exam schedule, filtered by module and group
+ */
+function displayExams() {
+    const container = document.getElementById('examsTableContainer');
+    const moduleFilter = parseInt(document.getElementById('filterExamModule').value);
+    const groupFilter = document.getElementById('filterExamGroup').value;
+    
+    let exams = sortExams(getExamSessions());
+    if (!isNaN(moduleFilter)) exams = exams.filter(e => e.moduleId === moduleFilter);
+    if (groupFilter) exams = exams.filter(e => !e.group || e.group === groupFilter);
+    
+    if (exams.length === 0) {
+        container.innerHTML = '<p class="empty-state">No exams scheduled yet.</p>';
+        return;
+    }
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Date</th>
+                        <th>Time</th>
+                        <th>Module</th>
+                        <th>Group</th>
+                        <th>Room</th>
+                        <th>Invigilators</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    exams.forEach(exam => {
+        const module = getModuleById(exam.moduleId);
+        const invigilators = exam.invigilators
+            .map(id => getUserById(id))
+            .filter(u => u)
+            .map(u => u.name);
+        const actions = canWrite('modules:manage', { moduleId: exam.moduleId }) ? `
+                    <button class="btn btn-warning btn-small" onclick="editExam(${exam.id})">Edit</button>
+                    <button class="btn btn-danger btn-small" onclick="deleteExamHandler(${exam.id})">Delete</button>` : '<small style="color: var(--text-secondary);">Read-only</small>';
+        
+        tableHTML += `
+            <tr>
+                <td><strong>${new Date(exam.date).toLocaleDateString('fr-FR', { weekday: 'short', day: '2-digit', month: 'short', year: 'numeric' })}</strong></td>
+                <td>${formatExamTime(exam)}</td>
+                <td>${module ? module.name : 'Unknown module'}</td>
+                <td>${exam.group || 'All groups'}</td>
+                <td>${exam.room || '<span style="color: var(--text-secondary);">—</span>'}</td>
+                <td style="font-size: 12px;">${invigilators.length > 0 ? invigilators.join('<br>') : '<span style="color: var(--text-secondary);">—</span>'}</td>
+                <td>${actions}
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Load an exam into the form for editing
+ * @param {number} examId - Exam ID
+ */
+function editExam(examId) {
+    const exam = getExamSessionById(examId);
+    if (!exam) {
+        showAlert('Exam not found!', 'error');
+        return;
+    }
+    
+    editingExamId = examId;
+    document.getElementById('examModule').value = exam.moduleId;
+    document.getElementById('examModule').disabled = true;
+    document.getElementById('examDate').value = exam.date;
+    document.getElementById('examStart').value = exam.startTime;
+    document.getElementById('examEnd').value = exam.endTime;
+    document.getElementById('examRoom').value = exam.room;
+    document.getElementById('examGroup').value = exam.group;
+    document.querySelectorAll('input[name="examInvigilator"]').forEach(input => {
+        input.checked = exam.invigilators.includes(parseInt(input.value));
+    });
+    document.getElementById('examSubmitBtn').textContent = 'Update Exam';
+    document.getElementById('examCancelBtn').style.display = 'inline-block';
+    displayExamConflicts();
+    document.getElementById('examFormCard').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Delete an exam after confirmation
+ * @param {number} examId - Exam ID
+ */
+function deleteExamHandler(examId) {
+    const exam = getExamSessionById(examId);
+    if (!exam) {
+        showAlert('Exam not found!', 'error');
+        return;
+    }
+    
+    const module = getModuleById(exam.moduleId);
+    if (confirm(`Delete the ${module ? module.name : ''} exam of ${new Date(exam.date).toLocaleDateString('fr-FR')}?`)) {
+        if (!deleteExamSession(examId)) {
+            showAlert('You are not allowed to delete this exam!', 'error');
+            return;
+        }
+        if (editingExamId === examId) resetExamForm();
+        showAlert('Exam deleted successfully!', 'success');
+        displayExams();
+    }
+}
+
+/**
+ * Handle exam form submission
+ * @param {Event} event - Submit event
+ */
+function handleExamSubmit(event) {
+    event.preventDefault();
+    
+    const exam = readExamForm();
+    
+    if (isNaN(exam.moduleId) || !exam.date || !exam.startTime || !exam.endTime || !exam.room) {
+        showAlert('Please fill in the module, date, times and room!', 'error');
+        return;
+    }
+    if (exam.endTime <= exam.startTime) {
+        showAlert('The exam must end after it starts!', 'error');
+        return;
+    }
+    
+    const conflicts = findExamConflicts(exam, editingExamId);
+    if (conflicts.length > 0) {
+        displayExamConflicts();
+        showAlert(`This slot clashes with ${conflicts.length} scheduled exam${conflicts.length > 1 ? 's' : ''}. Choose another time or room.`, 'error');
+        return;
+    }
+    
+    if (editingExamId !== null) {
+        if (!updateExamSession(editingExamId, exam)) {
+            showAlert('You are not allowed to change this exam!', 'error');
+            return;
+        }
+        showAlert('Exam updated successfully!', 'success');
+    } else {
+        if (!addExamSession(exam)) {
+            showAlert('You are not allowed to schedule exams for this module!', 'error');
+            return;
+        }
+        showAlert('Exam scheduled successfully!', 'success');
+    }
+    
+    resetExamForm();
+    displayExams();
+}
+
+// Event Listeners
+document.addEventListener('DOMContentLoaded', () => {
+    // Display the schedule once storage is loaded
+    whenStorageReady(() => {
+        populateExamFields();
+        displayExams();
+    });
+    
+    // Handle exam form submission, and check clashes while the form is filled
+    const form = document.getElementById('examForm');
+    form.addEventListener('submit', handleExamSubmit);
+    form.addEventListener('change', displayExamConflicts);
+});
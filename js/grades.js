@@ -5,54 +5,121 @@
  * 
  * This file handles:
  * - Displaying grades table (students x modules)
- * - Assigning grades (0-20)
+ * - Assigning grades (0 to the grading scale maximum, see getGradingScheme)
  * - Validating grade inputs
- * - Auto-saving grades to localStorage
+ * - Auto-saving grades to storage
+ * - Read-only cells for modules/groups the teacher is not assigned to
+ * - Expandable assessment columns under each module header
+ * - Showing each student's absences (recorded on the attendance page)
+ * - Flagging students barred from an exam and attendance penalties
  */
 
+// Modules whose assessment columns are currently shown
+const expandedModules = new Set();
+
 /**
- * Validate grade value (must be between 0 and 20)
+ * Get the CSS class for a grade, from its mention band
+ * @param {number|null} grade - Grade value
+ * @returns {string} Grade class, or '' if not graded
+ */
+function getGradeClass(grade) {
+    if (grade === null) return '';
+    return `grade-${getGradeBand(grade).level}`;
+}
+
+/**
+ * Describe the grading scale and mention bands in the page instructions
+ */
+function displayGradingSchemeHints() {
+    const scheme = getGradingScheme();
+    const scaleHint = document.getElementById('scaleMaxHint');
+    const colorHint = document.getElementById('colorCodingHint');
+    
+    if (scaleHint) scaleHint.textContent = scheme.scaleMax;
+    if (colorHint) {
+        colorHint.innerHTML = scheme.bands.map(band =>
+            `<span style="color: ${GRADE_LEVELS[band.level].color}; font-weight: 600;">${band.label}</span> ${band.min > 0 ? '≥' + band.min : 'below'}`
+        ).join(', ');
+    }
+}
+
+/**
+ * Show or hide the assessment columns of a module
+ * @param {number} moduleId - Module ID
+ */
+function toggleModuleAssessments(moduleId) {
+    if (expandedModules.has(moduleId)) {
+        expandedModules.delete(moduleId);
+    } else {
+        expandedModules.add(moduleId);
+    }
+    displayGradesTable();
+}
+
+/**
+ * Validate grade value (must be between 0 and the scale maximum)
  * @param {number} grade - Grade value to validate
  * @returns {boolean} True if valid, false otherwise
  */
 function isValidGrade(grade) {
-    const numGrade = parseFloat(grade);
-    return !isNaN(numGrade) && numGrade >= 0 && numGrade <= 20;
+    return isGradeInScale(parseFloat(grade));
+}
+
+/**
+ * Restore an input after the data layer refused the change
+ * @param {HTMLInputElement} input - Input element
+ * @param {*} previousValue - Value to put back
+ */
+function refuseReadOnlyChange(input, previousValue) {
+    input.value = previousValue;
+    input.classList.add('invalid');
+    alert(isSelectedTermArchived()
+        ? 'This term is archived, so its grades are read-only.'
+        : 'You are not assigned to this module or group, so this cell is read-only.');
 }
 
 /**
- * Handle absence input change
+ * Handle grade input change
+ * This function is called when a teacher enters or changes a grade
  * @param {number} studentId - Student ID
  * @param {number} moduleId - Module ID
  * @param {HTMLInputElement} input - Input element
  */
-function handleAbsenceChange(studentId, moduleId, input) {
+function handleGradeChange(studentId, moduleId, input) {
     const value = input.value.trim();
-    studentId = parseInt(studentId);
-    moduleId = parseInt(moduleId);
     
-    // Remove invalid class
-    input.classList.remove('invalid');
+    // Remove all grade classes first
+    input.classList.remove('invalid', 'grade-excellent', 'grade-very-good', 'grade-good', 'grade-pass', 'grade-fail');
     
-    // If empty, set to 0
+    // If empty, remove grade
     if (value === '') {
-        setAbsenceCount(studentId, moduleId, 0);
-        input.value = 0;
+        if (!setGrade(studentId, moduleId, null)) {
+            const previousGrade = getGrade(studentId, moduleId);
+            refuseReadOnlyChange(input, previousGrade !== null ? previousGrade : '');
+        }
         return;
     }
     
-    // Validate absence count (must be non-negative integer)
-    const count = parseInt(value);
-    if (isNaN(count) || count < 0) {
+    // Validate grade
+    if (!isValidGrade(value)) {
         input.classList.add('invalid');
-        alert('Please enter a valid absence count (0 or positive number)!');
-        const previousCount = getAbsenceCount(studentId, moduleId);
-        input.value = previousCount;
+        alert(`Please enter a valid grade between 0 and ${getGradingScheme().scaleMax}!`);
+        // Restore previous value
+        const previousGrade = getGrade(studentId, moduleId);
+        input.value = previousGrade !== null ? previousGrade : '';
         return;
     }
     
-    // Save absence count
-    setAbsenceCount(studentId, moduleId, count);
+    // Save grade
+    const grade = parseFloat(value);
+    if (!setGrade(studentId, moduleId, grade)) {
+        const previousGrade = getGrade(studentId, moduleId);
+        refuseReadOnlyChange(input, previousGrade !== null ? previousGrade : '');
+        return;
+    }
+    
+    // Add color class based on grade
+    input.classList.add(getGradeClass(grade));
     
     // Show success feedback
     input.style.borderColor = '#28a745';
@@ -62,52 +129,49 @@ function handleAbsenceChange(studentId, moduleId, input) {
         input.style.boxShadow = '';
     }, 1000);
     
-    console.log(`Absence saved: Student ${studentId}, Module ${moduleId}, Count: ${count}`);
+    console.log(`Grade saved: Student ${studentId}, Module ${moduleId}, Grade: ${grade}`);
 }
 
 /**
- * Handle grade input change
- * This function is called when a teacher enters or changes a grade
+ * Handle assessment score input change
+ * Saves the score and refreshes the module grade computed from the assessments
  * @param {number} studentId - Student ID
- * @param {number} moduleId - Module ID
+ * @param {number} assessmentId - Assessment ID
  * @param {HTMLInputElement} input - Input element
  */
-function handleGradeChange(studentId, moduleId, input) {
+function handleAssessmentScoreChange(studentId, assessmentId, input) {
     const value = input.value.trim();
     
-    // Convert to numbers to ensure correct type
-    studentId = parseInt(studentId);
-    moduleId = parseInt(moduleId);
+    const assessment = getAssessmentById(assessmentId);
+    if (!assessment) return;
     
-    // Remove all grade classes first
-    input.classList.remove('invalid', 'grade-excellent', 'grade-very-good', 'grade-good', 'grade-pass', 'grade-fail');
+    const previousScore = getAssessmentScore(studentId, assessmentId);
+    input.classList.remove('invalid');
     
-    // If empty, remove grade
-    if (value === '') {
-        setGrade(studentId, moduleId, null);
+    // Validate score against the assessment's max score
+    const score = value === '' ? null : parseFloat(value);
+    if (score !== null && (isNaN(score) || score < 0 || score > assessment.maxScore)) {
+        input.classList.add('invalid');
+        alert(`Please enter a valid score between 0 and ${assessment.maxScore}!`);
+        input.value = previousScore !== null ? previousScore : '';
         return;
     }
     
-    // Validate grade
-    if (!isValidGrade(value)) {
-        input.classList.add('invalid');
-        alert('Please enter a valid grade between 0 and 20!');
-        // Restore previous value
-        const previousGrade = getGrade(studentId, moduleId);
-        input.value = previousGrade !== null ? previousGrade : '';
+    // Nothing changed (onchange and onblur both fire)
+    if (score === previousScore) return;
+    
+    if (!setAssessmentScore(studentId, assessmentId, score)) {
+        refuseReadOnlyChange(input, previousScore !== null ? previousScore : '');
         return;
     }
     
-    // Save grade
-    const grade = parseFloat(value);
-    setGrade(studentId, moduleId, grade);
-    
-    // Add color class based on grade
-    if (grade >= 16) input.classList.add('grade-excellent');
-    else if (grade >= 14) input.classList.add('grade-very-good');
-    else if (grade >= 12) input.classList.add('grade-good');
-    else if (grade >= 10) input.classList.add('grade-pass');
-    else input.classList.add('grade-fail');
+    // Refresh the combined module grade
+    const moduleGrade = getModuleGrade(studentId, assessment.moduleId);
+    const gradeEl = document.getElementById(`moduleGrade-${studentId}-${assessment.moduleId}`);
+    if (gradeEl) {
+        gradeEl.className = `grade-input ${getGradeClass(moduleGrade)}`;
+        gradeEl.textContent = moduleGrade !== null ? moduleGrade.toFixed(2) : '—';
+    }
     
     // Show success feedback
     input.style.borderColor = '#28a745';
@@ -117,7 +181,7 @@ function handleGradeChange(studentId, moduleId, input) {
         input.style.boxShadow = '';
     }, 1000);
     
-    console.log(`Grade saved: Student ${studentId}, Module ${moduleId}, Grade: ${grade}`);
+    console.log(`Assessment score saved: Student ${studentId}, Assessment ${assessmentId}, Score: ${score}`);
 }
 
 /**
@@ -179,15 +243,41 @@ function displayGradesTable() {
                         <th style="padding: 12px; text-align: left; font-weight: 600; color: var(--text-primary); border-bottom: 2px solid var(--border-medium);">Group</th>
     `;
     
-    // Add module headers with exam dates
+    const scaleMax = getGradingScheme().scaleMax;
+    
+    // Assessments of each module, read once for the whole table
+    const moduleAssessments = {};
+    modules.forEach(module => {
+        moduleAssessments[module.id] = getModuleAssessments(module.id);
+    });
+    
+    // Add module headers with exam dates, followed by expanded assessment columns
     modules.forEach(module => {
         const examDate = module.examDate ? new Date(module.examDate).toLocaleDateString('fr-FR', { day: '2-digit', month: 'short' }) : 'No date';
+        const assessments = moduleAssessments[module.id];
+        const expanded = expandedModules.has(module.id);
         tableHTML += `<th style="padding: 12px; text-align: center; font-weight: 600; color: var(--text-primary); border-bottom: 2px solid var(--border-medium); min-width: 180px;">
             <div style="font-weight: 600; margin-bottom: 4px;">${module.name}</div>
             <div style="font-size: 11px; color: var(--text-secondary); font-weight: normal;">
                 Coef: ${module.coefficient} | Exam: ${examDate}
             </div>
+            ${assessments.length > 0 ? `
+            <button type="button" class="btn btn-secondary" onclick="toggleModuleAssessments(${module.id})" style="margin-top: 6px; padding: 2px 8px; font-size: 11px;">
+                ${expanded ? '▾' : '▸'} ${assessments.length} assessment${assessments.length > 1 ? 's' : ''}
+            </button>` : ''}
         </th>`;
+        
+        if (expanded) {
+            assessments.forEach(assessment => {
+                const date = assessment.date ? new Date(assessment.date).toLocaleDateString('fr-FR', { day: '2-digit', month: 'short' }) : 'No date';
+                tableHTML += `<th style="padding: 12px; text-align: center; font-weight: 500; color: var(--text-primary); border-bottom: 2px solid var(--border-medium); background: var(--bg-tertiary); min-width: 120px;">
+                    <div style="font-size: 13px; margin-bottom: 4px;">↳ ${assessment.name}</div>
+                    <div style="font-size: 11px; color: var(--text-secondary); font-weight: normal;">
+                        Weight: ${assessment.weight} | /${assessment.maxScore} | ${date}
+                    </div>
+                </th>`;
+            });
+        }
     });
     
     tableHTML += `
@@ -199,8 +289,7 @@ function displayGradesTable() {
     // Add rows for each student
     console.log('📝 Creating table rows for', students.length, 'students...');
     students.forEach((student, studentIndex) => {
-        // Ensure student ID is a number
-        const studentId = typeof student.id === 'string' ? parseInt(student.id) : student.id;
+        const studentId = student.id;
         console.log(`  Creating row ${studentIndex + 1} for student:`, student.name, 'ID:', studentId);
         
         tableHTML += `
@@ -212,60 +301,97 @@ function displayGradesTable() {
         
         // Add grade and absence inputs for each module
         modules.forEach((module, moduleIndex) => {
-            // Ensure module ID is a number
-            const moduleId = typeof module.id === 'string' ? parseInt(module.id) : module.id;
+            const moduleId = module.id;
             
-            const currentGrade = getGrade(studentId, moduleId);
+            const assessments = moduleAssessments[moduleId];
+            const currentGrade = assessments.length > 0 ? getModuleGrade(studentId, moduleId) : getGrade(studentId, moduleId);
             const gradeValue = currentGrade !== null ? currentGrade : '';
             const currentAbsence = getAbsenceCount(studentId, moduleId);
+            const attendanceOutcome = getAttendancePolicyOutcome(studentId, module);
             
-            // Color code based on grade
-            let inputClass = 'grade-input';
-            if (currentGrade !== null) {
-                if (currentGrade >= 16) inputClass += ' grade-excellent';
-                else if (currentGrade >= 14) inputClass += ' grade-very-good';
-                else if (currentGrade >= 12) inputClass += ' grade-good';
-                else if (currentGrade >= 10) inputClass += ' grade-pass';
-                else inputClass += ' grade-fail';
-            }
+            // Cells outside the teacher's assignments are read-only
+            const scope = { moduleId: moduleId, group: student.group };
+            const canWriteGrade = canWrite('grades:write', scope);
+            const readOnlyStyle = 'opacity: 0.6; cursor: not-allowed;';
+            const readOnlyReason = isSelectedTermArchived() ? 'this term is archived' : 'you are not assigned to this module or group';
             
-            tableHTML += `
-                <td style="min-width: 180px; padding: 12px; vertical-align: top;">
-                    <div style="display: flex; flex-direction: column; gap: 10px;">
-                        <div>
-                            <label style="font-size: 11px; color: var(--text-secondary); display: block; margin-bottom: 6px; font-weight: 500;">Grade (0-20)</label>
+            // Color code based on the grade's mention band
+            const inputClass = `grade-input ${getGradeClass(currentGrade)}`;
+            
+            // With assessments, the module grade is computed from their scores
+            const gradeFieldHTML = assessments.length > 0 ? `
+                            <label style="font-size: 11px; color: var(--text-secondary); display: block; margin-bottom: 6px; font-weight: 500;">Module grade (from assessments)</label>
+                            <div id="moduleGrade-${studentId}-${moduleId}" class="${inputClass}" title="Weighted from the assessment scores"
+                                style="width: 100%; padding: 8px; border: 1px solid var(--border-medium); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); font-size: 14px; font-weight: 600;">${currentGrade !== null ? currentGrade.toFixed(2) : '—'}</div>
+            ` : `
+                            <label style="font-size: 11px; color: var(--text-secondary); display: block; margin-bottom: 6px; font-weight: 500;">Grade (0-${scaleMax})</label>
                             <input 
                                 type="number" 
                                 class="${inputClass}" 
                                 min="0" 
-                                max="20" 
+                                max="${scaleMax}" 
                                 step="0.01"
                                 value="${gradeValue}"
-                                placeholder="0-20"
+                                placeholder="0-${scaleMax}"
+                                ${canWriteGrade ? `
                                 onchange="handleGradeChange(${studentId}, ${moduleId}, this)"
                                 onblur="handleGradeChange(${studentId}, ${moduleId}, this)"
                                 onkeypress="if(event.key==='Enter') this.blur()"
-                                style="width: 100%; padding: 8px; border: 1px solid var(--border-medium); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); font-size: 14px;"
+                                ` : `readonly title="Read-only: ${readOnlyReason}"`}
+                                style="width: 100%; padding: 8px; border: 1px solid var(--border-medium); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); font-size: 14px; ${canWriteGrade ? '' : readOnlyStyle}"
                             >
+            `;
+            
+            // Attendance policy: barred students are flagged, penalties stay apart from the raw grade
+            let attendanceHTML = '';
+            if (attendanceOutcome.barred) {
+                attendanceHTML = `<span class="badge badge-danger" title="${attendanceOutcome.unexcused} unexcused absences (max ${module.attendancePolicy.maxAbsences})">Barred from exam</span>`;
+            } else if (attendanceOutcome.penalty > 0) {
+                attendanceHTML = `<span style="font-size: 11px; color: var(--danger); font-weight: 600;" title="${attendanceOutcome.excess} unexcused absences over the limit">−${attendanceOutcome.penalty.toFixed(2)} attendance penalty</span>`;
+            }
+            
+            tableHTML += `
+                <td style="min-width: 180px; padding: 12px; vertical-align: top; ${attendanceOutcome.barred ? 'border-left: 3px solid var(--danger);' : ''}">
+                    <div style="display: flex; flex-direction: column; gap: 10px;">
+                        <div>
+                            ${gradeFieldHTML}
                         </div>
                         <div>
                             <label style="font-size: 11px; color: var(--text-secondary); display: block; margin-bottom: 6px; font-weight: 500;">Absences</label>
-                            <input 
-                                type="number" 
-                                class="absence-input" 
-                                min="0" 
-                                step="1"
-                                value="${currentAbsence}"
-                                placeholder="0"
-                                onchange="handleAbsenceChange(${studentId}, ${moduleId}, this)"
-                                onblur="handleAbsenceChange(${studentId}, ${moduleId}, this)"
-                                onkeypress="if(event.key==='Enter') this.blur()"
-                                style="width: 100%; padding: 8px; border: 1px solid var(--border-medium); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); font-size: 14px;"
-                            >
+                            <a href="attendance.html?module=${moduleId}" class="absence-input" title="Recorded per class session on the attendance page"
+                                style="display: block; padding: 8px; border: 1px solid var(--border-medium); border-radius: 6px; background: var(--bg-secondary); color: var(--text-primary); font-size: 14px; text-decoration: none;">${currentAbsence}${currentAbsence > attendanceOutcome.unexcused ? ` <small style="color: var(--text-secondary);">(${attendanceOutcome.unexcused} unexcused)</small>` : ''}</a>
                         </div>
+                        ${attendanceHTML ? `<div>${attendanceHTML}</div>` : ''}
                     </div>
                 </td>
             `;
+            
+            // Score inputs of the expanded assessments
+            if (expandedModules.has(moduleId)) {
+                assessments.forEach(assessment => {
+                    const score = getAssessmentScore(studentId, assessment.id);
+                    tableHTML += `
+                <td style="min-width: 120px; padding: 12px; vertical-align: top; background: var(--bg-secondary);">
+                    <label style="font-size: 11px; color: var(--text-secondary); display: block; margin-bottom: 6px; font-weight: 500;">Score (0-${assessment.maxScore})</label>
+                    <input 
+                        type="number" 
+                        class="grade-input" 
+                        min="0" 
+                        max="${assessment.maxScore}" 
+                        step="0.01"
+                        value="${score !== null ? score : ''}"
+                        placeholder="0-${assessment.maxScore}"
+                        ${canWriteGrade ? `
+                        onchange="handleAssessmentScoreChange(${studentId}, ${assessment.id}, this)"
+                        onblur="handleAssessmentScoreChange(${studentId}, ${assessment.id}, this)"
+                        onkeypress="if(event.key==='Enter') this.blur()"
+                        ` : `readonly title="Read-only: ${readOnlyReason}"`}
+                        style="width: 100%; padding: 8px; border: 1px solid var(--border-medium); border-radius: 6px; background: var(--bg-primary); color: var(--text-primary); font-size: 14px; ${canWriteGrade ? '' : readOnlyStyle}"
+                    >
+                </td>
+                    `;
+                });
+            }
         });
         
         tableHTML += `</tr>`;
@@ -337,7 +463,8 @@ function displayGradesTable() {
 
 // Make functions available globally for onclick handlers
 window.handleGradeChange = handleGradeChange;
-window.handleAbsenceChange = handleAbsenceChange;
+window.handleAssessmentScoreChange = handleAssessmentScoreChange;
+window.toggleModuleAssessments = toggleModuleAssessments;
 window.displayGradesTable = displayGradesTable;
 
 // Test function to verify localStorage data
@@ -346,39 +473,44 @@ window.testLocalStorage = function() {
     const students = getStudents();
     const modules = getModules();
     const grades = getGrades();
-    const absences = getAbsences();
+    const attendance = getAttendance();
     
     console.log('📦 localStorage data:');
     console.log('  Students:', students.length, students);
     console.log('  Modules:', modules.length, modules);
     console.log('  Grades:', grades.length, grades);
-    console.log('  Absences:', absences.length, absences);
+    console.log('  Attendance:', attendance.length, attendance);
     
-    // Check raw localStorage
-    console.log('📦 Raw localStorage:');
-    console.log('  students:', localStorage.getItem('students'));
-    console.log('  modules:', localStorage.getItem('modules'));
-    console.log('  grades:', localStorage.getItem('grades'));
-    console.log('  absences:', localStorage.getItem('absences'));
+    // Check raw storage
+    const storage = getStorage();
+    console.log('📦 Raw storage (' + storage.name + '):');
+    console.log('  students:', storage.getItem('students'));
+    console.log('  modules:', storage.getItem('modules'));
+    console.log('  grades:', storage.getItem('grades'));
+    console.log('  attendance:', storage.getItem('attendance'));
     
-    return { students, modules, grades, absences };
+    return { students, modules, grades, attendance };
 };
 
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     console.log('✅ DOM Content Loaded - Initializing grades table');
-    console.log('📦 Checking localStorage...');
-    
-    // First, verify data exists
-    const students = getStudents();
-    const modules = getModules();
-    console.log('📊 Initial check - Students:', students.length, 'Modules:', modules.length);
+    console.log('📦 Checking storage...');
     
-    // Small delay to ensure all scripts are loaded
-    setTimeout(() => {
-        console.log('🚀 Calling displayGradesTable()...');
-        displayGradesTable();
-    }, 100);
+    whenStorageReady(() => {
+        // First, verify data exists
+        const students = getStudents();
+        const modules = getModules();
+        console.log('📊 Initial check - Students:', students.length, 'Modules:', modules.length);
+        
+        displayGradingSchemeHints();
+        
+        // Small delay to ensure all scripts are loaded
+        setTimeout(() => {
+            console.log('🚀 Calling displayGradesTable()...');
+            displayGradesTable();
+        }, 100);
+    });
 });
 
 // Backup initialization on window load
@@ -389,7 +521,7 @@ window.addEventListener('load', () => {
         if (container) {
             if (!container.innerHTML || container.innerHTML.trim() === '') {
                 console.log('Container is empty, displaying table...');
-                displayGradesTable();
+                whenStorageReady(displayGradesTable);
             } else {
                 console.log('Container already has content');
             }
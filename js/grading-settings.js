@@ -0,0 +1,164 @@
+/**
+ * ============================================
+ * grading-settings.js - Grading Scheme Editor
+ * ============================================
+ *
+ * This file handles:
+ * - Editing the scale maximum and pass mark
+ * - Editing the mention bands (minimum, label, colour level)
+ * - Starting from a preset (/20, /100, letter grades)
+ *
+ * Shown on the results page to users with the rules:manage permission.
+ */
+
+// Copy of the scheme being edited (saved only on "Save")
+let schemeDraft = null;
+
+/**
+ * Display the grading scheme editor
+ */
+function displayGradingSchemeEditor() {
+    const card = document.getElementById('gradingSchemeCard');
+    if (!card) return;
+    
+    if (!hasPermission('rules:manage')) {
+        card.style.display = 'none';
+        return;
+    }
+    card.style.display = 'block';
+    
+    if (!schemeDraft) {
+        schemeDraft = JSON.parse(JSON.stringify(getGradingScheme()));
+    }
+    
+    document.getElementById('gradingPreset').innerHTML = '<option value="">Choose a preset...</option>' +
+        Object.entries(GRADING_SCHEME_PRESETS).map(([key, preset]) => `<option value="${key}">${preset.name}</option>`).join('');
+    
+    const levelOptions = selected => Object.entries(GRADE_LEVELS).map(([key, level]) =>
+        `<option value="${key}" ${key === selected ? 'selected' : ''}>${level.label}</option>`
+    ).join('');
+    
+    let bandsHTML = '';
+    schemeDraft.bands.forEach((band, index) => {
+        bandsHTML += `
+            <tr>
+                <td><input type="number" min="0" step="0.5" value="${band.min}" style="width: 90px;" onchange="updateGradingBand(${index}, 'min', this.value)"></td>
+                <td><input type="text" value="${band.label}" onchange="updateGradingBand(${index}, 'label', this.value)"></td>
+                <td>
+                    <select onchange="updateGradingBand(${index}, 'level', this.value)">${levelOptions(band.level)}</select>
+                    <span style="display: inline-block; width: 12px; height: 12px; border-radius: 50%; background: ${GRADE_LEVELS[band.level].color}; margin-left: 6px;"></span>
+                </td>
+                <td>
+                    <button class="btn btn-danger btn-small" onclick="removeGradingBand(${index})" ${schemeDraft.bands.length === 1 ? 'disabled' : ''}>Remove</button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    document.getElementById('gradingSchemeEditor').innerHTML = `
+        <div class="form-row">
+            <div class="form-group">
+                <label for="schemeName">Name</label>
+                <input type="text" id="schemeName" value="${schemeDraft.name || ''}" onchange="schemeDraft.name = this.value.trim()">
+            </div>
+            <div class="form-group">
+                <label for="schemeScaleMax">Scale Maximum *</label>
+                <input type="number" id="schemeScaleMax" min="1" step="1" value="${schemeDraft.scaleMax}" onchange="schemeDraft.scaleMax = parseFloat(this.value)">
+            </div>
+            <div class="form-group">
+                <label for="schemePassMark">Pass Mark *</label>
+                <input type="number" id="schemePassMark" min="0" step="0.5" value="${schemeDraft.passMark}" onchange="schemeDraft.passMark = parseFloat(this.value)">
+            </div>
+        </div>
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>From (≥)</th>
+                        <th>Mention / Letter</th>
+                        <th>Colour</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${bandsHTML}
+                </tbody>
+            </table>
+        </div>
+        <div style="display: flex; gap: 1rem; margin-top: 1rem;">
+            <button type="button" class="btn btn-secondary" onclick="addGradingBand()">Add Band</button>
+            <button type="button" class="btn btn-primary" onclick="saveGradingSchemeHandler()">Save Grading Scheme</button>
+            <button type="button" class="btn btn-secondary" onclick="resetGradingSchemeDraft()">Discard Changes</button>
+        </div>
+    `;
+}
+
+/**
+ * Replace the draft with a preset
+ * @param {string} key - GRADING_SCHEME_PRESETS key
+ */
+function applyGradingPreset(key) {
+    if (!GRADING_SCHEME_PRESETS[key]) return;
+    schemeDraft = JSON.parse(JSON.stringify(GRADING_SCHEME_PRESETS[key]));
+    displayGradingSchemeEditor();
+}
+
+/**
+ * Change one field of a band in the draft
+ * @param {number} index - Band index
+ * @param {string} field - 'min', 'label' or 'level'
+ * @param {string} value - New value
+ */
+function updateGradingBand(index, field, value) {
+    schemeDraft.bands[index][field] = field === 'min' ? parseFloat(value) : value.trim();
+    if (field === 'level') displayGradingSchemeEditor();
+}
+
+/**
+ * Add an empty band to the draft
+ */
+function addGradingBand() {
+    schemeDraft.bands.push({ min: schemeDraft.passMark, label: '', level: 'pass' });
+    displayGradingSchemeEditor();
+}
+
+/**
+ * Remove a band from the draft
+ * @param {number} index - Band index
+ */
+function removeGradingBand(index) {
+    schemeDraft.bands.splice(index, 1);
+    displayGradingSchemeEditor();
+}
+
+/**
+ * Throw away unsaved changes
+ */
+function resetGradingSchemeDraft() {
+    schemeDraft = null;
+    displayGradingSchemeEditor();
+}
+
+/**
+ * Save the draft as the grading scheme
+ */
+function saveGradingSchemeHandler() {
+    const currentScale = getGradingScheme().scaleMax;
+    if (schemeDraft.scaleMax !== currentScale &&
+        !confirm(`The scale changes from /${currentScale} to /${schemeDraft.scaleMax}. Every grade already entered will be rescaled. Continue?`)) {
+        return;
+    }
+    
+    const result = setGradingScheme(schemeDraft);
+    alert(result.message);
+    if (!result.success) return;
+    
+    schemeDraft = null;
+    displayGradingSchemeEditor();
+    displayResults();
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    whenStorageReady(displayGradingSchemeEditor);
+});
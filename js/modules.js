@@ -8,12 +8,23 @@
  * - Editing existing modules
  * - Deleting modules
  * - Displaying modules in a table
+ * - Managing each module's assessments (weight, max score, date)
+ * - Validation rules (eliminatory grade, validation grade, teaching unit)
+ * - Attendance policies (exam bar or grade penalty above N unexcused absences)
+ * - Managing teaching units (UE) and their ECTS credits
  * - Form validation
  */
 
 // Global variable to track if we're editing
 let editingModuleId = null;
 
+// Teaching unit being edited
+let editingUnitId = null;
+
+// Module whose assessments are shown, and the assessment being edited
+let assessmentModuleId = null;
+let editingAssessmentId = null;
+
 /**
  * Show alert message
  * @param {string} message - Message to display
@@ -36,19 +47,27 @@ function showAlert(message, type) {
  */
 function resetForm() {
     document.getElementById('moduleForm').reset();
+    updateAttendancePolicyFields();
     editingModuleId = null;
     document.getElementById('formTitle').textContent = 'Add New Module';
     document.getElementById('cancelBtn').style.display = 'none';
 }
 
+/**
+ * Enable the attendance policy fields that apply to the chosen policy
+ */
+function updateAttendancePolicyFields() {
+    const type = document.getElementById('moduleAttendancePolicy').value;
+    document.getElementById('moduleMaxAbsences').disabled = type === '';
+    document.getElementById('modulePenaltyPerAbsence').disabled = type !== 'penalty';
+}
+
 /**
  * Populate form with module data for editing
- * @param {number|string} moduleId - Module ID to edit
+ * @param {number} moduleId - Module ID to edit
  */
 function editModule(moduleId) {
-    // Convert to number to ensure correct type
-    const id = typeof moduleId === 'string' ? parseInt(moduleId) : moduleId;
-    const module = getModuleById(id);
+    const module = getModuleById(moduleId);
     
     if (!module) {
         showAlert('Module not found!', 'error');
@@ -58,53 +77,58 @@ function editModule(moduleId) {
     // Populate form
     document.getElementById('moduleName').value = module.name;
     document.getElementById('moduleCoefficient').value = module.coefficient;
-    document.getElementById('moduleExamDate').value = module.examDate || '';
+    document.getElementById('moduleUnit').value = module.unitId || '';
+    document.getElementById('moduleValidationGrade').value = module.validationGrade !== null && module.validationGrade !== undefined ? module.validationGrade : '';
+    document.getElementById('moduleEliminatoryGrade').value = module.eliminatoryGrade !== null && module.eliminatoryGrade !== undefined ? module.eliminatoryGrade : '';
+    const policy = module.attendancePolicy;
+    document.getElementById('moduleAttendancePolicy').value = policy ? policy.type : '';
+    document.getElementById('moduleMaxAbsences').value = policy ? policy.maxAbsences : '';
+    document.getElementById('modulePenaltyPerAbsence').value = policy && policy.type === 'penalty' ? policy.penaltyPerAbsence : '';
+    updateAttendancePolicyFields();
     
     // Set editing mode
-    editingModuleId = id;
+    editingModuleId = moduleId;
     document.getElementById('formTitle').textContent = 'Edit Module';
     document.getElementById('cancelBtn').style.display = 'inline-block';
     
     // Scroll to form
-    document.querySelector('.card').scrollIntoView({ behavior: 'smooth' });
+    document.getElementById('moduleFormCard').scrollIntoView({ behavior: 'smooth' });
 }
 
 /**
  * Delete a module after confirmation
- * @param {number|string} moduleId - Module ID to delete
+ * @param {number} moduleId - Module ID to delete
  */
 function deleteModuleHandler(moduleId) {
-    // Convert to number to ensure correct type
-    const id = typeof moduleId === 'string' ? parseInt(moduleId) : moduleId;
+    const module = getModuleById(moduleId);
     
-    if (isNaN(id)) {
-        showAlert('Invalid module ID!', 'error');
-        console.error('Invalid module ID:', moduleId, typeof moduleId);
+    if (!module) {
+        showAlert('Module not found!', 'error');
         return;
     }
     
-    console.log('Attempting to delete module with ID:', id, typeof id);
-    const module = getModuleById(id);
-    console.log('Found module:', module);
-    
-    if (!module) {
-        // Debug: show what modules exist
-        const allModules = getModules();
-        console.error('Module not found. Available modules:', allModules.map(m => ({ id: m.id, type: typeof m.id, name: m.name })));
-        showAlert('Module not found!', 'error');
+    if (!canWrite('modules:manage', { moduleId: moduleId })) {
+        showAlert('You are not assigned to this module!', 'error');
         return;
     }
     
     // Confirm deletion
     if (confirm(`Are you sure you want to delete "${module.name}"? This will also delete all grades for this module.`)) {
-        deleteModule(id); // Call function from data.js with numeric ID
+        if (!deleteModule(moduleId)) {
+            showAlert('You are not allowed to delete this module!', 'error');
+            return;
+        }
         displayModules();
+        displayUnits();
         showAlert('Module deleted successfully!', 'success');
         
         // Reset form if we were editing this module
-        if (editingModuleId === id || editingModuleId === moduleId) {
+        if (editingModuleId === moduleId) {
             resetForm();
         }
+        if (assessmentModuleId === moduleId) {
+            closeAssessments();
+        }
     }
 }
 
@@ -129,28 +153,55 @@ function displayModules() {
                         <th>Module Name</th>
                         <th>Coefficient</th>
                         <th>Exam Date</th>
+                        <th>Unit</th>
+                        <th>Rules</th>
+                        <th>Assessments</th>
                         <th>Actions</th>
                     </tr>
                 </thead>
                 <tbody>
     `;
     
+    const unitNames = {};
+    getTeachingUnits().forEach(unit => { unitNames[unit.id] = unit.name; });
+    
     // Add rows for each module
     modules.forEach(module => {
-        const examDate = module.examDate ? new Date(module.examDate).toLocaleDateString('fr-FR') : 'Not set';
-        tableHTML += `
-            <tr>
-                <td><strong>${module.name}</strong></td>
-                <td>${module.coefficient}</td>
-                <td>${examDate}</td>
-                <td>
+        const examCount = getModuleExams(module.id).length;
+        const examDate = module.examDate
+            ? `${new Date(module.examDate).toLocaleDateString('fr-FR')}${examCount > 1 ? ` <small style="color: var(--text-secondary);">+${examCount - 1}</small>` : ''}`
+            : 'Not scheduled';
+        const rules = [];
+        if (module.validationGrade !== null && module.validationGrade !== undefined) rules.push(`Validate ≥ ${module.validationGrade}`);
+        if (module.eliminatoryGrade !== null && module.eliminatoryGrade !== undefined) rules.push(`Eliminatory &lt; ${module.eliminatoryGrade}`);
+        if (module.attendancePolicy) {
+            const policy = module.attendancePolicy;
+            rules.push(policy.type === 'bar'
+                ? `Barred above ${policy.maxAbsences} absences`
+                : `−${policy.penaltyPerAbsence} per absence above ${policy.maxAbsences}`);
+        }
+        // Only modules assigned to the teacher can be changed
+        const actions = canWrite('modules:manage', { moduleId: module.id }) ? `
                     <button class="btn btn-warning btn-small" onclick="editModule(${Number(module.id)})">
                         Edit
                     </button>
                     <button class="btn btn-danger btn-small" onclick="deleteModuleHandler(${Number(module.id)})">
                         Delete
+                    </button>` : '<small style="color: var(--text-secondary);">Read-only</small>';
+        tableHTML += `
+            <tr>
+                <td><strong>${module.name}</strong></td>
+                <td>${module.coefficient}</td>
+                <td><a href="exams.html?module=${module.id}" title="Open the exam schedule">${examDate}</a></td>
+                <td>${unitNames[module.unitId] || '<span style="color: var(--text-secondary);">—</span>'}</td>
+                <td style="font-size: 12px;">${rules.length > 0 ? rules.join('<br>') : '<span style="color: var(--text-secondary);">—</span>'}</td>
+                <td>
+                    <button class="btn btn-secondary btn-small" onclick="openAssessments(${Number(module.id)})">
+                        ${getModuleAssessments(module.id).length} · View
                     </button>
                 </td>
+                <td>${actions}
+                </td>
             </tr>
         `;
     });
@@ -173,7 +224,14 @@ function handleFormSubmit(event) {
     // Get form values
     const name = document.getElementById('moduleName').value.trim();
     const coefficient = parseFloat(document.getElementById('moduleCoefficient').value);
-    const examDate = document.getElementById('moduleExamDate').value; // Can be empty
+    const unitValue = document.getElementById('moduleUnit').value;
+    const validationValue = document.getElementById('moduleValidationGrade').value;
+    const eliminatoryValue = document.getElementById('moduleEliminatoryGrade').value;
+    const validationGrade = validationValue === '' ? null : parseFloat(validationValue);
+    const eliminatoryGrade = eliminatoryValue === '' ? null : parseFloat(eliminatoryValue);
+    const policyType = document.getElementById('moduleAttendancePolicy').value;
+    const maxAbsences = parseInt(document.getElementById('moduleMaxAbsences').value);
+    const penaltyPerAbsence = parseFloat(document.getElementById('modulePenaltyPerAbsence').value);
     
     // Validate inputs
     if (!name) {
@@ -186,12 +244,45 @@ function handleFormSubmit(event) {
         return;
     }
     
+    const isOutOfScale = grade => grade !== null && !isGradeInScale(grade);
+    if (isOutOfScale(validationGrade) || isOutOfScale(eliminatoryGrade)) {
+        showAlert(`Validation and eliminatory grades must be between 0 and ${getGradingScheme().scaleMax}!`, 'error');
+        return;
+    }
+    
+    if (validationGrade !== null && eliminatoryGrade !== null && eliminatoryGrade > validationGrade) {
+        showAlert('The eliminatory grade cannot be above the validation grade!', 'error');
+        return;
+    }
+    
+    if (policyType && (isNaN(maxAbsences) || maxAbsences < 0)) {
+        showAlert('Please enter how many unexcused absences are allowed (0 or more)!', 'error');
+        return;
+    }
+    
+    if (policyType === 'penalty' && (isNaN(penaltyPerAbsence) || penaltyPerAbsence <= 0 || !isGradeInScale(penaltyPerAbsence))) {
+        showAlert(`Please enter the points deducted per absence (between 0 and ${getGradingScheme().scaleMax})!`, 'error');
+        return;
+    }
+    
     const moduleData = {
         name: name,
         coefficient: coefficient,
-        examDate: examDate || '' // Store exam date (can be empty)
+        unitId: unitValue === '' ? null : parseInt(unitValue),
+        validationGrade: validationGrade,
+        eliminatoryGrade: eliminatoryGrade,
+        attendancePolicy: policyType ? { type: policyType, maxAbsences: maxAbsences, penaltyPerAbsence: penaltyPerAbsence } : null
     };
     
+    // Check permissions first so the error message is accurate
+    const permitted = editingModuleId
+        ? canWrite('modules:manage', { moduleId: editingModuleId })
+        : canWrite('modules:create');
+    if (!permitted) {
+        showAlert('You do not have permission to save this module!', 'error');
+        return;
+    }
+    
     let success = false;
     
     if (editingModuleId) {
@@ -214,20 +305,416 @@ function handleFormSubmit(event) {
         }
     }
     
-    // Reset form and refresh table
+    // Reset form and refresh tables
     resetForm();
     displayModules();
+    displayUnits();
+}
+
+// ============================================
+// TEACHING UNITS
+// ============================================
+
+/**
+ * Clear the unit form and reset to "add" mode
+ */
+function resetUnitForm() {
+    document.getElementById('unitForm').reset();
+    editingUnitId = null;
+    document.getElementById('unitSubmitBtn').textContent = 'Add Unit';
+    document.getElementById('unitCancelBtn').style.display = 'none';
+}
+
+/**
+ * Fill the unit select of the module form
+ */
+function populateUnitSelect() {
+    const select = document.getElementById('moduleUnit');
+    const selected = select.value;
+    select.innerHTML = '<option value="">No unit</option>' +
+        getTeachingUnits().map(unit => `<option value="${unit.id}">${unit.name} (${unit.credits} ECTS)</option>`).join('');
+    select.value = selected;
+}
+
+/**
+ * Display the teaching units with their modules and credits
+ */
+function displayUnits() {
+    const container = document.getElementById('unitsTableContainer');
+    const units = getTeachingUnits();
+    const canManage = canWrite('units:manage');
+    
+    document.getElementById('unitForm').style.display = canManage ? 'block' : 'none';
+    populateUnitSelect();
+    
+    if (units.length === 0) {
+        container.innerHTML = '<p class="empty-state">No teaching units yet. Modules can still be used without a unit.</p>';
+        return;
+    }
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Unit</th>
+                        <th>ECTS Credits</th>
+                        <th>Modules</th>
+                        <th>Total Coefficient</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    units.forEach(unit => {
+        const unitModules = getUnitModules(unit.id);
+        const totalCoefficient = unitModules.reduce((sum, m) => sum + m.coefficient, 0);
+        const actions = canManage ? `
+                    <button class="btn btn-warning btn-small" onclick="editUnit(${unit.id})">
+                        Edit
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="deleteUnitHandler(${unit.id})">
+                        Delete
+                    </button>` : '<small style="color: var(--text-secondary);">Read-only</small>';
+        tableHTML += `
+            <tr>
+                <td><strong>${unit.name}</strong></td>
+                <td>${unit.credits}</td>
+                <td>${unitModules.length > 0 ? unitModules.map(m => m.name).join(', ') : '<span style="color: var(--text-secondary);">No modules</span>'}</td>
+                <td>${totalCoefficient}</td>
+                <td>${actions}
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Populate the unit form for editing
+ * @param {number} unitId - Unit ID
+ */
+function editUnit(unitId) {
+    const unit = getTeachingUnitById(unitId);
+    if (!unit) {
+        showAlert('Teaching unit not found!', 'error');
+        return;
+    }
+    
+    document.getElementById('unitName').value = unit.name;
+    document.getElementById('unitCredits').value = unit.credits;
+    
+    editingUnitId = unitId;
+    document.getElementById('unitSubmitBtn').textContent = 'Save Unit';
+    document.getElementById('unitCancelBtn').style.display = 'inline-block';
+    document.getElementById('unitCard').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Delete a teaching unit after confirmation
+ * @param {number} unitId - Unit ID
+ */
+function deleteUnitHandler(unitId) {
+    const unit = getTeachingUnitById(unitId);
+    if (!unit) {
+        showAlert('Teaching unit not found!', 'error');
+        return;
+    }
+    
+    if (confirm(`Are you sure you want to delete "${unit.name}"? Its modules are kept without a unit.`)) {
+        if (!deleteTeachingUnit(unitId)) {
+            showAlert('You are not allowed to delete teaching units!', 'error');
+            return;
+        }
+        if (editingUnitId === unitId) {
+            resetUnitForm();
+        }
+        displayUnits();
+        displayModules();
+        showAlert('Teaching unit deleted successfully!', 'success');
+    }
+}
+
+/**
+ * Handle unit form submission
+ */
+function handleUnitSubmit(event) {
+    event.preventDefault();
+    
+    const name = document.getElementById('unitName').value.trim();
+    const credits = parseFloat(document.getElementById('unitCredits').value);
+    
+    if (!name) {
+        showAlert('Please enter a unit name!', 'error');
+        return;
+    }
+    
+    if (isNaN(credits) || credits < 0) {
+        showAlert('Please enter valid ECTS credits (0 or more)!', 'error');
+        return;
+    }
+    
+    if (!canWrite('units:manage')) {
+        showAlert('You do not have permission to manage teaching units!', 'error');
+        return;
+    }
+    
+    const unitData = { name: name, credits: credits };
+    
+    if (editingUnitId) {
+        if (!updateTeachingUnit(editingUnitId, unitData)) {
+            showAlert('Failed to update unit. Name might already exist.', 'error');
+            return;
+        }
+        showAlert('Teaching unit updated successfully!', 'success');
+    } else {
+        if (!addTeachingUnit(unitData)) {
+            showAlert('Failed to add unit. Name already exists!', 'error');
+            return;
+        }
+        showAlert('Teaching unit added successfully!', 'success');
+    }
+    
+    resetUnitForm();
+    displayUnits();
+    displayModules();
+}
+
+// ============================================
+// ASSESSMENTS
+// ============================================
+
+/**
+ * Clear the assessment form and reset to "add" mode
+ */
+function resetAssessmentForm() {
+    document.getElementById('assessmentForm').reset();
+    editingAssessmentId = null;
+    document.getElementById('assessmentSubmitBtn').textContent = 'Add Assessment';
+    document.getElementById('assessmentCancelBtn').style.display = 'none';
+}
+
+/**
+ * Show the assessments card for a module
+ * @param {number} moduleId - Module ID
+ */
+function openAssessments(moduleId) {
+    const module = getModuleById(moduleId);
+    if (!module) {
+        showAlert('Module not found!', 'error');
+        return;
+    }
+    
+    assessmentModuleId = moduleId;
+    resetAssessmentForm();
+    document.getElementById('assessmentTitle').textContent = `Assessments - ${module.name}`;
+    // Only teachers assigned to the module can change its assessments
+    document.getElementById('assessmentForm').style.display = canWrite('modules:manage', { moduleId: moduleId }) ? 'block' : 'none';
+    document.getElementById('assessmentCard').style.display = 'block';
+    displayAssessments();
+    document.getElementById('assessmentCard').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Hide the assessments card
+ */
+function closeAssessments() {
+    assessmentModuleId = null;
+    resetAssessmentForm();
+    document.getElementById('assessmentCard').style.display = 'none';
+}
+
+/**
+ * Display the assessments of the open module
+ */
+function displayAssessments() {
+    const container = document.getElementById('assessmentsTableContainer');
+    const assessments = getModuleAssessments(assessmentModuleId);
+    
+    if (assessments.length === 0) {
+        container.innerHTML = '<p class="empty-state">No assessments yet. This module uses a single grade.</p>';
+        return;
+    }
+    
+    const canManage = canWrite('modules:manage', { moduleId: assessmentModuleId });
+    const totalWeight = assessments.reduce((sum, a) => sum + a.weight, 0);
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Weight</th>
+                        <th>Max Score</th>
+                        <th>Date</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    assessments.forEach(assessment => {
+        const date = assessment.date ? new Date(assessment.date).toLocaleDateString('fr-FR') : 'Not set';
+        const share = Math.round((assessment.weight / totalWeight) * 100);
+        const actions = canManage ? `
+                    <button class="btn btn-warning btn-small" onclick="editAssessment(${assessment.id})">
+                        Edit
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="deleteAssessmentHandler(${assessment.id})">
+                        Delete
+                    </button>` : '<small style="color: var(--text-secondary);">Read-only</small>';
+        tableHTML += `
+            <tr>
+                <td><strong>${assessment.name}</strong></td>
+                <td>${assessment.weight} <small style="color: var(--text-secondary);">(${share}%)</small></td>
+                <td>${assessment.maxScore}</td>
+                <td>${date}</td>
+                <td>${actions}
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Populate the assessment form for editing
+ * @param {number} assessmentId - Assessment ID
+ */
+function editAssessment(assessmentId) {
+    const assessment = getAssessmentById(assessmentId);
+    if (!assessment) {
+        showAlert('Assessment not found!', 'error');
+        return;
+    }
+    
+    document.getElementById('assessmentName').value = assessment.name;
+    document.getElementById('assessmentWeight').value = assessment.weight;
+    document.getElementById('assessmentMaxScore').value = assessment.maxScore;
+    document.getElementById('assessmentDate').value = assessment.date || '';
+    
+    editingAssessmentId = assessmentId;
+    document.getElementById('assessmentSubmitBtn').textContent = 'Save Assessment';
+    document.getElementById('assessmentCancelBtn').style.display = 'inline-block';
+}
+
+/**
+ * Delete an assessment after confirmation
+ * @param {number} assessmentId - Assessment ID
+ */
+function deleteAssessmentHandler(assessmentId) {
+    const assessment = getAssessmentById(assessmentId);
+    if (!assessment) {
+        showAlert('Assessment not found!', 'error');
+        return;
+    }
+    
+    if (confirm(`Are you sure you want to delete "${assessment.name}"? This will also delete all scores for this assessment.`)) {
+        if (!deleteAssessment(assessmentId)) {
+            showAlert('You are not allowed to delete this assessment!', 'error');
+            return;
+        }
+        if (editingAssessmentId === assessmentId) {
+            resetAssessmentForm();
+        }
+        displayAssessments();
+        displayModules();
+        showAlert('Assessment deleted successfully!', 'success');
+    }
+}
+
+/**
+ * Handle assessment form submission
+ */
+function handleAssessmentSubmit(event) {
+    event.preventDefault();
+    
+    const name = document.getElementById('assessmentName').value.trim();
+    const weight = parseFloat(document.getElementById('assessmentWeight').value);
+    const maxScore = parseFloat(document.getElementById('assessmentMaxScore').value);
+    const date = document.getElementById('assessmentDate').value;
+    
+    // Validate inputs
+    if (!name) {
+        showAlert('Please enter an assessment name!', 'error');
+        return;
+    }
+    
+    if (isNaN(weight) || weight <= 0) {
+        showAlert('Please enter a valid weight (greater than 0)!', 'error');
+        return;
+    }
+    
+    if (isNaN(maxScore) || maxScore <= 0) {
+        showAlert('Please enter a valid max score (greater than 0)!', 'error');
+        return;
+    }
+    
+    if (!canWrite('modules:manage', { moduleId: assessmentModuleId })) {
+        showAlert('You do not have permission to change these assessments!', 'error');
+        return;
+    }
+    
+    const assessmentData = {
+        name: name,
+        weight: weight,
+        maxScore: maxScore,
+        date: date || ''
+    };
+    
+    if (editingAssessmentId) {
+        if (!updateAssessment(editingAssessmentId, assessmentData)) {
+            showAlert('Failed to update assessment. Name might already exist.', 'error');
+            return;
+        }
+        showAlert('Assessment updated successfully!', 'success');
+    } else {
+        if (!addAssessment({ ...assessmentData, moduleId: assessmentModuleId })) {
+            showAlert('Failed to add assessment. Name already exists!', 'error');
+            return;
+        }
+        showAlert('Assessment added successfully!', 'success');
+    }
+    
+    resetAssessmentForm();
+    displayAssessments();
+    displayModules();
 }
 
 // Event Listeners
 document.addEventListener('DOMContentLoaded', () => {
-    // Display existing modules
-    displayModules();
+    // Display existing units and modules once storage is loaded
+    whenStorageReady(() => {
+        displayUnits();
+        displayModules();
+    });
     
     // Handle form submission
     document.getElementById('moduleForm').addEventListener('submit', handleFormSubmit);
     
     // Handle cancel button
     document.getElementById('cancelBtn').addEventListener('click', resetForm);
+    
+    // Handle unit form submission
+    document.getElementById('unitForm').addEventListener('submit', handleUnitSubmit);
+    
+    // Handle assessment form submission
+    document.getElementById('assessmentForm').addEventListener('submit', handleAssessmentSubmit);
 });
 
@@ -0,0 +1,559 @@
+/**
+ * ============================================
+ * results-engine.js - Shared Results Engine
+ * ============================================
+ *
+ * The grading rules used by the results page and the dashboard.
+ * Pages never compute averages, mentions or statuses themselves: they call
+ * the functions below, which read the selected term through data.js.
+ *
+ * This file handles:
+ * - Student averages using module coefficients (normal session or after resit)
+ * - Mentions from the grading scheme bands
+ * - Module validation rules, teaching units and ECTS credits
+ * - Module attendance policies (exam bars and grade penalties, see data.js)
+ * - Pass/fail status, before and after the resit session
+ * - Full student results
+ * - Rankings with ties (cohort, group and module), ungraded students unranked
+ * - Per-module statistics (average, min, max, pass rate)
+ * - Average trends over time, rebuilt from the grade history
+ *
+ * Return shapes:
+ * - calculateStudentAverage -> {average, hasGrades, moduleCount, totalModules}
+ *   (average is null when the student has no grade)
+ * - getMention -> {text, class}
+ * - getStatus -> {text, class, reason}
+ * - calculateStudentResult -> see its doc comment
+ *
+ * Requires data.js. test-results-engine.html runs it against fixture data.
+ */
+
+// ============================================
+// AVERAGES AND MENTIONS
+// ============================================
+
+/**
+ * Calculate the coefficient-weighted average of a set of grades
+ * @param {Object} studentGrades - Object with moduleId as keys and grade as values
+ * @param {Array} modules - Modules to average over
+ * @returns {Object} Object with average, hasGrades, moduleCount and totalModules
+ */
+function calculateWeightedAverage(studentGrades, modules) {
+    let totalPoints = 0;
+    let totalCoefficient = 0;
+    let gradedModules = 0;
+    
+    modules.forEach(module => {
+        const grade = studentGrades[module.id];
+        if (grade !== undefined && grade !== null) {
+            totalPoints += grade * module.coefficient;
+            totalCoefficient += module.coefficient;
+            gradedModules++;
+        }
+    });
+    
+    if (totalCoefficient === 0) {
+        return { average: null, hasGrades: false, moduleCount: gradedModules, totalModules: modules.length };
+    }
+    
+    return {
+        average: totalPoints / totalCoefficient,
+        hasGrades: true,
+        moduleCount: gradedModules,
+        totalModules: modules.length
+    };
+}
+
+/**
+ * Get the grades a student's results are computed from
+ * Module grades already combine the module's weighted assessments (see getStudentGrades),
+ * and the attendance penalties are deducted (see applyAttendancePenalties).
+ * @param {number} studentId - Student ID
+ * @param {boolean} afterResit - Use the grades after the resit session
+ * @returns {Object} Object with moduleId as keys and grade as values
+ */
+function getResultGrades(studentId, afterResit = false) {
+    const studentGrades = afterResit ? getStudentGradesAfterResit(studentId) : getStudentGrades(studentId);
+    return applyAttendancePenalties(studentId, studentGrades);
+}
+
+/**
+ * Calculate average grade for a student using module coefficients
+ * @param {number} studentId - Student ID
+ * @param {boolean} afterResit - Use the grades after the resit session
+ * @returns {Object} Object with average, hasGrades, moduleCount and totalModules
+ */
+function calculateStudentAverage(studentId, afterResit = false) {
+    return calculateWeightedAverage(getResultGrades(studentId, afterResit), getModules());
+}
+
+/**
+ * Get mention based on average, from the grading scheme's bands
+ * @param {number|null} average - Average grade
+ * @returns {Object} Object with mention text and badge class ('N/A' without an average)
+ */
+function getMention(average) {
+    if (average === null || average === undefined) {
+        return { text: 'N/A', class: 'badge-secondary' };
+    }
+    const band = getGradeBand(average);
+    return { text: band.label, class: GRADE_LEVELS[band.level].badge };
+}
+
+// ============================================
+// VALIDATION RULES AND STATUS
+// ============================================
+
+/**
+ * Check if a module grade is below the module's eliminatory grade
+ * @param {Object} module - Module object
+ * @param {Object} studentGrades - Object with moduleId as keys and grade as values
+ * @returns {boolean} True if the grade is eliminatory
+ */
+function isEliminatoryGrade(module, studentGrades) {
+    const grade = studentGrades[module.id];
+    return grade !== undefined && grade !== null
+        && module.eliminatoryGrade !== null && module.eliminatoryGrade !== undefined
+        && grade < module.eliminatoryGrade;
+}
+
+/**
+ * Calculate a student's teaching unit averages and earned credits
+ * A unit is validated (and its credits earned) when every module of the
+ * unit is graded, the coefficient-weighted unit average reaches the pass mark and
+ * no module is below its eliminatory grade.
+ * @param {Object} studentGrades - Object with moduleId as keys and grade as values
+ * @returns {Object} {units: [{unit, average, validated, compensates, gradedModules, totalModules}], creditsEarned, totalCredits}
+ */
+function calculateUnitResults(studentGrades) {
+    const modules = getModules();
+    let creditsEarned = 0;
+    let totalCredits = 0;
+    
+    const units = getTeachingUnits().map(unit => {
+        const unitModules = modules.filter(m => m.unitId === unit.id);
+        const graded = unitModules.filter(m => studentGrades[m.id] !== undefined && studentGrades[m.id] !== null);
+        const totalCoefficient = graded.reduce((sum, m) => sum + m.coefficient, 0);
+        const average = totalCoefficient > 0
+            ? graded.reduce((sum, m) => sum + studentGrades[m.id] * m.coefficient, 0) / totalCoefficient
+            : null;
+        
+        // The graded modules compensate each other when the unit average reaches the pass mark
+        const compensates = isPassingGrade(average) && !graded.some(m => isEliminatoryGrade(m, studentGrades));
+        const validated = compensates && unitModules.length > 0 && graded.length === unitModules.length;
+        
+        totalCredits += unit.credits;
+        if (validated) creditsEarned += unit.credits;
+        
+        return {
+            unit: unit,
+            average: average,
+            validated: validated,
+            compensates: compensates,
+            gradedModules: graded.length,
+            totalModules: unitModules.length
+        };
+    });
+    
+    return { units: units, creditsEarned: creditsEarned, totalCredits: totalCredits };
+}
+
+/**
+ * Check a student's grades against the module validation rules
+ * - A grade below a module's eliminatory grade always fails the student
+ * - A grade below a module's validation grade fails the student, unless the
+ *   module is compensated: its teaching unit average reaches the pass mark and no
+ *   module of the unit is eliminatory
+ * - When a student is given, being barred from a module's exam by its attendance
+ *   policy fails the student too (the resit session is not barred)
+ * @param {Object} studentGrades - Object with moduleId as keys and grade as values
+ * @param {number} studentId - Student ID, to check the attendance policies (optional)
+ * @returns {Object} {failures: [{module, rule, message}], compensated: [moduleId, ...]}
+ */
+function checkModuleRules(studentGrades, studentId) {
+    const modules = getModules();
+    const failures = [];
+    const compensated = [];
+    const hasGrade = module => studentGrades[module.id] !== undefined && studentGrades[module.id] !== null;
+    
+    const unitCompensates = {};
+    calculateUnitResults(studentGrades).units.forEach(result => {
+        unitCompensates[result.unit.id] = result.compensates;
+    });
+    
+    modules.filter(hasGrade).forEach(module => {
+        const grade = studentGrades[module.id];
+        
+        if (isEliminatoryGrade(module, studentGrades)) {
+            failures.push({
+                module: module,
+                rule: 'eliminatory',
+                message: `Eliminatory grade in ${module.name} (${grade.toFixed(2)} < ${module.eliminatoryGrade})`
+            });
+            return;
+        }
+        
+        const threshold = module.validationGrade;
+        if (threshold === null || threshold === undefined || grade >= threshold) return;
+        
+        if (module.unitId && unitCompensates[module.unitId]) {
+            compensated.push(module.id);
+        } else {
+            failures.push({
+                module: module,
+                rule: 'validation',
+                message: `${module.name} not validated (${grade.toFixed(2)} < ${threshold})`
+            });
+        }
+    });
+    
+    if (studentId !== undefined) {
+        modules.forEach(module => {
+            const outcome = getAttendancePolicyOutcome(studentId, module);
+            if (!outcome.barred || failures.some(f => f.module.id === module.id)) return;
+            failures.push({
+                module: module,
+                rule: 'attendance',
+                message: `Barred from the ${module.name} exam (${outcome.unexcused} unexcused absence${outcome.unexcused > 1 ? 's' : ''}, max ${module.attendancePolicy.maxAbsences})`
+            });
+        });
+    }
+    
+    return { failures: failures, compensated: compensated };
+}
+
+/**
+ * Get status badge (Passed/Failed) and the rule that decided it
+ * @param {number} average - Average grade
+ * @param {Object} ruleCheck - Result of checkModuleRules (optional)
+ * @returns {Object} Object with status text, badge class and reason
+ */
+function getStatus(average, ruleCheck = { failures: [], compensated: [] }) {
+    if (average === null) {
+        return { text: 'No Grades', class: 'badge-secondary', reason: '' };
+    }
+    if (ruleCheck.failures.length > 0) {
+        return { text: 'Failed', class: 'badge-danger', reason: ruleCheck.failures.map(f => f.message).join('; ') };
+    }
+    if (!isPassingGrade(average)) {
+        return { text: 'Failed', class: 'badge-danger', reason: `Average below ${formatGrade(getGradingScheme().passMark, 0)}` };
+    }
+    
+    const compensatedNames = getModules().filter(m => ruleCheck.compensated.includes(m.id)).map(m => m.name);
+    return {
+        text: 'Passed',
+        class: 'badge-success',
+        reason: compensatedNames.length > 0 ? `Compensated: ${compensatedNames.join(', ')}` : ''
+    };
+}
+
+/**
+ * Get the modules a student must resit
+ * Students who fail the normal session resit the modules that failed a rule
+ * (graded or not, e.g. when barred from the exam) and every other module graded
+ * below the pass mark that was not compensated.
+ * @param {Object} studentGrades - Normal session grades
+ * @param {Object} status - Normal session status (from getStatus)
+ * @param {Object} ruleCheck - Result of checkModuleRules
+ * @returns {Array} Array of module objects
+ */
+function getResitModules(studentGrades, status, ruleCheck) {
+    if (status.text !== 'Failed') return [];
+    
+    const failedIds = ruleCheck.failures.map(f => f.module.id);
+    return getModules().filter(m => {
+        if (failedIds.includes(m.id)) return true;
+        const grade = studentGrades[m.id];
+        if (grade === undefined || grade === null) return false;
+        return !isPassingGrade(grade) && !ruleCheck.compensated.includes(m.id);
+    });
+}
+
+/**
+ * Get the status after the resit session
+ * @param {Object} result - Entry of allResults
+ * @returns {Object|null} Status text and badge class, or null if no resit is needed
+ */
+function getResitStatus(result) {
+    if (result.resitModules.length === 0) return null;
+    
+    const taken = result.resitModules.some(m => getResitGrade(result.student.id, m.id) !== null);
+    if (!taken) {
+        return { text: 'Resit Pending', class: 'badge-warning' };
+    }
+    if (result.resitStatus.text === 'Passed') {
+        return { text: 'Passed after Resit', class: 'badge-success', reason: result.resitStatus.reason };
+    }
+    return { text: 'Failed after Resit', class: 'badge-danger', reason: result.resitStatus.reason };
+}
+
+// ============================================
+// STUDENT RESULTS AND RANKING
+// ============================================
+
+/**
+ * Calculate the full result of a student for the selected term
+ * @param {Object} student - Student object (from getStudents)
+ * @returns {Object} {student, average, hasGrades, moduleCount, totalModules, status, passed,
+ *   resitModules, resitAverage, resitStatus, unitResults, creditsEarned, totalCredits}
+ *   (cohortRank and groupRank are added by calculateAllResults)
+ */
+function calculateStudentResult(student) {
+    const modules = getModules();
+    const result = calculateStudentAverage(student.id);
+    const average = result.average;
+    const studentGrades = getResultGrades(student.id);
+    const ruleCheck = checkModuleRules(studentGrades, student.id);
+    const status = getStatus(average, ruleCheck);
+    const resitModules = getResitModules(studentGrades, status, ruleCheck);
+    
+    // The resit session is evaluated with the same grade rules
+    let resitAverage = average;
+    let resitStatus = status;
+    if (resitModules.length > 0) {
+        resitAverage = calculateStudentAverage(student.id, true).average;
+        resitStatus = getStatus(resitAverage, checkModuleRules(getResultGrades(student.id, true)));
+    }
+    
+    // Credits are earned with the final grades (after any resit)
+    const unitResults = calculateUnitResults(getResultGrades(student.id, true));
+    
+    return {
+        student: student,
+        average: average,
+        hasGrades: result.hasGrades,
+        moduleCount: result.moduleCount,
+        totalModules: modules.length,
+        status: status,
+        passed: status.text === 'Passed',
+        resitModules: resitModules,
+        resitAverage: resitAverage,
+        resitStatus: resitStatus,
+        unitResults: unitResults.units,
+        creditsEarned: unitResults.creditsEarned,
+        totalCredits: unitResults.totalCredits
+    };
+}
+
+/**
+ * Calculate the results of every student of the selected term
+ * Students without grades are included (average null, status 'No Grades').
+ * Each result also gets its cohort and group ranks (see applyRankings).
+ * @returns {Array} Array of results (see calculateStudentResult)
+ */
+function calculateAllResults() {
+    return applyRankings(getStudents().map(calculateStudentResult));
+}
+
+// ============================================
+// RANKING
+// ============================================
+
+/**
+ * Rank items by score using standard competition ranking ("1224")
+ * Tied items share the same rank and the following ranks are skipped.
+ * Scores equal to two decimals (as displayed) are ties.
+ * Items without a score are not ranked (rank null) and come last.
+ * @param {Array} items - Items to rank
+ * @param {Function} scoreOf - Returns the score of an item, or null
+ * @returns {Array} [{item, score, rank, total, tied}] sorted best first;
+ *   total is the number of ranked items
+ */
+function rankByScore(items, scoreOf) {
+    const entries = items.map(item => ({ item: item, score: scoreOf(item) }));
+    const hasScore = entry => entry.score !== null && entry.score !== undefined;
+    const ranked = entries.filter(hasScore).sort((a, b) => b.score - a.score);
+    const key = score => Math.round(score * 100);
+    
+    ranked.forEach((entry, index) => {
+        const previous = ranked[index - 1];
+        entry.rank = previous && key(previous.score) === key(entry.score) ? previous.rank : index + 1;
+    });
+    ranked.forEach(entry => {
+        entry.total = ranked.length;
+        entry.tied = ranked.some(other => other !== entry && other.rank === entry.rank);
+    });
+    
+    const unranked = entries.filter(entry => !hasScore(entry))
+        .map(entry => ({ ...entry, rank: null, total: ranked.length, tied: false }));
+    return [...ranked, ...unranked];
+}
+
+/**
+ * Set the cohort and group ranks of each result, by average
+ * Each result gets cohortRank and groupRank: {rank, total, tied},
+ * or null when the student has no grades.
+ * @param {Array} results - Results from calculateStudentResult
+ * @returns {Array} The same results
+ */
+function applyRankings(results) {
+    const toRank = entry => entry.rank === null ? null : { rank: entry.rank, total: entry.total, tied: entry.tied };
+    
+    rankByScore(results, r => r.average).forEach(entry => {
+        entry.item.cohortRank = toRank(entry);
+    });
+    
+    const groups = [...new Set(results.map(r => r.student.group))];
+    groups.forEach(group => {
+        rankByScore(results.filter(r => r.student.group === group), r => r.average).forEach(entry => {
+            entry.item.groupRank = toRank(entry);
+        });
+    });
+    
+    return results;
+}
+
+/**
+ * Rank the students of the selected term in a module, by module grade
+ * @param {Object} module - Module object
+ * @param {Array} students - Students to rank (defaults to getStudents())
+ * @returns {Array} [{student, grade, rank, total, tied}] sorted best first
+ *   (students without a grade have rank null)
+ */
+function rankModule(module, students = getStudents()) {
+    return rankByScore(students, s => getModuleGrade(s.id, module.id)).map(entry => ({
+        student: entry.item,
+        grade: entry.score,
+        rank: entry.rank,
+        total: entry.total,
+        tied: entry.tied
+    }));
+}
+
+/**
+ * Get a student's rank in every module of the selected term
+ * @param {number} studentId - Student ID
+ * @returns {Array} [{module, grade, rank, total, tied}] (rank null when not graded)
+ */
+function getStudentModuleRanks(studentId) {
+    const students = getStudents();
+    return getModules().map(module => {
+        const entry = rankModule(module, students).find(e => e.student.id === studentId);
+        return {
+            module: module,
+            grade: entry ? entry.grade : null,
+            rank: entry ? entry.rank : null,
+            total: entry ? entry.total : 0,
+            tied: entry ? entry.tied : false
+        };
+    });
+}
+
+/**
+ * Format a rank for display, e.g. "#2/15" or "#2/15 (tie)"
+ * @param {Object|null} rank - {rank, total, tied} or null
+ * @returns {string} Formatted rank, or '—' when not ranked
+ */
+function formatRank(rank) {
+    if (!rank || rank.rank === null) return '—';
+    return `#${rank.rank}/${rank.total}${rank.tied ? ' (tie)' : ''}`;
+}
+
+// ============================================
+// MODULE STATISTICS
+// ============================================
+
+/**
+ * Calculate the statistics of a module over the students of the selected term
+ * @param {Object} module - Module object
+ * @param {Array} students - Students to include (defaults to getStudents())
+ * @returns {Object} {module, gradedCount, studentCount, average, min, max, passedCount, passRate}
+ *   (average, min, max and passRate are null when nobody is graded)
+ */
+function calculateModuleStats(module, students = getStudents()) {
+    const grades = students
+        .map(s => getModuleGrade(s.id, module.id))
+        .filter(g => g !== null && g !== undefined);
+    const passedCount = grades.filter(isPassingGrade).length;
+    
+    return {
+        module: module,
+        gradedCount: grades.length,
+        studentCount: students.length,
+        average: grades.length > 0 ? grades.reduce((sum, g) => sum + g, 0) / grades.length : null,
+        min: grades.length > 0 ? Math.min(...grades) : null,
+        max: grades.length > 0 ? Math.max(...grades) : null,
+        passedCount: passedCount,
+        passRate: grades.length > 0 ? Math.round((passedCount / grades.length) * 100) : null
+    };
+}
+
+/**
+ * Calculate the statistics of every module of the selected term
+ * @returns {Array} Array of module statistics (see calculateModuleStats)
+ */
+function calculateAllModuleStats() {
+    const students = getStudents();
+    return getModules().map(module => calculateModuleStats(module, students));
+}
+
+// ============================================
+// TRENDS
+// ============================================
+
+// Time windows offered by the trend charts (points are evenly spaced dates)
+const TREND_WINDOWS = {
+    'month': { label: 'Last 30 days', days: 30, points: 10 },
+    'quarter': { label: 'Last 3 months', days: 91, points: 13 },
+    'half-year': { label: 'Last 6 months', days: 182, points: 12 },
+    'year': { label: 'Last 12 months', days: 365, points: 12 },
+    'all': { label: 'All time', days: null, points: 12 }
+};
+
+/**
+ * Get the dates plotted for a trend window, oldest first, ending now
+ * @param {string} windowKey - TREND_WINDOWS key
+ * @param {Array} history - Grade history (used by 'all' to find the first change)
+ * @returns {Array} Array of Date objects
+ */
+function getTrendDates(windowKey, history) {
+    const trendWindow = TREND_WINDOWS[windowKey] || TREND_WINDOWS['quarter'];
+    const end = Date.now();
+    let start = end - (trendWindow.days || 0) * 24 * 60 * 60 * 1000;
+    if (trendWindow.days === null && history.length > 0) {
+        start = new Date(history[0].changedAt).getTime();
+    }
+    
+    return Array.from({ length: trendWindow.points }, (_, index) =>
+        new Date(start + ((end - start) * index) / (trendWindow.points - 1))
+    );
+}
+
+/**
+ * Calculate how averages evolved, from the grade history
+ * Each point is the mean of the student averages known at that date
+ * (students without grades yet are left out, so a point can be null).
+ * @param {string} windowKey - TREND_WINDOWS key
+ * @param {Object} options - {byGroup: one line per group, studentId: the student's line and the class line}
+ * @returns {Object} {dates: [Date], series: [{name, values: [number|null]}]}
+ */
+function calculateAverageTrends(windowKey, options = {}) {
+    const history = getGradeHistory();
+    const modules = getModules();
+    const students = getStudents();
+    const dates = getTrendDates(windowKey, history);
+    
+    const lines = [];
+    if (options.studentId !== undefined) {
+        lines.push({ name: 'My average', students: students.filter(s => s.id === options.studentId) });
+    }
+    lines.push({ name: 'All students', students: students });
+    if (options.byGroup) {
+        [...new Set(students.map(s => s.group))].sort().forEach(group => {
+            lines.push({ name: `Group ${group}`, students: students.filter(s => s.group === group) });
+        });
+    }
+    
+    const series = lines.map(line => ({ name: line.name, values: [] }));
+    dates.forEach(date => {
+        const gradesAsOf = getGradesAsOf(date, history);
+        lines.forEach((line, index) => {
+            const averages = line.students
+                .map(s => calculateWeightedAverage(gradesAsOf[s.id] || {}, modules).average)
+                .filter(average => average !== null);
+            series[index].values.push(averages.length > 0 ? averages.reduce((sum, a) => sum + a, 0) / averages.length : null);
+        });
+    });
+    
+    return { dates: dates, series: series };
+}
@@ -4,114 +4,20 @@
  * ============================================
  * 
  * This file handles:
- * - Calculating student averages using module coefficients
- * - Determining pass/fail status
- * - Assigning mentions (Très Bien, Bien, Assez Bien, Ajourné)
- * - Sorting students by average or name
+ * - Displaying each student's average, status, mention and ECTS credits
+ * - Displaying teaching unit (UE) averages and the resit session outcome
+ * - Listing resit-eligible students and recording their resit grades
+ * - Per-module statistics for teachers
+ * - Cohort, group and module ranks (ties share a rank)
+ * - Sorting students by average, name or group rank
  * - Filtering passed/failed students
+ * 
+ * The grading rules themselves live in results-engine.js.
  */
 
 // Global variable to store all results data
 let allResults = [];
 
-/**
- * Calculate average grade for a student using module coefficients
- * @param {string} studentId - Student ID
- * @returns {Object} Object with average, hasGrades, and moduleCount
- */
-function calculateStudentAverage(studentId) {
-    const modules = getModules();
-    const studentGrades = getStudentGrades(studentId);
-    
-    if (modules.length === 0) {
-        return { average: null, hasGrades: false, moduleCount: 0 };
-    }
-    
-    let totalPoints = 0;
-    let totalCoefficient = 0;
-    let gradedModules = 0;
-    
-    modules.forEach(module => {
-        const grade = studentGrades[module.id];
-        if (grade !== undefined && grade !== null) {
-            totalPoints += grade * module.coefficient;
-            totalCoefficient += module.coefficient;
-            gradedModules++;
-        }
-    });
-    
-    if (totalCoefficient === 0) {
-        return { average: null, hasGrades: false, moduleCount: gradedModules };
-    }
-    
-    const average = totalPoints / totalCoefficient;
-    return { 
-        average: average, 
-        hasGrades: true, 
-        moduleCount: gradedModules,
-        totalModules: modules.length
-    };
-}
-
-/**
- * Get mention based on average
- * @param {number} average - Average grade
- * @returns {Object} Object with mention text and badge class
- */
-function getMention(average) {
-    if (average >= 16) {
-        return { text: 'Très Bien', class: 'badge-success' };
-    }
-    if (average >= 14) {
-        return { text: 'Bien', class: 'badge-success' };
-    }
-    if (average >= 12) {
-        return { text: 'Assez Bien', class: 'badge-info' };
-    }
-    if (average >= 10) {
-        return { text: 'Passable', class: 'badge-warning' };
-    }
-    return { text: 'Ajourné', class: 'badge-danger' };
-}
-
-/**
- * Get status badge (Passed/Failed)
- * @param {number} average - Average grade
- * @returns {Object} Object with status text and badge class
- */
-function getStatus(average) {
-    if (average === null) {
-        return { text: 'No Grades', class: 'badge-secondary' };
-    }
-    if (average >= 10) {
-        return { text: 'Passed', class: 'badge-success' };
-    }
-    return { text: 'Failed', class: 'badge-danger' };
-}
-
-/**
- * Calculate all student results
- * This function calculates averages for ALL students, even if they don't have grades yet
- */
-function calculateAllResults() {
-    const students = getStudents();
-    const modules = getModules();
-    allResults = [];
-    
-    students.forEach(student => {
-        const result = calculateStudentAverage(student.id);
-        const average = result.average;
-        
-        allResults.push({
-            student: student,
-            average: average,
-            hasGrades: result.hasGrades,
-            moduleCount: result.moduleCount,
-            totalModules: modules.length || 0
-        });
-    });
-}
-
 /**
  * Find student record for logged-in user using userId
  * @returns {Object|null} Student record or null
@@ -130,8 +36,10 @@ function findStudentForUser() {
  * Display results table
  */
 function displayResults() {
-    // Calculate all results first
-    calculateAllResults();
+    // Calculate all results first (see results-engine.js)
+    allResults = calculateAllResults();
+    displayResitReport();
+    displayModuleStats();
     
     const container = document.getElementById('resultsTableContainer');
     if (!container) {
@@ -147,6 +55,12 @@ function displayResults() {
     
     const isStudent = currentUser.role === 'student';
     
+    // Students only see results once they are published
+    if (isStudent && !areResultsPublished()) {
+        container.innerHTML = '<p class="empty-state">Results have not been published yet. Please check back later.</p>';
+        return;
+    }
+    
     // For students, show only their own results
     let resultsToShow = [...allResults];
     if (isStudent) {
@@ -177,14 +91,14 @@ function displayResults() {
     let filteredResults = [...resultsToShow];
     
     if (filterValue === 'passed') {
-        // Show only students with average >= 10
-        filteredResults = filteredResults.filter(r => r.average !== null && r.average >= 10);
+        // Show only students who passed (average at the pass mark and every module rule met)
+        filteredResults = filteredResults.filter(r => r.passed);
     } else if (filterValue === 'failed') {
-        // Show only students with average < 10 (or no grades)
-        filteredResults = filteredResults.filter(r => {
-            // Include students with no grades or average < 10
-            return r.average === null || r.average < 10;
-        });
+        // Show only students who failed (or have no grades)
+        filteredResults = filteredResults.filter(r => !r.passed);
+    } else if (filterValue === 'resit') {
+        // Show only students who have modules to resit
+        filteredResults = filteredResults.filter(r => r.resitModules.length > 0);
     }
     // If filterValue === 'all', show all students (no filtering)
     
@@ -200,6 +114,11 @@ function displayResults() {
             const avgA = a.average !== null ? a.average : 999;
             const avgB = b.average !== null ? b.average : 999;
             return avgA - avgB;
+        } else if (sortValue === 'group-rank') {
+            // By group, then by rank inside the group (unranked students last)
+            const rankA = a.groupRank ? a.groupRank.rank : Infinity;
+            const rankB = b.groupRank ? b.groupRank.rank : Infinity;
+            return String(a.student.group).localeCompare(String(b.student.group)) || rankA - rankB;
         }
         return 0;
     });
@@ -216,22 +135,18 @@ function displayResults() {
         // Find the result for this student
         const studentResult = allResults.find(r => r.student.id === student.id);
         const average = studentResult ? studentResult.average : null;
-        const status = getStatus(average);
-        const mention = average !== null ? getMention(average) : { text: 'N/A', class: 'badge-secondary' };
+        const status = studentResult ? studentResult.status : getStatus(null);
+        const resitStatus = studentResult ? getResitStatus(studentResult) : null;
+        const mention = getMention(average);
         const modules = getModules();
         const studentGrades = getStudentGrades(student.id);
         const studentAbsences = getStudentAbsences(student.id);
         const totalAbsences = getTotalAbsences(student.id);
+        // Only unexcused absences count toward the attendance limits
+        const unexcusedAbsences = getTotalUnexcusedAbsences(student.id);
         
         // Color code the average
-        let averageColor = 'var(--text-primary)';
-        if (average !== null) {
-            if (average >= 16) averageColor = 'var(--success)';
-            else if (average >= 14) averageColor = 'var(--info)';
-            else if (average >= 12) averageColor = 'var(--warning)';
-            else if (average >= 10) averageColor = 'var(--primary)';
-            else averageColor = 'var(--danger)';
-        }
+        const averageColor = average !== null ? getGradeColor(average) : 'var(--text-primary)';
         
         let studentViewHTML = `
             <div class="student-results-view">
@@ -244,30 +159,76 @@ function displayResults() {
                         <div class="summary-stat">
                             <div class="stat-label">Overall Average</div>
                             <div class="stat-value" style="color: ${averageColor}; font-size: 32px; font-weight: 700;">
-                                ${average !== null ? average.toFixed(2) : 'N/A'}<span style="font-size: 18px;">/20</span>
+                                ${average !== null ? average.toFixed(2) : 'N/A'}<span style="font-size: 18px;">/${getGradingScheme().scaleMax}</span>
                             </div>
                         </div>
                         <div class="summary-stat">
                             <div class="stat-label">Status</div>
                             <div class="stat-value">
                                 <span class="badge ${status.class}" style="font-size: 16px; padding: 8px 16px;">${status.text}</span>
+                                ${status.reason ? `<div style="font-size: 12px; color: var(--text-secondary); margin-top: 6px;">${status.reason}</div>` : ''}
                             </div>
                         </div>
+                        ${resitStatus ? `
+                        <div class="summary-stat">
+                            <div class="stat-label">After Resit</div>
+                            <div class="stat-value">
+                                <span class="badge ${resitStatus.class}" style="font-size: 16px; padding: 8px 16px;">${resitStatus.text}</span>
+                                ${studentResult.resitAverage !== null ? `<div style="font-size: 13px; color: var(--text-secondary); margin-top: 6px;">${formatGrade(studentResult.resitAverage)}</div>` : ''}
+                            </div>
+                        </div>` : ''}
                         <div class="summary-stat">
                             <div class="stat-label">Mention</div>
                             <div class="stat-value">
                                 <span class="badge ${mention.class} mention" style="font-size: 16px; padding: 8px 16px;">${mention.text}</span>
                             </div>
                         </div>
+                        ${studentResult && studentResult.totalCredits > 0 ? `
+                        <div class="summary-stat">
+                            <div class="stat-label">ECTS Credits</div>
+                            <div class="stat-value" style="color: ${studentResult.creditsEarned === studentResult.totalCredits ? 'var(--success)' : 'var(--warning)'}; font-size: 32px; font-weight: 700;">
+                                ${studentResult.creditsEarned}<span style="font-size: 18px;">/${studentResult.totalCredits}</span>
+                            </div>
+                        </div>` : ''}
                         <div class="summary-stat">
                             <div class="stat-label">Total Absences</div>
-                            <div class="stat-value" style="color: ${totalAbsences > 10 ? 'var(--danger)' : totalAbsences > 5 ? 'var(--warning)' : 'var(--success)'}; font-size: 32px; font-weight: 700;">
+                            <div class="stat-value" style="color: ${unexcusedAbsences > 10 ? 'var(--danger)' : unexcusedAbsences > 5 ? 'var(--warning)' : 'var(--success)'}; font-size: 32px; font-weight: 700;">
                                 ${totalAbsences}
                             </div>
+                            ${totalAbsences > 0 ? `<div style="font-size: 12px; color: var(--text-secondary);">${unexcusedAbsences} unexcused</div>` : ''}
                         </div>
                     </div>
                 </div>
                 
+                ${studentResult && studentResult.unitResults.length > 0 ? `
+                <!-- Teaching Units -->
+                <div class="card" style="margin-bottom: var(--spacing-lg);">
+                    <div class="card-header">
+                        <h2>My Teaching Units</h2>
+                    </div>
+                    <div class="table-container">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Unit</th>
+                                    <th>Average</th>
+                                    <th>Graded Modules</th>
+                                    <th>Credits</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                ${studentResult.unitResults.map(unitResult => `
+                                <tr>
+                                    <td><strong>${unitResult.unit.name}</strong></td>
+                                    <td>${unitResult.average !== null ? formatGrade(unitResult.average) : 'N/A'}</td>
+                                    <td>${unitResult.gradedModules}/${unitResult.totalModules}</td>
+                                    <td><span class="badge ${unitResult.validated ? 'badge-success' : 'badge-secondary'}">${unitResult.validated ? unitResult.unit.credits : 0}/${unitResult.unit.credits} ECTS</span></td>
+                                </tr>`).join('')}
+                            </tbody>
+                        </table>
+                    </div>
+                </div>` : ''}
+                
                 <!-- Detailed Module Cards -->
                 <div class="card">
                     <div class="card-header">
@@ -281,23 +242,25 @@ function displayResults() {
         } else {
             modules.forEach(module => {
                 const grade = studentGrades[module.id];
+                const resitGrade = getResitGrade(student.id, module.id);
+                const mustResit = studentResult && studentResult.resitModules.some(m => m.id === module.id);
                 const absenceCount = studentAbsences[module.id] || 0;
-                const examDate = module.examDate ? new Date(module.examDate).toLocaleDateString('fr-FR', { 
+                const unexcusedCount = getUnexcusedAbsenceCount(student.id, module.id);
+                const attendanceOutcome = getAttendancePolicyOutcome(student.id, module);
+                // The student's own exam for the module (their group's, or the one for every group)
+                const exam = getGroupExams(student.group).find(e => e.moduleId === module.id);
+                const examDate = exam ? new Date(exam.date).toLocaleDateString('fr-FR', { 
                     weekday: 'long', 
                     year: 'numeric', 
                     month: 'long', 
                     day: 'numeric' 
-                }) : 'Not scheduled';
+                }) + (exam.startTime ? ` · ${exam.startTime}-${exam.endTime}` : '') + (exam.room ? ` · ${exam.room}` : '') : 'Not scheduled';
                 
                 let gradeColor = 'var(--text-secondary)';
                 let gradeText = 'No grade yet';
                 if (grade !== undefined && grade !== null) {
-                    gradeText = grade.toFixed(2) + '/20';
-                    if (grade >= 16) gradeColor = 'var(--success)';
-                    else if (grade >= 14) gradeColor = 'var(--info)';
-                    else if (grade >= 12) gradeColor = 'var(--warning)';
-                    else if (grade >= 10) gradeColor = 'var(--primary)';
-                    else gradeColor = 'var(--danger)';
+                    gradeText = formatGrade(grade);
+                    gradeColor = getGradeColor(grade);
                 }
                 
                 studentViewHTML += `
@@ -311,6 +274,17 @@ function displayResults() {
                                 <div style="font-size: 24px; font-weight: 700; color: ${gradeColor};">
                                     ${gradeText}
                                 </div>
+                                ${resitGrade !== null ? `
+                                <div style="font-size: 13px; color: var(--text-secondary); margin-top: 4px;">
+                                    Resit: ${formatGrade(resitGrade)} → ${formatGrade(applyResitRule(grade !== undefined ? grade : null, resitGrade))}
+                                </div>` : mustResit ? `
+                                <span class="badge badge-warning" style="margin-top: 4px;">Resit required</span>` : ''}
+                                ${attendanceOutcome.penalty > 0 ? `
+                                <div style="font-size: 13px; color: var(--danger); margin-top: 4px;">
+                                    −${attendanceOutcome.penalty.toFixed(2)} attendance penalty
+                                </div>` : ''}
+                                ${attendanceOutcome.barred ? `
+                                <span class="badge badge-danger" style="margin-top: 4px;">Barred from exam</span>` : ''}
                             </div>
                         </div>
                         <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(150px, 1fr)); gap: var(--spacing-md); margin-top: var(--spacing-md);">
@@ -320,8 +294,8 @@ function displayResults() {
                             </div>
                             <div>
                                 <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">Absences</div>
-                                <div style="font-weight: 600; color: ${absenceCount > 5 ? 'var(--danger)' : absenceCount > 3 ? 'var(--warning)' : 'var(--success)'};">
-                                    ${absenceCount} ${absenceCount === 1 ? 'absence' : 'absences'}
+                                <div style="font-weight: 600; color: ${unexcusedCount > 5 ? 'var(--danger)' : unexcusedCount > 3 ? 'var(--warning)' : 'var(--success)'};">
+                                    ${absenceCount} ${absenceCount === 1 ? 'absence' : 'absences'}${absenceCount > unexcusedCount ? ` (${absenceCount - unexcusedCount} excused)` : ''}
                                 </div>
                             </div>
                         </div>
@@ -350,8 +324,12 @@ function displayResults() {
                         <th>CIN</th>
                         <th>Group</th>
                         <th>Average</th>
+                        <th>Rank</th>
+                        <th>Group Rank</th>
                         <th>Status</th>
+                        <th>After Resit</th>
                         <th>Mention</th>
+                        <th>ECTS Credits</th>
                         <th>Total Absences</th>
                         <th>Grades & Details</th>
                     </tr>
@@ -359,13 +337,18 @@ function displayResults() {
                 <tbody>
     `;
     
+    // Rank every module once for the module ranks of the grade details
+    const moduleRankings = new Map(getModules().map(m => [m.id, rankModule(m)]));
+    
     // Add rows for each student
     filteredResults.forEach(result => {
         const student = result.student;
         const average = result.average;
-        const status = getStatus(average);
-        const mention = average !== null ? getMention(average) : { text: 'N/A', class: 'badge-secondary' };
+        const status = result.status;
+        const resitStatus = getResitStatus(result);
+        const mention = getMention(average);
         const totalAbsences = getTotalAbsences(student.id);
+        const unexcusedAbsences = getTotalUnexcusedAbsences(student.id);
         
         // Show detailed grade breakdown
         let gradesCell = `${result.moduleCount}/${result.totalModules} modules`;
@@ -378,19 +361,21 @@ function displayResults() {
                 const grade = studentGrades[m.id];
                 const absence = studentAbsences[m.id] || 0;
                 const examDate = m.examDate ? new Date(m.examDate).toLocaleDateString('fr-FR', { day: '2-digit', month: 'short' }) : 'No date';
+                const outcome = getAttendancePolicyOutcome(student.id, m);
+                const attendanceNote = outcome.barred
+                    ? ' <span class="badge badge-danger">Barred</span>'
+                    : outcome.penalty > 0 ? ` <span style="color: var(--danger);">−${outcome.penalty.toFixed(2)} attendance</span>` : '';
                 
                 if (grade !== undefined) {
-                    const color = grade >= 16 ? 'var(--success)' : 
-                                 grade >= 14 ? 'var(--info)' : 
-                                 grade >= 12 ? 'var(--warning)' : 
-                                 grade >= 10 ? 'var(--primary)' : 'var(--danger)';
+                    const color = getGradeColor(grade);
+                    const moduleRank = moduleRankings.get(m.id).find(e => e.student.id === student.id);
                     return `<div style="margin-bottom: 6px; font-size: 11px;">
-                        <strong style="color: ${color};">${m.name}: ${grade.toFixed(2)}/20</strong><br>
+                        <strong style="color: ${color};">${m.name}: ${formatGrade(grade)}</strong>${attendanceNote} <span style="color: var(--text-secondary);">${formatRank(moduleRank)}</span><br>
                         <span style="color: var(--text-secondary);">Abs: ${absence} | Exam: ${examDate}</span>
                     </div>`;
                 } else {
                     return `<div style="margin-bottom: 6px; font-size: 11px; color: var(--text-secondary);">
-                        ${m.name}: No grade | Abs: ${absence} | Exam: ${examDate}
+                        ${m.name}: No grade${attendanceNote} | Abs: ${absence} | Exam: ${examDate}
                     </div>`;
                 }
             }).join('');
@@ -400,14 +385,7 @@ function displayResults() {
         }
         
         // Color code the average
-        let averageColor = 'var(--text-primary)';
-        if (average !== null) {
-            if (average >= 16) averageColor = 'var(--success)';
-            else if (average >= 14) averageColor = 'var(--info)';
-            else if (average >= 12) averageColor = 'var(--warning)';
-            else if (average >= 10) averageColor = 'var(--primary)';
-            else averageColor = 'var(--danger)';
-        }
+        const averageColor = average !== null ? getGradeColor(average) : 'var(--text-primary)';
         
         tableHTML += `
             <tr>
@@ -415,15 +393,28 @@ function displayResults() {
                 <td>${student.cin}</td>
                 <td>${student.group}</td>
                 <td class="average" style="color: ${averageColor}; font-weight: 700;">
-                    ${average !== null ? average.toFixed(2) + '/20' : 'N/A'}
+                    ${average !== null ? formatGrade(average) : 'N/A'}
                 </td>
+                <td title="${result.cohortRank ? 'Rank in the whole cohort' : 'Not ranked: no grades yet'}">${formatRank(result.cohortRank)}</td>
+                <td title="${result.groupRank ? `Rank in group ${student.group}` : 'Not ranked: no grades yet'}">${formatRank(result.groupRank)}</td>
                 <td>
                     <span class="badge ${status.class}">${status.text}</span>
+                    ${status.reason ? `<div style="font-size: 11px; color: var(--text-secondary); margin-top: 4px; max-width: 200px;">${status.reason}</div>` : ''}
+                </td>
+                <td>
+                    ${resitStatus ? `
+                    <span class="badge ${resitStatus.class}">${resitStatus.text}</span>
+                    <div style="font-size: 11px; color: var(--text-secondary); margin-top: 4px;">
+                        ${result.resitAverage !== null ? formatGrade(result.resitAverage) : 'N/A'} · ${result.resitModules.length} module${result.resitModules.length > 1 ? 's' : ''}
+                    </div>` : '<span style="color: var(--text-secondary);">—</span>'}
                 </td>
                 <td>
                     <span class="badge ${mention.class} mention">${mention.text}</span>
                 </td>
-                <td style="color: ${totalAbsences > 10 ? 'var(--danger)' : totalAbsences > 5 ? 'var(--warning)' : 'var(--success)'}; font-weight: 600;">
+                <td title="${result.unitResults.map(u => `${u.unit.name}: ${u.average !== null ? u.average.toFixed(2) : 'N/A'} (${u.validated ? 'validated' : 'not validated'})`).join('\n')}">
+                    ${result.totalCredits > 0 ? `<strong>${result.creditsEarned}</strong>/${result.totalCredits}` : '<span style="color: var(--text-secondary);">—</span>'}
+                </td>
+                <td style="color: ${unexcusedAbsences > 10 ? 'var(--danger)' : unexcusedAbsences > 5 ? 'var(--warning)' : 'var(--success)'}; font-weight: 600;" title="${unexcusedAbsences} unexcused">
                     ${totalAbsences}
                 </td>
                 <td>
@@ -437,9 +428,11 @@ function displayResults() {
     if (filteredResults.length === 0) {
         let message = '';
         if (filterValue === 'passed') {
-            message = 'No students have passed yet (average ≥ 10).';
+            message = 'No students have passed yet.';
         } else if (filterValue === 'failed') {
             message = 'No students have failed. All students are passing!';
+        } else if (filterValue === 'resit') {
+            message = 'No students need to resit a module.';
         } else {
             message = 'No results to display.';
         }
@@ -469,6 +462,252 @@ function sortResults() {
     displayResults();
 }
 
+// ============================================
+// MODULE STATISTICS
+// ============================================
+
+/**
+ * Display the per-module statistics (teachers and admins only)
+ */
+function displayModuleStats() {
+    const card = document.getElementById('moduleStatsCard');
+    const container = document.getElementById('moduleStatsContainer');
+    if (!card || !container) return;
+    
+    if (!getCurrentUser() || !hasPermission('results:view-all')) {
+        card.style.display = 'none';
+        return;
+    }
+    card.style.display = 'block';
+    
+    const stats = calculateAllModuleStats();
+    if (stats.length === 0) {
+        container.innerHTML = '<p class="empty-state">No modules in this term.</p>';
+        return;
+    }
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Module</th>
+                        <th>Coefficient</th>
+                        <th>Graded</th>
+                        <th>Average</th>
+                        <th>Min</th>
+                        <th>Max</th>
+                        <th>Pass Rate</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    stats.forEach(stat => {
+        const cell = grade => grade !== null
+            ? `<span style="color: ${getGradeColor(grade)}; font-weight: 600;">${formatGrade(grade)}</span>`
+            : '<span style="color: var(--text-secondary);">—</span>';
+        
+        tableHTML += `
+            <tr>
+                <td><strong>${stat.module.name}</strong></td>
+                <td>${stat.module.coefficient}</td>
+                <td>${stat.gradedCount}/${stat.studentCount}</td>
+                <td>${cell(stat.average)}</td>
+                <td>${cell(stat.min)}</td>
+                <td>${cell(stat.max)}</td>
+                <td>${stat.passRate !== null ? `${stat.passRate}% (${stat.passedCount})` : '<span style="color: var(--text-secondary);">—</span>'}</td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    container.innerHTML = tableHTML;
+}
+
+// ============================================
+// RESIT SESSION REPORT
+// ============================================
+
+/**
+ * Display the resit report: every student eligible for resits, with one
+ * row per module to resit and an input for the resit grade
+ */
+function displayResitReport() {
+    const card = document.getElementById('resitCard');
+    const container = document.getElementById('resitReportContainer');
+    if (!card || !container) return;
+    
+    const currentUser = getCurrentUser();
+    if (!currentUser || !hasPermission('results:view-all')) {
+        card.style.display = 'none';
+        return;
+    }
+    card.style.display = 'block';
+    
+    // Rule selector, editable only with rules:manage
+    const ruleSelect = document.getElementById('resitRule');
+    if (ruleSelect) {
+        ruleSelect.innerHTML = Object.entries(RESIT_RULES).map(([key, label]) =>
+            `<option value="${key}" ${key === getResitRule() ? 'selected' : ''}>${label}</option>`
+        ).join('');
+        ruleSelect.disabled = !hasPermission('rules:manage');
+    }
+    
+    const eligible = allResults.filter(r => r.resitModules.length > 0)
+        .sort((a, b) => a.student.name.localeCompare(b.student.name));
+    
+    if (eligible.length === 0) {
+        container.innerHTML = '<p class="empty-state">No students are eligible for the resit session.</p>';
+        return;
+    }
+    
+    const readOnlyStyle = 'opacity: 0.6; cursor: not-allowed;';
+    const scaleMax = getGradingScheme().scaleMax;
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>CIN</th>
+                        <th>Group</th>
+                        <th>Module</th>
+                        <th>Normal Session</th>
+                        <th>Resit Grade</th>
+                        <th>Final Grade</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    eligible.forEach(result => {
+        const student = result.student;
+        const studentGrades = getStudentGrades(student.id);
+        
+        result.resitModules.forEach((module, index) => {
+            const original = studentGrades[module.id];
+            const resitGrade = getResitGrade(student.id, module.id);
+            const finalGrade = applyResitRule(original, resitGrade);
+            const barred = getAttendancePolicyOutcome(student.id, module).barred;
+            const writable = canWrite('grades:write', { moduleId: module.id, group: student.group });
+            
+            tableHTML += `
+                <tr>
+                    <td>${index === 0 ? `<strong>${student.name}</strong>` : ''}</td>
+                    <td>${index === 0 ? student.cin : ''}</td>
+                    <td>${index === 0 ? student.group : ''}</td>
+                    <td>${module.name}</td>
+                    <td style="color: var(--danger); font-weight: 600;">
+                        ${original !== undefined && original !== null ? formatGrade(original) : '—'}
+                        ${barred ? '<span class="badge badge-danger">Barred</span>' : ''}
+                    </td>
+                    <td>
+                        <input 
+                            type="number" 
+                            class="grade-input" 
+                            min="0" 
+                            max="${scaleMax}" 
+                            step="0.01"
+                            value="${resitGrade !== null ? resitGrade : ''}"
+                            placeholder="0-${scaleMax}"
+                            ${writable ? `
+                            onchange="handleResitGradeChange(${student.id}, ${module.id}, this)"
+                            onkeypress="if(event.key==='Enter') this.blur()"
+                            ` : 'readonly title="Read-only"'}
+                            style="width: 90px; ${writable ? '' : readOnlyStyle}"
+                        >
+                    </td>
+                    <td style="font-weight: 600; color: ${isPassingGrade(finalGrade) ? 'var(--success)' : 'var(--danger)'};">${finalGrade !== undefined && finalGrade !== null ? formatGrade(finalGrade) : '—'}</td>
+                </tr>
+            `;
+        });
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Handle resit grade input change
+ * @param {number} studentId - Student ID
+ * @param {number} moduleId - Module ID
+ * @param {HTMLInputElement} input - Input element
+ */
+function handleResitGradeChange(studentId, moduleId, input) {
+    const value = input.value.trim();
+    const previousGrade = getResitGrade(studentId, moduleId);
+    
+    if (value !== '') {
+        const grade = parseFloat(value);
+        if (!isGradeInScale(grade)) {
+            alert(`Please enter a valid grade between 0 and ${getGradingScheme().scaleMax}!`);
+            input.value = previousGrade !== null ? previousGrade : '';
+            return;
+        }
+    }
+    
+    if (!setResitGrade(studentId, moduleId, value === '' ? null : parseFloat(value))) {
+        alert(isSelectedTermArchived()
+            ? 'This term is archived, so its grades are read-only.'
+            : 'You are not assigned to this module or group!');
+        input.value = previousGrade !== null ? previousGrade : '';
+        return;
+    }
+    
+    // Statuses after the resit depend on the new grade
+    displayResults();
+}
+
+/**
+ * Change the rule applied to resit grades
+ * @param {string} rule - One of the RESIT_RULES keys
+ */
+function changeResitRule(rule) {
+    if (!setResitRule(rule)) {
+        alert('You do not have permission to change the resit rule!');
+    }
+    displayResults();
+}
+
+/**
+ * Update the publish button to match the stored state
+ */
+function updatePublishButton() {
+    const button = document.getElementById('publishResultsBtn');
+    if (!button) return;
+    
+    if (!hasPermission('results:publish')) {
+        button.style.display = 'none';
+        return;
+    }
+    
+    const published = areResultsPublished();
+    button.style.display = 'inline-block';
+    button.textContent = published ? 'Hide Results from Students' : 'Publish Results to Students';
+    button.className = `btn btn-small ${published ? 'btn-warning' : 'btn-success'}`;
+}
+
+/**
+ * Publish or hide results for students
+ */
+function togglePublishResults() {
+    if (!setResultsPublished(!areResultsPublished())) {
+        alert('You do not have permission to publish results!');
+        return;
+    }
+    updatePublishButton();
+}
+
 /**
  * ============================================
  * PAGE INITIALIZATION
@@ -477,15 +716,18 @@ function sortResults() {
  * This runs when the page finishes loading
  */
 document.addEventListener('DOMContentLoaded', () => {
-    // Display all results
-    displayResults();
+    // Display all results once storage is loaded
+    whenStorageReady(() => {
+        displayResults();
+        updatePublishButton();
+    });
 });
 
 // Backup initialization on window load
 window.addEventListener('load', () => {
     const container = document.getElementById('resultsTableContainer');
     if (container && (!container.innerHTML || container.innerHTML.trim() === '')) {
-        displayResults();
+        whenStorageReady(displayResults);
     }
 });
 
@@ -0,0 +1,352 @@
+/**
+ * ============================================
+ * storage.js - Pluggable Storage Backends
+ * ============================================
+ *
+ * This file handles:
+ * - A single storage adapter interface used by data.js and auth.js
+ * - localStorage, IndexedDB and in-memory implementations
+ * - Selecting the active backend at startup
+ * - Reading and writing JSON collections with shared error handling
+ *
+ * Every adapter exposes the same synchronous API:
+ *   getItem(key) -> string|null
+ *   setItem(key, value)
+ *   removeItem(key)
+ *   keys() -> Array of stored keys
+ *   ready -> Promise resolved once the adapter can be read
+ *
+ * The IndexedDB adapter keeps an in-memory copy of the database so reads
+ * stay synchronous; writes are persisted in the background. Code that reads
+ * data on page load must therefore run inside whenStorageReady().
+ *
+ * This file must be loaded before auth.js and data.js.
+ */
+
+// Key (always in localStorage) remembering which backend to use
+const STORAGE_BACKEND_KEY = 'storageBackend';
+
+// Backend used when nothing else was selected
+const DEFAULT_STORAGE_BACKEND = 'localStorage';
+
+// ============================================
+// ADAPTER IMPLEMENTATIONS
+// ============================================
+
+/**
+ * Create an adapter backed by window.localStorage
+ * @returns {Object} Storage adapter
+ */
+function createLocalStorageAdapter() {
+    return {
+        name: 'localStorage',
+        ready: Promise.resolve(),
+        getItem(key) {
+            return localStorage.getItem(key);
+        },
+        setItem(key, value) {
+            localStorage.setItem(key, value);
+        },
+        removeItem(key) {
+            localStorage.removeItem(key);
+        },
+        keys() {
+            const keys = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                keys.push(localStorage.key(i));
+            }
+            return keys;
+        }
+    };
+}
+
+/**
+ * Create an adapter that keeps everything in memory (lost on reload)
+ * Useful for test pages that must not touch real data
+ * @param {Object} initialData - Optional {key: string} pairs to start with
+ * @returns {Object} Storage adapter
+ */
+function createMemoryAdapter(initialData = {}) {
+    const items = new Map(Object.entries(initialData));
+
+    return {
+        name: 'memory',
+        ready: Promise.resolve(),
+        getItem(key) {
+            return items.has(key) ? items.get(key) : null;
+        },
+        setItem(key, value) {
+            items.set(key, String(value));
+        },
+        removeItem(key) {
+            items.delete(key);
+        },
+        keys() {
+            return Array.from(items.keys());
+        }
+    };
+}
+
+/**
+ * Create an adapter backed by IndexedDB
+ * All records are loaded into memory when the database opens, so reads
+ * are synchronous once `ready` has resolved. Writes update the memory copy
+ * immediately and are saved to IndexedDB in the background.
+ * @param {string} dbName - Database name
+ * @returns {Object} Storage adapter
+ */
+function createIndexedDBAdapter(dbName = 'emsi-system') {
+    const STORE_NAME = 'keyvalue';
+    const cache = new Map();
+    let db = null;
+
+    const ready = new Promise((resolve, reject) => {
+        const request = indexedDB.open(dbName, 1);
+
+        request.onupgradeneeded = () => {
+            request.result.createObjectStore(STORE_NAME);
+        };
+
+        request.onsuccess = () => {
+            db = request.result;
+            const cursorRequest = db.transaction(STORE_NAME, 'readonly').objectStore(STORE_NAME).openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (cursor) {
+                    cache.set(cursor.key, cursor.value);
+                    cursor.continue();
+                } else {
+                    console.log('✅ IndexedDB loaded:', cache.size, 'keys');
+                    resolve();
+                }
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        };
+
+        request.onerror = () => reject(request.error);
+    });
+
+    /**
+     * Run a write against the object store once the database is open
+     * @param {Function} operation - Receives the object store
+     */
+    function persist(operation) {
+        ready.then(() => {
+            const transaction = db.transaction(STORE_NAME, 'readwrite');
+            operation(transaction.objectStore(STORE_NAME));
+            transaction.onabort = () => {
+                console.error('❌ Error saving to IndexedDB:', transaction.error);
+                if (transaction.error && transaction.error.name === 'QuotaExceededError') {
+                    alert('Storage is full! Please clear some data or use a different browser.');
+                }
+            };
+        });
+    }
+
+    return {
+        name: 'indexedDB',
+        ready,
+        getItem(key) {
+            return cache.has(key) ? cache.get(key) : null;
+        },
+        setItem(key, value) {
+            cache.set(key, String(value));
+            persist(store => store.put(String(value), key));
+        },
+        removeItem(key) {
+            cache.delete(key);
+            persist(store => store.delete(key));
+        },
+        keys() {
+            return Array.from(cache.keys());
+        }
+    };
+}
+
+// ============================================
+// BACKEND SELECTION
+// ============================================
+
+/**
+ * Create an adapter by backend name
+ * Falls back to localStorage when IndexedDB is not available
+ * @param {string} name - 'localStorage', 'indexedDB' or 'memory'
+ * @returns {Object} Storage adapter
+ */
+function createStorageAdapter(name) {
+    if (name === 'memory') {
+        return createMemoryAdapter();
+    }
+    if (name === 'indexedDB') {
+        if (typeof indexedDB !== 'undefined') {
+            return createIndexedDBAdapter();
+        }
+        console.warn('⚠️ IndexedDB is not available, falling back to localStorage');
+    }
+    return createLocalStorageAdapter();
+}
+
+/**
+ * Work out which backend to use for this page
+ * A page may force one by setting window.STORAGE_BACKEND before loading this file
+ * @returns {string} Backend name
+ */
+function resolveStorageBackendName() {
+    if (typeof window !== 'undefined' && window.STORAGE_BACKEND) {
+        return window.STORAGE_BACKEND;
+    }
+    try {
+        return localStorage.getItem(STORAGE_BACKEND_KEY) || DEFAULT_STORAGE_BACKEND;
+    } catch (error) {
+        return DEFAULT_STORAGE_BACKEND;
+    }
+}
+
+// Active adapter for this page
+let appStorage = createStorageAdapter(resolveStorageBackendName());
+let storageIsReady = false;
+appStorage.ready.then(() => { storageIsReady = true; });
+
+/**
+ * Get the active storage adapter
+ * @returns {Object} Storage adapter
+ */
+function getStorage() {
+    return appStorage;
+}
+
+/**
+ * Replace the active storage adapter (e.g. with an in-memory store in tests)
+ * @param {Object} adapter - Storage adapter
+ */
+function setStorage(adapter) {
+    appStorage = adapter;
+    storageIsReady = false;
+    adapter.ready.then(() => { storageIsReady = true; });
+}
+
+/**
+ * Choose the backend used on the next page load
+ * @param {string} name - 'localStorage' or 'indexedDB'
+ * @param {boolean} copyData - Copy existing data into the new backend
+ * @returns {Promise} Resolved when the new backend holds the copied data
+ */
+function selectStorageBackend(name, copyData = true) {
+    const target = createStorageAdapter(name);
+
+    return target.ready.then(() => {
+        if (copyData && target.name !== appStorage.name) {
+            appStorage.keys()
+                .filter(key => key !== STORAGE_BACKEND_KEY)
+                .forEach(key => target.setItem(key, appStorage.getItem(key)));
+        }
+        localStorage.setItem(STORAGE_BACKEND_KEY, target.name);
+        console.log('✅ Storage backend set to', target.name);
+    });
+}
+
+/**
+ * Run a callback once the active storage can be read
+ * Runs immediately (synchronously) for localStorage and memory backends
+ * @param {Function} callback - Function to run
+ */
+function whenStorageReady(callback) {
+    if (storageIsReady) {
+        callback();
+        return;
+    }
+    appStorage.ready.then(() => {
+        storageIsReady = true;
+        callback();
+    }).catch(error => {
+        console.error('❌ Storage backend failed to load:', error);
+        alert('Error loading data! The selected storage backend is not available.');
+    });
+}
+
+// Synchronous adapters are usable straight away
+if (appStorage.name !== 'indexedDB') {
+    storageIsReady = true;
+}
+
+// ============================================
+// JSON COLLECTION HELPERS
+// ============================================
+
+/**
+ * Read a JSON value from the active storage
+ * @param {string} key - Storage key
+ * @param {*} fallback - Value returned when the key is missing or unreadable
+ * @returns {*} Parsed value or fallback
+ */
+function readJSON(key, fallback = null) {
+    try {
+        const json = appStorage.getItem(key);
+        if (!json || json === 'null' || json === 'undefined') {
+            return fallback;
+        }
+        return JSON.parse(json);
+    } catch (error) {
+        console.error(`❌ Error loading ${key} from ${appStorage.name}:`, error);
+        console.error('Raw data:', appStorage.getItem(key));
+        return fallback;
+    }
+}
+
+/**
+ * Write a JSON value to the active storage
+ * @param {string} key - Storage key
+ * @param {*} value - Value to serialize
+ * @returns {boolean} True if the value was saved
+ */
+function writeJSON(key, value) {
+    try {
+        appStorage.setItem(key, JSON.stringify(value));
+        // Verify it was saved
+        if (appStorage.getItem(key) === null) {
+            console.error(`❌ Failed to save ${key} - ${appStorage.name} may be disabled or full`);
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.error(`❌ Error saving ${key} to ${appStorage.name}:`, error);
+        if (error.name === 'QuotaExceededError') {
+            alert('Storage is full! Please clear some data or switch to the IndexedDB storage backend.');
+        } else {
+            alert('Error saving data! Your browser may have storage disabled or be out of storage space.');
+        }
+        return false;
+    }
+}
+
+/**
+ * Read an array collection from the active storage
+ * @param {string} key - Storage key
+ * @returns {Array} Stored array (empty if missing or invalid)
+ */
+function readCollection(key) {
+    const items = readJSON(key, []);
+    return Array.isArray(items) ? items : [];
+}
+
+/**
+ * Write an array collection to the active storage
+ * @param {string} key - Storage key
+ * @param {Array} items - Array to save
+ * @returns {boolean} True if saved
+ */
+function writeCollection(key, items) {
+    const saved = writeJSON(key, items);
+    if (saved) {
+        console.log(`✅ ${key} saved to ${appStorage.name}:`, items.length, 'records');
+    }
+    return saved;
+}
+
+/**
+ * Remove a key from the active storage
+ * @param {string} key - Storage key
+ */
+function removeStoredItem(key) {
+    appStorage.removeItem(key);
+}
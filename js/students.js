@@ -19,6 +19,7 @@
  * - Deleting students (CRUD: Delete)
  * - Displaying students in a table (CRUD: Read)
  * - Form validation
+ * - Unlocking student accounts locked after failed logins
  */
 
 // Global variable to track if we're editing a student
@@ -76,18 +77,10 @@ function resetForm() {
 
 /**
  * Populate form with student data for editing
- * @param {number|string} studentId - Student ID to edit
+ * @param {number} studentId - Student ID to edit
  */
 function editStudent(studentId) {
-    // Convert to number to ensure correct type
-    const id = typeof studentId === 'string' ? parseInt(studentId) : studentId;
-    
-    if (isNaN(id)) {
-        showAlert('Invalid student ID!', 'error');
-        return;
-    }
-    
-    const student = getStudentById(id);
+    const student = getStudentById(studentId);
     
     if (!student) {
         showAlert('Student not found!', 'error');
@@ -101,7 +94,7 @@ function editStudent(studentId) {
     document.getElementById('studentUserId').value = student.userId || '';
     
     // Set editing mode
-    editingStudentId = id; // Use the converted numeric ID
+    editingStudentId = studentId;
     document.getElementById('formTitle').textContent = 'Edit Student';
     document.getElementById('cancelBtn').style.display = 'inline-block';
     document.getElementById('studentCIN').disabled = true; // Prevent CIN change
@@ -116,43 +109,113 @@ function editStudent(studentId) {
 
 /**
  * Delete a student after confirmation
- * @param {number|string} studentId - Student ID to delete
+ * @param {number} studentId - Student ID to delete
  */
 function deleteStudentHandler(studentId) {
-    // Convert to number to ensure correct type
-    const id = typeof studentId === 'string' ? parseInt(studentId) : studentId;
+    const student = getStudentById(studentId);
     
-    if (isNaN(id)) {
-        showAlert('Invalid student ID!', 'error');
-        console.error('Invalid student ID:', studentId, typeof studentId);
+    if (!student) {
+        showAlert('Student not found!', 'error');
         return;
     }
     
-    console.log('Attempting to delete student with ID:', id, typeof id);
-    const student = getStudentById(id);
-    console.log('Found student:', student);
-    
-    if (!student) {
-        // Debug: show what students exist
-        const allStudents = getStudents();
-        console.error('Student not found. Available students:', allStudents.map(s => ({ id: s.id, type: typeof s.id, name: s.name })));
-        showAlert('Student not found!', 'error');
+    if (!canWrite('students:delete', { group: student.group })) {
+        showAlert('You do not have permission to delete students!', 'error');
         return;
     }
     
     // Confirm deletion
     if (confirm(`Are you sure you want to delete ${student.name}? This will also delete all their grades.`)) {
-        deleteStudent(id); // Call function from data.js with numeric ID
+        if (!deleteStudent(studentId)) {
+            showAlert('You do not have permission to delete this student!', 'error');
+            return;
+        }
         displayStudents();
         showAlert('Student deleted successfully!', 'success');
         
         // Reset form if we were editing this student
-        if (editingStudentId === id) {
+        if (editingStudentId === studentId) {
             resetForm();
         }
     }
 }
 
+/**
+ * Issue a one-time password reset code for a student's account
+ * @param {number} userId - Linked user ID
+ */
+async function issueResetCodeHandler(userId) {
+    const result = await issuePasswordResetCode(userId);
+    if (!result.success) {
+        showAlert(result.message, 'error');
+        return;
+    }
+    
+    showAlert('Reset code created!', 'success');
+    const link = new URL(result.link, window.location.href).href;
+    prompt(`Reset code: ${result.code} (valid for 30 minutes, single use). Share the code or this link with the student:`, link);
+}
+
+/**
+ * Display student accounts locked after too many failed logins
+ * The card stays hidden while nothing is locked.
+ */
+function displayLockedStudents() {
+    const card = document.getElementById('lockoutsCard');
+    const lockouts = getActiveLockouts().filter(l => l.user && l.user.role === 'student');
+    
+    if (lockouts.length === 0) {
+        card.style.display = 'none';
+        return;
+    }
+    
+    card.style.display = 'block';
+    const container = document.getElementById('lockoutsContainer');
+    container.innerHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Account</th>
+                        <th>Email</th>
+                        <th>Locked Until</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${lockouts.map(lockout => `
+                        <tr>
+                            <td>${escapeHtml(lockout.user.name)}</td>
+                            <td>${escapeHtml(lockout.email)}</td>
+                            <td>${new Date(lockout.lockedUntil).toLocaleString('fr-FR')}</td>
+                            <td>
+                                <button class="btn btn-success btn-small" data-email="${escapeHtml(lockout.email)}">
+                                    Unlock
+                                </button>
+                            </td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    // Read the email from the attribute instead of building it into an inline handler
+    container.querySelectorAll('button[data-email]').forEach(button => {
+        button.addEventListener('click', () => clearLockoutHandler(button.dataset.email));
+    });
+}
+
+/**
+ * Lift a student's lockout
+ * @param {string} email - Locked email
+ */
+function clearLockoutHandler(email) {
+    const result = clearLockout(email);
+    showAlert(result.success ? `${email} unlocked.` : result.message, result.success ? 'success' : 'error');
+    displayLockedStudents();
+}
+
 /**
  * Populate user dropdown with student users
  */
@@ -167,11 +230,11 @@ function populateUserDropdown() {
     
     studentUsers.forEach(user => {
         // Check if user is already linked to a student
-        const students = getStudents();
+        const students = getAllStudents();
         const isLinked = students.some(s => s.userId === user.id);
         
         if (!isLinked || (editingStudentId && getStudentById(editingStudentId)?.userId === user.id)) {
-            dropdown.innerHTML += `<option value="${user.id}">${user.name} (${user.email})</option>`;
+            dropdown.innerHTML += `<option value="${user.id}">${escapeHtml(user.name)} (${escapeHtml(user.email)})</option>`;
         }
     });
 }
@@ -208,7 +271,29 @@ function displayStudents() {
     // Add rows for each student
     students.forEach(student => {
         const linkedUser = student.userId ? users.find(u => u.id === student.userId) : null;
-        const userInfo = linkedUser ? `${linkedUser.name} (${linkedUser.email})` : 'Not linked';
+        const userInfo = linkedUser ? `${escapeHtml(linkedUser.name)} (${escapeHtml(linkedUser.email)})` : 'Not linked';
+        
+        // Buttons depend on the teacher's permissions and assigned groups
+        const scope = { group: student.group };
+        let actions = '';
+        if (canWrite('students:update', scope)) {
+            actions += `
+                    <button class="btn btn-warning btn-small" onclick="editStudent(${Number(student.id)})">
+                        Edit
+                    </button>`;
+        }
+        if (linkedUser && canIssueResetCode(linkedUser)) {
+            actions += `
+                    <button class="btn btn-secondary btn-small" onclick="issueResetCodeHandler(${Number(linkedUser.id)})">
+                        Reset Code
+                    </button>`;
+        }
+        if (canWrite('students:delete', scope)) {
+            actions += `
+                    <button class="btn btn-danger btn-small" onclick="deleteStudentHandler(${Number(student.id)})">
+                        Delete
+                    </button>`;
+        }
         
         tableHTML += `
             <tr>
@@ -216,13 +301,7 @@ function displayStudents() {
                 <td>${student.cin}</td>
                 <td>${student.group}</td>
                 <td><small style="color: var(--text-secondary);">${userInfo}</small></td>
-                <td>
-                    <button class="btn btn-warning btn-small" onclick="editStudent(${Number(student.id)})">
-                        Edit
-                    </button>
-                    <button class="btn btn-danger btn-small" onclick="deleteStudentHandler(${Number(student.id)})">
-                        Delete
-                    </button>
+                <td>${actions || '<small style="color: var(--text-secondary);">Read-only</small>'}
                 </td>
             </tr>
         `;
@@ -270,6 +349,15 @@ function handleFormSubmit(event) {
         userId: userId ? parseInt(userId) : null
     };
     
+    // Check permissions first so the error message is accurate
+    const permitted = editingStudentId
+        ? canWrite('students:update', { group: getStudentById(editingStudentId).group }) && canWrite('students:update', { group: group })
+        : canWrite('students:create', { group: group });
+    if (!permitted) {
+        showAlert(`You are not allowed to manage students in group ${group}!`, 'error');
+        return;
+    }
+    
     let success = false;
     
     if (editingStudentId) {
@@ -309,11 +397,13 @@ document.addEventListener('DOMContentLoaded', () => {
     // Step 0: Clear any existing alert messages
     clearAlert();
     
-    // Step 1: Populate the user dropdown with available student accounts
-    populateUserDropdown();
-    
+    // Step 1: Wait for storage, then populate the user dropdown with available student accounts
     // Step 2: Display all existing students in the table
-    displayStudents();
+    whenStorageReady(() => {
+        populateUserDropdown();
+        displayStudents();
+        displayLockedStudents();
+    });
     
     // Step 3: Add event listener to the form - when user submits, call handleFormSubmit
     document.getElementById('studentForm').addEventListener('submit', handleFormSubmit);
@@ -0,0 +1,80 @@
+/**
+ * ============================================
+ * term-switcher.js - Sidebar Term Switcher
+ * ============================================
+ * 
+ * This file handles:
+ * - Rendering the semester select in the sidebar (#termSwitcher)
+ * - Switching the term shown on every page
+ * - Warning that an archived term is read-only
+ * 
+ * Load after data.js on every page with a sidebar.
+ */
+
+/**
+ * Render the term select into the sidebar
+ */
+function renderTermSwitcher() {
+    const container = document.getElementById('termSwitcher');
+    if (!container) return;
+    
+    const semesters = getSemesters();
+    if (semesters.length === 0) {
+        container.style.display = 'none';
+        return;
+    }
+    
+    const selectedId = getSelectedTermId();
+    const years = getAcademicYears();
+    
+    // One option group per academic year
+    let optionsHTML = '';
+    years.forEach(year => {
+        const yearSemesters = semesters.filter(s => s.yearId === year.id);
+        if (yearSemesters.length === 0) return;
+        
+        optionsHTML += `<optgroup label="${year.name}">`;
+        yearSemesters.forEach(semester => {
+            optionsHTML += `<option value="${semester.id}" ${semester.id === selectedId ? 'selected' : ''}>${year.name} · ${semester.name}${semester.archived ? ' (archived)' : ''}</option>`;
+        });
+        optionsHTML += '</optgroup>';
+    });
+    
+    container.innerHTML = `
+        <label for="termSelect">Term</label>
+        <select id="termSelect" onchange="switchTerm(this.value)">
+            ${optionsHTML}
+        </select>
+    `;
+}
+
+/**
+ * Show a banner on top of the page when the selected term is archived
+ */
+function renderArchivedTermBanner() {
+    const content = document.querySelector('.content-area');
+    if (!content || !isSelectedTermArchived()) return;
+    
+    const banner = document.createElement('div');
+    banner.className = 'archived-term-banner';
+    banner.textContent = `🗄️ ${getTermLabel(getSelectedTerm())} is archived. Its data is read-only.`;
+    content.insertBefore(banner, content.firstChild);
+}
+
+/**
+ * Switch every page to another term
+ * @param {string} termId - Semester ID from the select
+ */
+function switchTerm(termId) {
+    if (setSelectedTermId(parseInt(termId))) {
+        window.location.reload();
+    }
+}
+
+// Initialize when page loads
+document.addEventListener('DOMContentLoaded', () => {
+    whenStorageReady(() => {
+        renderTermSwitcher();
+        renderArchivedTermBanner();
+    });
+});
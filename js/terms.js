@@ -0,0 +1,246 @@
+/**
+ * ============================================
+ * terms.js - Academic Term Management (admin only)
+ * ============================================
+ * 
+ * This file handles:
+ * - Adding academic years and semesters
+ * - Archiving semesters (read-only) and reopening them
+ * - Copying modules and enrolments into a new semester
+ */
+
+/**
+ * Show alert message
+ * @param {string} message - Message to display
+ * @param {string} type - Alert type: 'success' or 'error'
+ */
+function showAlert(message, type) {
+    const alertDiv = document.getElementById('alertMessage');
+    if (!alertDiv) {
+        console.error('Alert div not found!');
+        return;
+    }
+    alertDiv.className = `alert alert-${type}`;
+    alertDiv.textContent = message;
+    alertDiv.style.display = 'block';
+    
+    // Hide alert after 5 seconds
+    setTimeout(() => {
+        alertDiv.style.display = 'none';
+    }, 5000);
+}
+
+/**
+ * Fill the year and semester selects of the forms
+ */
+function populateTermSelects() {
+    const years = getAcademicYears();
+    document.getElementById('semesterYear').innerHTML = years.map(year =>
+        `<option value="${year.id}">${year.name}</option>`
+    ).join('');
+    
+    const semesterOptions = getSemesters().map(semester =>
+        `<option value="${semester.id}">${getTermLabel(semester)}${semester.archived ? ' (archived)' : ''}</option>`
+    ).join('');
+    document.getElementById('copyFrom').innerHTML = semesterOptions;
+    document.getElementById('copyTo').innerHTML = semesterOptions;
+}
+
+/**
+ * Display every semester with its status and actions
+ */
+function displaySemesters() {
+    const semesters = getSemesters();
+    const container = document.getElementById('semestersTableContainer');
+    const selectedId = getSelectedTermId();
+    
+    if (semesters.length === 0) {
+        container.innerHTML = '<p class="empty-state">No semesters yet. Add an academic year, then a semester.</p>';
+        return;
+    }
+    
+    // Count records per term once
+    const modules = readCollection('modules');
+    const enrolments = getEnrolments();
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Term</th>
+                        <th>Dates</th>
+                        <th>Modules</th>
+                        <th>Students</th>
+                        <th>Status</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    semesters.forEach(semester => {
+        const moduleCount = modules.filter(m => m.termId === semester.id).length;
+        const studentCount = enrolments.filter(e => e.termId === semester.id).length;
+        const dates = `${new Date(semester.startDate).toLocaleDateString('fr-FR')} – ${new Date(semester.endDate).toLocaleDateString('fr-FR')}`;
+        
+        tableHTML += `
+            <tr>
+                <td><strong>${getTermLabel(semester)}</strong>${semester.id === selectedId ? ' <span class="badge badge-info">Selected</span>' : ''}</td>
+                <td>${dates}</td>
+                <td>${moduleCount}</td>
+                <td>${studentCount}</td>
+                <td>${semester.archived ? '<span class="badge badge-warning">Archived</span>' : '<span class="badge badge-success">Open</span>'}</td>
+                <td>
+                    <button class="btn btn-secondary btn-small" onclick="switchTerm(${semester.id})" ${semester.id === selectedId ? 'disabled' : ''}>
+                        Select
+                    </button>
+                    <button class="btn ${semester.archived ? 'btn-success' : 'btn-warning'} btn-small" onclick="toggleArchivedHandler(${semester.id}, ${!semester.archived})">
+                        ${semester.archived ? 'Reopen' : 'Archive'}
+                    </button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Refresh the whole page after a change
+ */
+function refreshTermsPage() {
+    populateTermSelects();
+    displaySemesters();
+    renderTermSwitcher();
+}
+
+/**
+ * Archive or reopen a semester
+ * @param {number} semesterId - Semester ID
+ * @param {boolean} archived - True to archive
+ */
+function toggleArchivedHandler(semesterId, archived) {
+    if (archived && !confirm('Archive this semester? Its modules, grades and absences become read-only.')) {
+        return;
+    }
+    
+    if (setSemesterArchived(semesterId, archived)) {
+        showAlert(archived ? 'Semester archived.' : 'Semester reopened.', 'success');
+        // The banner and read-only state depend on the selected term
+        if (semesterId === getSelectedTermId()) {
+            window.location.reload();
+            return;
+        }
+        refreshTermsPage();
+    } else {
+        showAlert('Failed to update the semester!', 'error');
+    }
+}
+
+/**
+ * Handle the academic year form
+ * @param {Event} event - Submit event
+ */
+function handleYearSubmit(event) {
+    event.preventDefault();
+    
+    const name = document.getElementById('yearName').value.trim();
+    const startDate = document.getElementById('yearStart').value;
+    const endDate = document.getElementById('yearEnd').value;
+    
+    if (!name || !startDate || !endDate) {
+        showAlert('Please fill in all fields!', 'error');
+        return;
+    }
+    if (endDate <= startDate) {
+        showAlert('The end date must be after the start date!', 'error');
+        return;
+    }
+    
+    if (addAcademicYear({ name: name, startDate: startDate, endDate: endDate })) {
+        showAlert('Academic year added successfully!', 'success');
+        document.getElementById('yearForm').reset();
+        refreshTermsPage();
+    } else {
+        showAlert('Failed to add academic year. Name already exists!', 'error');
+    }
+}
+
+/**
+ * Handle the semester form
+ * @param {Event} event - Submit event
+ */
+function handleSemesterSubmit(event) {
+    event.preventDefault();
+    
+    const yearId = parseInt(document.getElementById('semesterYear').value);
+    const name = document.getElementById('semesterName').value.trim();
+    const startDate = document.getElementById('semesterStart').value;
+    const endDate = document.getElementById('semesterEnd').value;
+    
+    if (isNaN(yearId)) {
+        showAlert('Please add an academic year first!', 'error');
+        return;
+    }
+    if (!name || !startDate || !endDate) {
+        showAlert('Please fill in all fields!', 'error');
+        return;
+    }
+    if (endDate <= startDate) {
+        showAlert('The end date must be after the start date!', 'error');
+        return;
+    }
+    
+    const semester = addSemester({ yearId: yearId, name: name, startDate: startDate, endDate: endDate });
+    if (semester) {
+        showAlert(`Semester ${getTermLabel(semester)} added successfully!`, 'success');
+        document.getElementById('semesterForm').reset();
+        refreshTermsPage();
+    } else {
+        showAlert('Failed to add semester. Name already exists in that year!', 'error');
+    }
+}
+
+/**
+ * Handle the copy form
+ * @param {Event} event - Submit event
+ */
+function handleCopySubmit(event) {
+    event.preventDefault();
+    
+    const fromTermId = parseInt(document.getElementById('copyFrom').value);
+    const toTermId = parseInt(document.getElementById('copyTo').value);
+    const options = {
+        modules: document.getElementById('copyModules').checked,
+        enrolments: document.getElementById('copyEnrolments').checked
+    };
+    
+    const result = copyTermSetup(fromTermId, toTermId, options);
+    showAlert(result.message, result.success ? 'success' : 'error');
+    if (result.success) {
+        refreshTermsPage();
+    }
+}
+
+// ============================================
+// PAGE INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    whenStorageReady(() => {
+        if (hasPermission('terms:manage')) {
+            refreshTermsPage();
+        }
+    });
+    
+    document.getElementById('yearForm').addEventListener('submit', handleYearSubmit);
+    document.getElementById('semesterForm').addEventListener('submit', handleSemesterSubmit);
+    document.getElementById('copyForm').addEventListener('submit', handleCopySubmit);
+});
@@ -0,0 +1,404 @@
+/**
+ * ============================================
+ * timetable.js - Weekly Class Timetable
+ * ============================================
+ *
+ * This file handles:
+ * - Defining recurring weekly classes (module, group, room, day, time, teacher)
+ * - Warning about clashes before saving (group, room, teacher)
+ * - Displaying the week, filtered by group and teacher
+ * - A read-only personal week for students, from their group
+ * - Generating the attendance class sessions of a period
+ * - Exporting a student's, group's or teacher's calendar (.ics)
+ */
+
+// Slot being edited in the form
+let editingSlotId = null;
+
+/**
+ * Show alert message
+ * @param {string} message - Message to display
+ * @param {string} type - Alert type: 'success' or 'error'
+ */
+function showAlert(message, type) {
+    const alertDiv = document.getElementById('alertMessage');
+    alertDiv.className = `alert alert-${type}`;
+    alertDiv.textContent = message;
+    alertDiv.style.display = 'block';
+    
+    // Hide alert after 3 seconds
+    setTimeout(() => {
+        alertDiv.style.display = 'none';
+    }, 3000);
+}
+
+/**
+ * Get the users who can give a class (active teachers and admins)
+ * @returns {Array} Array of user objects
+ */
+function getTeacherCandidates() {
+    return getUsers()
+        .filter(u => (u.role === 'teacher' || u.role === 'admin') && isUserActive(u))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Get the student record of the logged-in user, if they are a student
+ * @returns {Object|null} Student object or null
+ */
+function getTimetableStudent() {
+    const user = getCurrentUser();
+    return user && user.role === 'student' ? getStudentByUserId(user.id) : null;
+}
+
+/**
+ * Fill the form fields and the filters
+ */
+function populateTimetableFields() {
+    const user = getCurrentUser();
+    if (!user) return;
+    const modules = getModules();
+    const groups = [...new Set(getStudents().map(s => s.group))].sort();
+    const teachers = getTeacherCandidates();
+    
+    // Students only see their own week
+    if (user.role === 'student') {
+        document.getElementById('slotFormCard').style.display = 'none';
+        document.getElementById('generateSessionsCard').style.display = 'none';
+        document.getElementById('timetableFilters').style.display = 'none';
+        document.getElementById('calendarExportFilters').style.display = 'none';
+        document.getElementById('timetableTitle').textContent = 'My Week';
+        document.getElementById('calendarExportBtn').textContent = '📅 Download my calendar (.ics)';
+        return;
+    }
+    
+    // Only modules the teacher manages can be scheduled
+    const schedulable = modules.filter(m => canWrite('modules:manage', { moduleId: m.id }));
+    document.getElementById('slotModule').innerHTML = schedulable.length > 0
+        ? schedulable.map(m => `<option value="${m.id}">${m.name}</option>`).join('')
+        : '<option value="">No module you can schedule</option>';
+    document.getElementById('slotFormCard').style.display = schedulable.length > 0 ? 'block' : 'none';
+    
+    const groupOptions = groups.map(g => `<option value="${g}">${g}</option>`).join('');
+    document.getElementById('slotGroup').innerHTML = '<option value="">All groups</option>' + groupOptions;
+    document.getElementById('filterTimetableGroup').innerHTML = '<option value="">All groups</option>' + groupOptions;
+    
+    document.getElementById('slotDay').innerHTML = Object.entries(WEEK_DAYS)
+        .map(([day, name]) => `<option value="${day}">${name}</option>`).join('');
+    
+    const teacherOptions = teachers.map(u => `<option value="${u.id}">${u.name}</option>`).join('');
+    document.getElementById('slotTeacher').innerHTML = '<option value="">No teacher</option>' + teacherOptions;
+    document.getElementById('slotTeacher').value = user.id;
+    document.getElementById('filterTimetableTeacher').innerHTML = '<option value="">All teachers</option>' + teacherOptions;
+    populateCalendarTargets();
+}
+
+/**
+ * Fill the calendar export list with the groups, students or teachers
+ */
+function populateCalendarTargets() {
+    const type = document.getElementById('calendarExportType').value;
+    let options = [];
+    
+    if (type === 'group') {
+        options = [...new Set(getStudents().map(s => s.group))].sort().map(g => ({ value: g, label: g }));
+    } else if (type === 'student') {
+        options = getStudents().slice().sort((a, b) => a.name.localeCompare(b.name)).map(s => ({ value: s.id, label: `${s.name} (${s.group})` }));
+    } else {
+        options = getTeacherCandidates().map(u => ({ value: u.id, label: u.name }));
+    }
+    
+    document.getElementById('calendarExportTarget').innerHTML = options.length > 0
+        ? options.map(o => `<option value="${o.value}">${o.label}</option>`).join('')
+        : '<option value="">Nothing to export</option>';
+}
+
+/**
+ * Read the slot form
+ * @returns {Object} {moduleId, group, room, day, startTime, endTime, teacherId}
+ */
+function readSlotForm() {
+    return {
+        moduleId: parseInt(document.getElementById('slotModule').value),
+        group: document.getElementById('slotGroup').value,
+        room: document.getElementById('slotRoom').value.trim(),
+        day: parseInt(document.getElementById('slotDay').value),
+        startTime: document.getElementById('slotStart').value,
+        endTime: document.getElementById('slotEnd').value,
+        teacherId: normalizeId(document.getElementById('slotTeacher').value)
+    };
+}
+
+/**
+ * Show the clashes of the slot being entered, before it is saved
+ */
+function displaySlotConflicts() {
+    const container = document.getElementById('slotConflicts');
+    const slot = readSlotForm();
+    
+    if (!slot.startTime || !slot.endTime) {
+        container.innerHTML = '';
+        return;
+    }
+    
+    const conflicts = findTimetableConflicts(slot, editingSlotId);
+    container.innerHTML = conflicts.length > 0 ? `
+        <div class="alert alert-error" style="display: block;">
+            <strong>⚠️ Conflicts:</strong>
+            <ul style="margin: 6px 0 0 1rem;">${conflicts.map(c => `<li>${c.message}</li>`).join('')}</ul>
+        </div>
+    ` : '';
+}
+
+/**
+ * Reset the slot form
+ */
+function resetSlotForm() {
+    document.getElementById('slotForm').reset();
+    document.getElementById('slotModule').disabled = false;
+    document.getElementById('slotTeacher').value = getCurrentUser().id;
+    document.getElementById('slotSubmitBtn').textContent = 'Add Class';
+    document.getElementById('slotCancelBtn').style.display = 'none';
+    document.getElementById('slotConflicts').innerHTML = '';
+    editingSlotId = null;
+}
+
+/**
+ * Get the slots shown in the weekly view
+ * Students get their group's week; teachers can filter by group and teacher.
+ * @returns {Array} Array of slot objects, in weekly order
+ */
+function getDisplayedSlots() {
+    const user = getCurrentUser();
+    if (!user) return [];
+    if (user.role === 'student') {
+        const student = getTimetableStudent();
+        return student ? getGroupTimetable(student.group) : [];
+    }
+    
+    const groupFilter = document.getElementById('filterTimetableGroup').value;
+    const teacherFilter = normalizeId(document.getElementById('filterTimetableTeacher').value);
+    
+    let slots = groupFilter ? getGroupTimetable(groupFilter) : sortTimetableSlots(getTimetableSlots());
+    if (teacherFilter !== null) slots = slots.filter(s => s.teacherId === teacherFilter);
+    return slots;
+}
+
+/**
+ * Display the weekly view, one column per teaching day
+ */
+function displayTimetable() {
+    const container = document.getElementById('timetableContainer');
+    const slots = getDisplayedSlots();
+    
+    if (slots.length === 0) {
+        const user = getCurrentUser();
+        container.innerHTML = user && user.role === 'student' && !getTimetableStudent()
+            ? '<p class="empty-state">Student record not found. Please contact your teacher.</p>'
+            : '<p class="empty-state">No classes in the timetable yet.</p>';
+        return;
+    }
+    
+    const columns = Object.keys(WEEK_DAYS).map(day => {
+        const daySlots = slots.filter(s => s.day === parseInt(day));
+        const cards = daySlots.map(slot => {
+            const module = getModuleById(slot.moduleId);
+            const teacher = slot.teacherId ? getUserById(slot.teacherId) : null;
+            const actions = canWrite('modules:manage', { moduleId: slot.moduleId }) ? `
+                    <div style="display: flex; gap: 4px; margin-top: 6px;">
+                        <button class="btn btn-warning btn-small" onclick="editSlot(${slot.id})">Edit</button>
+                        <button class="btn btn-danger btn-small" onclick="deleteSlotHandler(${slot.id})">Delete</button>
+                    </div>` : '';
+            
+            return `
+                <div style="background: var(--bg-secondary); border-left: 3px solid var(--primary); border-radius: 6px; padding: 8px; margin-bottom: 8px; font-size: 12px;">
+                    <strong>${slot.startTime}-${slot.endTime}</strong><br>
+                    ${module ? module.name : 'Unknown module'}<br>
+                    <span style="color: var(--text-secondary);">${slot.group || 'All groups'}${slot.room ? ` · ${slot.room}` : ''}</span>
+                    ${teacher ? `<br><span style="color: var(--text-secondary);">${teacher.name}</span>` : ''}${actions}
+                </div>
+            `;
+        }).join('');
+        
+        return `
+            <td style="vertical-align: top; min-width: 140px;">
+                ${cards || '<span style="color: var(--text-secondary);">—</span>'}
+            </td>
+        `;
+    }).join('');
+    
+    container.innerHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>${Object.values(WEEK_DAYS).map(name => `<th>${name}</th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    <tr>${columns}</tr>
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+/**
+ * Load a slot into the form for editing
+ * @param {number} slotId - Slot ID
+ */
+function editSlot(slotId) {
+    const slot = getTimetableSlotById(slotId);
+    if (!slot) {
+        showAlert('Class not found!', 'error');
+        return;
+    }
+    
+    editingSlotId = slotId;
+    document.getElementById('slotModule').value = slot.moduleId;
+    document.getElementById('slotModule').disabled = true;
+    document.getElementById('slotGroup').value = slot.group;
+    document.getElementById('slotRoom').value = slot.room;
+    document.getElementById('slotDay').value = slot.day;
+    document.getElementById('slotStart').value = slot.startTime;
+    document.getElementById('slotEnd').value = slot.endTime;
+    document.getElementById('slotTeacher').value = slot.teacherId || '';
+    document.getElementById('slotSubmitBtn').textContent = 'Update Class';
+    document.getElementById('slotCancelBtn').style.display = 'inline-block';
+    displaySlotConflicts();
+    document.getElementById('slotFormCard').scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Delete a slot after confirmation
+ * Class sessions already generated from it are kept.
+ * @param {number} slotId - Slot ID
+ */
+function deleteSlotHandler(slotId) {
+    const slot = getTimetableSlotById(slotId);
+    if (!slot) {
+        showAlert('Class not found!', 'error');
+        return;
+    }
+    
+    const module = getModuleById(slot.moduleId);
+    if (confirm(`Remove ${module ? module.name : 'this class'} on ${WEEK_DAYS[slot.day]} ${slot.startTime} from the timetable?`)) {
+        if (!deleteTimetableSlot(slotId)) {
+            showAlert('You are not allowed to delete this class!', 'error');
+            return;
+        }
+        if (editingSlotId === slotId) resetSlotForm();
+        showAlert('Class removed from the timetable!', 'success');
+        displayTimetable();
+    }
+}
+
+/**
+ * Handle slot form submission
+ * @param {Event} event - Submit event
+ */
+function handleSlotSubmit(event) {
+    event.preventDefault();
+    
+    const slot = readSlotForm();
+    
+    if (isNaN(slot.moduleId) || !slot.startTime || !slot.endTime) {
+        showAlert('Please fill in the module, day and times!', 'error');
+        return;
+    }
+    if (slot.endTime <= slot.startTime) {
+        showAlert('The class must end after it starts!', 'error');
+        return;
+    }
+    
+    const conflicts = findTimetableConflicts(slot, editingSlotId);
+    if (conflicts.length > 0) {
+        displaySlotConflicts();
+        showAlert(`This slot clashes with ${conflicts.length} class${conflicts.length > 1 ? 'es' : ''}. Choose another time or room.`, 'error');
+        return;
+    }
+    
+    if (editingSlotId !== null) {
+        if (!updateTimetableSlot(editingSlotId, slot)) {
+            showAlert('You are not allowed to change this class!', 'error');
+            return;
+        }
+        showAlert('Class updated successfully!', 'success');
+    } else {
+        if (!addTimetableSlot(slot)) {
+            showAlert('You are not allowed to schedule classes for this module!', 'error');
+            return;
+        }
+        showAlert('Class added to the timetable!', 'success');
+    }
+    
+    resetSlotForm();
+    displayTimetable();
+}
+
+/**
+ * Handle the generation of class sessions for the displayed slots
+ * @param {Event} event - Submit event
+ */
+function handleGenerateSessions(event) {
+    event.preventDefault();
+    
+    const fromDate = document.getElementById('generateFrom').value;
+    const toDate = document.getElementById('generateTo').value;
+    
+    if (!fromDate || !toDate || toDate < fromDate) {
+        showAlert('Please choose a valid period!', 'error');
+        return;
+    }
+    
+    // Only the modules the user takes attendance for get sessions
+    const slots = getDisplayedSlots().filter(s => canWrite('absences:write', { moduleId: s.moduleId, group: s.group || undefined }));
+    if (slots.length === 0) {
+        showAlert('No displayed class you can take attendance for!', 'error');
+        return;
+    }
+    
+    const created = generateSessionsFromTimetable(slots, fromDate, toDate);
+    showAlert(created > 0
+        ? `${created} class session${created > 1 ? 's' : ''} created. Open Attendance to take the roll call.`
+        : 'Every session of this period already exists.', 'success');
+}
+
+/**
+ * Download the chosen calendar (students always get their own)
+ */
+function handleCalendarExport() {
+    let calendar = null;
+    const student = getTimetableStudent();
+    
+    if (student) {
+        calendar = getStudentICalendar(student.id);
+    } else if (getCurrentUser().role !== 'student') {
+        const type = document.getElementById('calendarExportType').value;
+        const target = document.getElementById('calendarExportTarget').value;
+        if (type === 'group') calendar = getGroupICalendar(target);
+        if (type === 'student') calendar = getStudentICalendar(normalizeId(target));
+        if (type === 'teacher') calendar = getTeacherICalendar(normalizeId(target));
+    }
+    
+    if (!calendar) {
+        showAlert('Nothing to export!', 'error');
+        return;
+    }
+    downloadICalendar(calendar);
+    showAlert('Calendar downloaded!', 'success');
+}
+
+// Event Listeners
+document.addEventListener('DOMContentLoaded', () => {
+    // Display the week once storage is loaded
+    whenStorageReady(() => {
+        populateTimetableFields();
+        displayTimetable();
+    });
+    
+    // Handle slot form submission, and check clashes while the form is filled
+    const form = document.getElementById('slotForm');
+    form.addEventListener('submit', handleSlotSubmit);
+    form.addEventListener('change', displaySlotConflicts);
+    
+    document.getElementById('generateSessionsForm').addEventListener('submit', handleGenerateSessions);
+});
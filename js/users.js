@@ -0,0 +1,493 @@
+/**
+ * ============================================
+ * users.js - User Management Logic (admin only)
+ * ============================================
+ * 
+ * This file handles:
+ * - Approving or rejecting teacher self-registrations
+ * - Changing account roles
+ * - Disabling and re-enabling accounts
+ * - Resetting passwords to a temporary one
+ * - Assigning teachers to modules and groups
+ * - Issuing one-time password reset codes
+ * - Showing and clearing login lockouts
+ * - Showing the security audit trail
+ */
+
+// User whose assignments are being edited
+let editingAssignmentsUserId = null;
+
+/**
+ * Show alert message
+ * @param {string} message - Message to display
+ * @param {string} type - Alert type: 'success' or 'error'
+ */
+function showAlert(message, type) {
+    const alertDiv = document.getElementById('alertMessage');
+    if (!alertDiv) {
+        console.error('Alert div not found!');
+        return;
+    }
+    alertDiv.className = `alert alert-${type}`;
+    alertDiv.textContent = message;
+    alertDiv.style.display = 'block';
+    
+    // Hide alert after 5 seconds
+    setTimeout(() => {
+        alertDiv.style.display = 'none';
+    }, 5000);
+}
+
+/**
+ * Get a badge for an account status
+ * @param {string} status - Account status
+ * @returns {string} Badge HTML
+ */
+function getStatusBadge(status) {
+    const badges = {
+        active: '<span class="badge badge-success">Active</span>',
+        pending: '<span class="badge badge-warning">Pending</span>',
+        rejected: '<span class="badge badge-danger">Rejected</span>',
+        disabled: '<span class="badge badge-danger">Disabled</span>'
+    };
+    return badges[status || 'active'] || status;
+}
+
+/**
+ * Display registrations waiting for approval
+ */
+function displayPendingUsers() {
+    const pendingUsers = getPendingUsers();
+    const container = document.getElementById('pendingUsersContainer');
+    
+    if (pendingUsers.length === 0) {
+        container.innerHTML = '<p class="empty-state">No registrations waiting for approval.</p>';
+        return;
+    }
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Email</th>
+                        <th>Requested Role</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    pendingUsers.forEach(user => {
+        tableHTML += `
+            <tr>
+                <td>${escapeHtml(user.name)}</td>
+                <td>${escapeHtml(user.email)}</td>
+                <td>${getRoleLabel(user.role)}</td>
+                <td>
+                    <button class="btn btn-success btn-small" onclick="approveUserHandler(${user.id})">
+                        Approve
+                    </button>
+                    <button class="btn btn-danger btn-small" onclick="rejectUserHandler(${user.id})">
+                        Reject
+                    </button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Display every account with role and status controls
+ */
+function displayUsers() {
+    const users = getUsers().map(toPublicUser);
+    const currentUser = getCurrentUser();
+    const container = document.getElementById('usersTableContainer');
+    
+    if (users.length === 0) {
+        container.innerHTML = '<p class="empty-state">No accounts yet.</p>';
+        return;
+    }
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Name</th>
+                        <th>Email</th>
+                        <th>Role</th>
+                        <th>Status</th>
+                        <th>Assignments</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    users.forEach(user => {
+        const isSelf = currentUser && currentUser.id === user.id;
+        const isDisabled = user.status === 'disabled';
+        const roleOptions = Object.keys(ROLE_LABELS).map(role =>
+            `<option value="${role}" ${role === user.role ? 'selected' : ''}>${getRoleLabel(role)}</option>`
+        ).join('');
+        
+        tableHTML += `
+            <tr>
+                <td>${escapeHtml(user.name)}${isSelf ? ' <small style="color: var(--text-secondary);">(you)</small>' : ''}</td>
+                <td>${escapeHtml(user.email)}</td>
+                <td>
+                    <select onchange="changeRoleHandler(${user.id}, this.value)" ${user.status === 'pending' ? 'disabled' : ''}>
+                        ${roleOptions}
+                    </select>
+                </td>
+                <td>${getStatusBadge(user.status)}</td>
+                <td>${getAssignmentSummary(user)}</td>
+                <td>
+                    ${user.status === 'pending' || user.status === 'rejected' ? '' : `
+                    <button class="btn ${isDisabled ? 'btn-success' : 'btn-danger'} btn-small" onclick="toggleDisabledHandler(${user.id}, ${!isDisabled})" ${isSelf ? 'disabled' : ''}>
+                        ${isDisabled ? 'Enable' : 'Disable'}
+                    </button>`}
+                    <button class="btn btn-secondary btn-small" onclick="issueResetCodeHandler(${user.id})" ${isSelf || user.status !== 'active' ? 'disabled' : ''}>
+                        Reset Code
+                    </button>
+                    <button class="btn btn-warning btn-small" onclick="resetPasswordHandler(${user.id})" ${isSelf ? 'disabled' : ''}>
+                        Reset Password
+                    </button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Describe a teacher's assignments in a table cell
+ * @param {Object} user - User object
+ * @returns {string} Cell HTML
+ */
+function getAssignmentSummary(user) {
+    if (user.role === 'admin') {
+        return '<small style="color: var(--text-secondary);">Everything</small>';
+    }
+    if (user.role !== 'teacher') {
+        return '<small style="color: var(--text-secondary);">—</small>';
+    }
+    
+    const moduleCount = (user.assignedModules || []).length;
+    const groups = user.assignedGroups || [];
+    return `
+        <small>${moduleCount} module${moduleCount === 1 ? '' : 's'} · ${groups.length > 0 ? groups.join(', ') : 'all groups'}</small>
+        <button class="btn btn-secondary btn-small" onclick="openAssignments(${user.id})">Assign</button>
+    `;
+}
+
+/**
+ * Open the assignment editor for a teacher
+ * @param {number} userId - User ID
+ */
+function openAssignments(userId) {
+    const user = getUserById(userId);
+    if (!user) return;
+    
+    editingAssignmentsUserId = userId;
+    const assignedModules = user.assignedModules || [];
+    const assignedGroups = user.assignedGroups || [];
+    const groups = [...new Set([...getAllStudents().map(s => s.group), ...getEnrolments().map(e => e.group)])].sort();
+    
+    document.getElementById('assignmentTitle').textContent = `Assignments for ${user.name}`;
+    
+    const modules = getModules();
+    document.getElementById('assignmentModules').innerHTML = modules.length === 0
+        ? '<p class="empty-state">No modules yet.</p>'
+        : modules.map(module => `
+            <label style="display: block; margin-bottom: 6px;">
+                <input type="checkbox" name="assignedModule" value="${module.id}" ${assignedModules.includes(module.id) ? 'checked' : ''}>
+                ${module.name}
+            </label>
+        `).join('');
+    
+    document.getElementById('assignmentGroups').innerHTML = groups.length === 0
+        ? '<p class="empty-state">No groups yet.</p>'
+        : groups.map(group => `
+            <label style="display: block; margin-bottom: 6px;">
+                <input type="checkbox" name="assignedGroup" value="${group}" ${assignedGroups.includes(group) ? 'checked' : ''}>
+                ${group}
+            </label>
+        `).join('');
+    
+    const card = document.getElementById('assignmentCard');
+    card.style.display = 'block';
+    card.scrollIntoView({ behavior: 'smooth' });
+}
+
+/**
+ * Close the assignment editor
+ */
+function closeAssignments() {
+    editingAssignmentsUserId = null;
+    document.getElementById('assignmentCard').style.display = 'none';
+}
+
+/**
+ * Save the ticked modules and groups
+ */
+function saveAssignmentsHandler() {
+    if (editingAssignmentsUserId === null) return;
+    
+    const checkedValues = name => Array.from(document.querySelectorAll(`input[name="${name}"]:checked`)).map(input => input.value);
+    const result = setUserAssignments(editingAssignmentsUserId, checkedValues('assignedModule'), checkedValues('assignedGroup'));
+    
+    if (result.success) {
+        closeAssignments();
+    }
+    handleAdminResult(result, 'Assignments saved!');
+}
+
+// Readable names for audit events
+const AUDIT_ACTION_LABELS = {
+    'password.reset-code-issued': 'Reset code issued',
+    'password.reset-code-used': 'Password reset with code',
+    'password.reset-code-rejected': 'Wrong reset code entered',
+    'password.temporary-set': 'Temporary password set',
+    'login.locked': 'Locked after failed logins',
+    'login.unlocked': 'Lockout cleared',
+    'password.changed': 'Password changed by user',
+    'account.email-changed': 'Email changed'
+};
+
+/**
+ * Display emails locked after too many failed logins
+ */
+function displayLockouts() {
+    const lockouts = getActiveLockouts();
+    const container = document.getElementById('lockoutsContainer');
+    
+    if (lockouts.length === 0) {
+        container.innerHTML = '<p class="empty-state">No locked accounts.</p>';
+        return;
+    }
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>Email</th>
+                        <th>Account</th>
+                        <th>Failed Attempts</th>
+                        <th>Locked Until</th>
+                        <th>Actions</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    lockouts.forEach(lockout => {
+        tableHTML += `
+            <tr>
+                <td>${escapeHtml(lockout.email)}</td>
+                <td>${lockout.user ? escapeHtml(lockout.user.name) : '<small style="color: var(--text-secondary);">No account</small>'}</td>
+                <td>${lockout.failures}</td>
+                <td>${new Date(lockout.lockedUntil).toLocaleString('fr-FR')}</td>
+                <td>
+                    <button class="btn btn-success btn-small" data-email="${escapeHtml(lockout.email)}">
+                        Unlock
+                    </button>
+                </td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    container.innerHTML = tableHTML;
+    
+    // Emails come from anonymous login attempts: read them from the attribute, never build them into code
+    container.querySelectorAll('button[data-email]').forEach(button => {
+        button.addEventListener('click', () => clearLockoutHandler(button.dataset.email));
+    });
+}
+
+/**
+ * Lift a lockout
+ * @param {string} email - Locked email
+ */
+function clearLockoutHandler(email) {
+    handleAdminResult(clearLockout(email), `${email} unlocked.`);
+}
+
+/**
+ * Display password reset events
+ */
+function displayAuditLog() {
+    const events = getAuditLog().slice(0, 50);
+    const container = document.getElementById('auditLogContainer');
+    
+    if (events.length === 0) {
+        container.innerHTML = '<p class="empty-state">No security events yet.</p>';
+        return;
+    }
+    
+    // Look up names once instead of per row
+    const names = {};
+    getUsers().forEach(u => { names[u.id] = u.name; });
+    
+    let tableHTML = `
+        <div class="table-container">
+            <table>
+                <thead>
+                    <tr>
+                        <th>When</th>
+                        <th>Event</th>
+                        <th>Account</th>
+                        <th>By</th>
+                    </tr>
+                </thead>
+                <tbody>
+    `;
+    
+    events.forEach(event => {
+        tableHTML += `
+            <tr>
+                <td>${new Date(event.at).toLocaleString('fr-FR')}</td>
+                <td>${AUDIT_ACTION_LABELS[event.action] || escapeHtml(event.action)}</td>
+                <td>${escapeHtml(names[event.userId] || event.email || 'Unknown')}</td>
+                <td>${event.actorId ? escapeHtml(names[event.actorId] || 'Unknown') : '<small style="color: var(--text-secondary);">Not logged in</small>'}</td>
+            </tr>
+        `;
+    });
+    
+    tableHTML += `
+                </tbody>
+            </table>
+        </div>
+    `;
+    
+    container.innerHTML = tableHTML;
+}
+
+/**
+ * Refresh all tables
+ */
+function refreshUserTables() {
+    displayPendingUsers();
+    displayUsers();
+    displayLockouts();
+    displayAuditLog();
+}
+
+/**
+ * Show the result of an admin action and refresh the page
+ * @param {Object} result - {success: boolean, message: string}
+ * @param {string} successMessage - Message shown on success
+ */
+function handleAdminResult(result, successMessage) {
+    showAlert(result.success ? successMessage : result.message, result.success ? 'success' : 'error');
+    refreshUserTables();
+}
+
+/**
+ * Approve a pending registration
+ * @param {number} userId - User ID
+ */
+function approveUserHandler(userId) {
+    handleAdminResult(approveUser(userId), 'Account approved! The user can now log in.');
+}
+
+/**
+ * Reject a pending registration
+ * @param {number} userId - User ID
+ */
+function rejectUserHandler(userId) {
+    if (!confirm('Reject this registration?')) {
+        return;
+    }
+    handleAdminResult(rejectUser(userId), 'Registration rejected.');
+}
+
+/**
+ * Change a user's role
+ * @param {number} userId - User ID
+ * @param {string} role - New role
+ */
+function changeRoleHandler(userId, role) {
+    handleAdminResult(setUserRole(userId, role), `Role changed to ${getRoleLabel(role)}.`);
+}
+
+/**
+ * Disable or enable an account
+ * @param {number} userId - User ID
+ * @param {boolean} disabled - True to disable
+ */
+function toggleDisabledHandler(userId, disabled) {
+    if (disabled && !confirm('Disable this account? The user will be logged out everywhere.')) {
+        return;
+    }
+    handleAdminResult(setUserDisabled(userId, disabled), disabled ? 'Account disabled.' : 'Account enabled.');
+}
+
+/**
+ * Reset a user's password and show the temporary one
+ * @param {number} userId - User ID
+ */
+async function resetPasswordHandler(userId) {
+    if (!confirm('Reset this user\'s password? They will be logged out everywhere.')) {
+        return;
+    }
+    
+    const result = await resetUserPassword(userId);
+    handleAdminResult(result, 'Password reset!');
+    
+    if (result.success) {
+        // Shown once; the user must change it at next login
+        prompt('Temporary password (give it to the user, it will not be shown again):', result.temporaryPassword);
+    }
+}
+
+/**
+ * Issue a one-time reset code and show it with its link
+ * @param {number} userId - User ID
+ */
+async function issueResetCodeHandler(userId) {
+    const result = await issuePasswordResetCode(userId);
+    handleAdminResult(result, 'Reset code created!');
+    
+    if (result.success) {
+        const link = new URL(result.link, window.location.href).href;
+        prompt(`Reset code: ${result.code} (valid for 30 minutes, single use). Share the code or this link with the user:`, link);
+    }
+}
+
+// ============================================
+// PAGE INITIALIZATION
+// ============================================
+
+document.addEventListener('DOMContentLoaded', () => {
+    whenStorageReady(() => {
+        if (hasRole('admin')) {
+            refreshUserTables();
+        }
+    });
+});